@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import {
+  contentHash, fingerprintCandidates, hashedName, isHashed, rewriteReferences, staleVersions,
+} from './lib/assets.js';
+
+describe('hashedName', () => {
+  it('should insert a short content hash before the extension', () => {
+    const hash = contentHash(Buffer.from('avatar'));
+    expect(hash).toMatch(/^[0-9a-f]{8}$/);
+    expect(hashedName('blog/featured-article.jpg', Buffer.from('avatar'))).toBe(`blog/featured-article.${hash}.jpg`);
+    expect(isHashed(`blog/featured-article.${hash}.jpg`)).toBe(true);
+    expect(isHashed('favicon-32x32.png')).toBe(false);
+  });
+
+  it('should leave stable URLs, hashed files and other types alone', () => {
+    expect(fingerprintCandidates([
+      'avatar-150w.jpg', 'fonts/roboto-latin-400-normal.woff2', 'favicon.svg',
+      'favicon.ico', 'apple-touch-icon.png', 'bmarwell-apache.asc', 'index.html',
+      'favicon.svg.br', 'avatar.0123abcd.webp', '.well-known/openpgpkey/policy',
+    ])).toEqual(['avatar-150w.jpg', 'fonts/roboto-latin-400-normal.woff2', 'favicon.svg']);
+  });
+
+  it('should find hashed versions of earlier builds', () => {
+    const files = ['favicon.11111111.svg', 'favicon.11111111.svg.br', 'favicon.22222222.svg', 'favicon-16x16.33333333.png'];
+    expect(staleVersions(files, 'favicon.svg', 'favicon.22222222.svg'))
+      .toEqual(['favicon.11111111.svg', 'favicon.11111111.svg.br']);
+  });
+});
+
+describe('rewriteReferences', () => {
+  const renames = new Map([
+    ['avatar.jpg', 'avatar.aaaaaaaa.jpg'],
+    ['avatar-150w.jpg', 'avatar-150w.bbbbbbbb.jpg'],
+    ['fonts/roboto.woff2', 'fonts/roboto.cccccccc.woff2'],
+  ]);
+
+  it('should rewrite attributes, srcset, url() and absolute URLs', () => {
+    const html = [
+      '<img srcset="/avatar-150w.jpg 150w, /avatar.jpg 460w" src="/avatar.jpg">',
+      '<style>@font-face{src:url(\'/fonts/roboto.woff2\') format("woff2")}</style>',
+      '<meta property="og:image" content="https://bmarwell.de/avatar.jpg">',
+      '<script type="application/ld+json">{"image":"https://bmarwell.de/avatar.jpg"}</script>',
+    ].join('\n');
+    const { text, count } = rewriteReferences(html, renames);
+    expect(count).toBe(6);
+    expect(text).toContain('srcset="/avatar-150w.bbbbbbbb.jpg 150w, /avatar.aaaaaaaa.jpg 460w" src="/avatar.aaaaaaaa.jpg"');
+    expect(text).toContain("url('/fonts/roboto.cccccccc.woff2')");
+    expect(text).toContain('content="https://bmarwell.de/avatar.aaaaaaaa.jpg"');
+    expect(text).toContain('"image":"https://bmarwell.de/avatar.aaaaaaaa.jpg"');
+  });
+
+  it('should not touch other sites or longer names', () => {
+    const html = '<a href="https://github.com/avatar.jpg"><img src="/avatar.jpg.bak"><img src="/x/avatar.jpg">';
+    expect(rewriteReferences(html, renames)).toEqual({ text: html, count: 0 });
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { checkBudgets, pageResources, referencedPaths, resolveUrl } from './lib/budgets.js';
+
+let tmpDir;
+
+beforeEach(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'budgets-'));
+});
+
+afterEach(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+const BUDGETS = { html_kib: 1, critical_images_kib: 2, fonts_kib: 10, requests: 10, largest_asset_kib: 50 };
+
+async function write(file, content) {
+  await fs.mkdir(path.dirname(path.join(tmpDir, file)), { recursive: true });
+  await fs.writeFile(path.join(tmpDir, file), content);
+}
+
+describe('resolveUrl', () => {
+  it('should map same-site URLs to dist paths', () => {
+    expect(resolveUrl('/fonts/a.woff2')).toBe('fonts/a.woff2');
+    expect(resolveUrl('https://bmarwell.de/avatar.webp?v=1')).toBe('avatar.webp');
+    expect(resolveUrl('https://stats.bmarwell.de/matomo.js')).toBe('https://stats.bmarwell.de/matomo.js');
+    expect(resolveUrl('//cdn.example.com/x.js')).toBe('//cdn.example.com/x.js');
+  });
+});
+
+describe('pageResources', () => {
+  it('should find images, fonts, icons, manifest and scripts', () => {
+    const html = `
+      <link rel="icon" href="/favicon.svg"><link rel="icon" href="/favicon-32x32.png">
+      <link rel="manifest" href="/site.webmanifest">
+      <style>@font-face { src: url('/fonts/a.woff2') format('woff2'); } .x { background: url(data:image/png;base64,AA); }</style>
+      <picture>
+        <source type="image/webp" srcset="/avatar-150w.webp 150w, /avatar-300w.webp 300w">
+        <img src="/avatar.jpg" alt="">
+      </picture>
+      <img src="/featured.jpg" loading="lazy" alt="">
+      <noscript><img src="https://stats.bmarwell.de/matomo.php" alt=""></noscript>
+      <script src="https://stats.bmarwell.de/matomo.js"></script>`;
+
+    expect(pageResources(html)).toEqual([
+      { kind: 'image', candidates: ['avatar-150w.webp', 'avatar-300w.webp', 'avatar.jpg'], critical: true },
+      { kind: 'image', candidates: ['featured.jpg'], critical: false },
+      { kind: 'font', candidates: ['fonts/a.woff2'], critical: true },
+      { kind: 'manifest', candidates: ['site.webmanifest'], critical: true },
+      { kind: 'icon', candidates: ['favicon.svg', 'favicon-32x32.png'], critical: true },
+      { kind: 'script', candidates: ['https://stats.bmarwell.de/matomo.js'], critical: true },
+    ]);
+  });
+});
+
+describe('referencedPaths', () => {
+  it('should find paths in attributes, srcset, url() and JSON', () => {
+    const text = '<img srcset="/a.webp 1x, /b.webp 2x"> url(/fonts/c.woff2) {"src": "/d.png"} <loc>https://bmarwell.de/e.html</loc>';
+    expect(referencedPaths(text)).toEqual(['a.webp', 'b.webp', 'fonts/c.woff2', 'd.png', 'e.html']);
+  });
+});
+
+describe('checkBudgets', () => {
+  it('should name the files that exceed a budget and list orphans separately', async () => {
+    await write('index.html', '<img src="/big.png"><img src="/small.png" loading="lazy"><a href="/key.asc">key</a>');
+    await write('big.png', 'x'.repeat(3000));
+    await write('small.png', 'x'.repeat(100));
+    await write('unused.png', 'x'.repeat(10));
+    await write('key.asc', 'key');
+    await write('robots.txt', '');
+
+    const { results, orphans } = await checkBudgets(tmpDir, BUDGETS);
+    const byName = Object.fromEntries(results.map((result) => [result.name, result]));
+
+    expect(byName['index.html: critical images']).toMatchObject({
+      ok: false, actual: 3000, limit: 2048, files: [{ file: 'big.png', size: 3000 }],
+    });
+    expect(byName['index.html: html'].ok).toBe(true);
+    expect(byName['index.html: requests']).toMatchObject({ ok: true, actual: 2 });
+    expect(byName['largest asset']).toMatchObject({ ok: true, actual: 3000, files: [] });
+    expect(orphans).toEqual(['unused.png']);
+  });
+
+  it('should count a preloaded font once', async () => {
+    await write('index.html', '<link rel="preload" href="/fonts/a.woff2" as="font" crossorigin>'
+      + '<style>@font-face { src: url(\'/fonts/a.woff2\') format(\'woff2\'); }</style>');
+    await write('fonts/a.woff2', 'x'.repeat(500));
+
+    const { results } = await checkBudgets(tmpDir, BUDGETS);
+    const byName = Object.fromEntries(results.map((result) => [result.name, result]));
+    expect(byName['index.html: fonts']).toMatchObject({ actual: 500 });
+    expect(byName['index.html: requests']).toMatchObject({ actual: 2, files: [{ file: 'fonts/a.woff2' }] });
+  });
+
+  it('should count the compressed size of a page', async () => {
+    await write('index.html', 'x'.repeat(2000));
+    await write('index.html.br', 'x'.repeat(100));
+
+    const { results } = await checkBudgets(tmpDir, BUDGETS);
+    expect(results.find((result) => result.name === 'index.html: html')).toMatchObject({ ok: true, actual: 100 });
+  });
+});
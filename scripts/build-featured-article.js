@@ -1,27 +1,50 @@
 #!/usr/bin/env node
 /**
- * Build the featured article card from src/main/resources/featured-article.yml.
+ * Build the featured article cards from src/main/resources/featured-article.yml.
+ *
+ * Usage: node scripts/build-featured-article.js [--date YYYY-MM-DD]
  *
  * Steps:
- *   1. Parse the YAML config.
- *   2. If enabled=false, erase the placeholder and exit.
- *   3. Download the featured image (JPEG + WebP) into dist/blog/.
- *   4. Generate the card HTML and inject it into dist/index.html in place of
- *      the <div id="featured-article-slot"></div> placeholder left by build-html.
+ *   1. Load and validate the YAML config (lib/config-schemas.js) and pick the articles active on the build date
+ *      (today, BUILD_DATE or --date; see lib/featured.js).
+ *   2. If none is active, erase the placeholder and exit.
+ *   3. Fill in card fields from the blog feed for articles with a `feed` block
+ *      (see lib/feed.js); values set in the YAML win.
+ *   4. Download each featured image, or take it from image_file /
+ *      FEATURED_IMAGE_FILE when set, check its format and resolution, crop it
+ *      to the card's 40:21 and write 400/800/1200w JPEG, WebP and (when
+ *      smaller) AVIF variants into dist/blog/.
+ *   5. Generate the card HTML and put it into dist/index.html in place of
+ *      the #featured-article-slot placeholder element left by build-html.
  */
 import {promises as fs} from 'fs';
 import path from 'path';
 import {fileURLToPath} from 'url';
-import fetch from 'node-fetch';
 import sharp from 'sharp';
-import yaml from 'js-yaml';
+import {loadConfig} from './lib/config-schemas.js';
+import {
+  mergeFeedEntry, missingFields, parseDateFromUrl, resolveBuildDate, selectArticles,
+} from './lib/featured.js';
+import {loadFeed, pickEntry} from './lib/feed.js';
+import {HtmlTransformError, parseHtml, querySelectorAll, replaceElement, serializeHtml} from './lib/html-transform.js';
+import {ImageError, inspectImage, smallerAvif, srcset, variantSizes} from './lib/images.js';
+import {loadAsset} from './lib/remote.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const CONFIG_FILE = path.join(__dirname, '../src/main/resources/featured-article.yml');
+const CONFIG_DIR = path.join(__dirname, '../src/main/resources');
 const DIST_DIR = path.join(__dirname, '../dist');
 const HTML_FILE = path.join(DIST_DIR, 'index.html');
 const BLOG_DIR = path.join(DIST_DIR, 'blog');
-const PLACEHOLDER = '<div id="featured-article-slot"></div>';
+const SLOT = '#featured-article-slot';
+
+// .card--featured__media is 40:21, the shape of the blog's 1200x630 header images
+const IMAGE_ASPECT_RATIO = 40 / 21;
+const IMAGE_WIDTHS = [400, 800, 1200];
+// The 800w variant is the <img> fallback, so every source must cover it
+const IMAGE_FALLBACK_WIDTH = 800;
+const MIN_IMAGE_SIZE = {minWidth: 800, minHeight: 420};
+// Full width minus the body padding on phones, 55% of the card from 768px, at most 55% of 900px
+const IMAGE_SIZES = '(min-width: 940px) 495px, (min-width: 768px) calc(55vw - 22px), calc(100vw - 40px)';
 
 /** Escape special HTML characters for use in text nodes and attribute values. */
 function esc(str) {
@@ -32,12 +55,6 @@ function esc(str) {
     .replace(/"/g, '&quot;');
 }
 
-/** Try to parse YYYY-MM-DD from a URL like /2024/05/23/slug.html */
-function parseDateFromUrl(url) {
-  const m = url.match(/\/(\d{4})\/(\d{2})\/(\d{2})\//);
-  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
-}
-
 /** Format "2024-05-23" → "May\u00a02024" */
 function formatMonthYear(iso) {
   const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
@@ -46,7 +63,17 @@ function formatMonthYear(iso) {
   return `${months[parseInt(month, 10) - 1]}\u00a0${year}`;
 }
 
-function generateCardHtml(cfg, datePublished) {
+/** Image base name: featured-article for the first card, featured-article-N after. */
+function imageName(index) {
+  return index === 0 ? 'featured-article' : `featured-article-${index + 1}`;
+}
+
+/** URL of one variant of a featured image. */
+function variantUrl(image, width, ext) {
+  return `/blog/${image.name}-${width}w.${ext}`;
+}
+
+function generateCardHtml(cfg, datePublished, image) {
   const label = ['Featured Article', datePublished ? formatMonthYear(datePublished) : null]
     .filter(Boolean).join(' \u00b7 ');
 
@@ -59,8 +86,10 @@ function generateCardHtml(cfg, datePublished) {
 <a href="${esc(cfg.series.url)}" rel="related" \
 title="${esc(cfg.series.title)} \u2013 article series">${esc(cfg.series.title)}</a> series.</p>` : '';
 
-  return `<h2>From the Blog</h2><div class="container">\
-<article class="card card--featured" itemscope itemtype="https://schema.org/BlogPosting">\
+  const candidates = (ext) => srcset(image.sizes.map(({width}) => ({url: variantUrl(image, width, ext), width})));
+  const fallback = image.sizes.find(({width}) => width === IMAGE_FALLBACK_WIDTH);
+
+  return `<article class="card card--featured" itemscope itemtype="https://schema.org/BlogPosting">\
 <span itemprop="author" itemscope itemtype="https://schema.org/Person">\
 <meta itemprop="name" content="Benjamin Marwell">\
 <meta itemprop="url" content="https://bmarwell.de/">\
@@ -69,9 +98,11 @@ title="${esc(cfg.series.title)} \u2013 article series">${esc(cfg.series.title)}<
 <a href="${esc(cfg.url)}" class="card--featured__media" rel="author" tabindex="-1" aria-hidden="true" \
 title="${esc(cfg.title)} \u2013 featured image">\
 <picture>\
-<source srcset="/blog/featured-article.webp" type="image/webp">\
-<img src="/blog/featured-article.jpg" alt="Featured image for: ${esc(cfg.title)}" \
-width="800" height="420" loading="lazy" decoding="async" itemprop="image">\
+${image.avif ? `<source srcset="${candidates('avif')}" sizes="${IMAGE_SIZES}" type="image/avif">` : ''}\
+<source srcset="${candidates('webp')}" sizes="${IMAGE_SIZES}" type="image/webp">\
+<img src="${variantUrl(image, fallback.width, 'jpg')}" srcset="${candidates('jpg')}" sizes="${IMAGE_SIZES}" \
+alt="Featured image for: ${esc(cfg.title)}" \
+width="${fallback.width}" height="${fallback.height}" loading="lazy" decoding="async" itemprop="image">\
 </picture></a>\
 <div class="card--featured__body">\
 <span class="card--featured__label">${label}</span>\
@@ -80,54 +111,120 @@ title="${esc(cfg.title)} \u2013 read on blog.bmarwell.de">\
 <span class="card-title" itemprop="headline">${esc(cfg.title)}</span></a>\
 <span class="card-subtitle">blog.bmarwell.de</span>\
 <p class="card-desc" itemprop="description">${esc(cfg.abstract.trim())}</p>\
-${seriesHtml}</div></article></div>`;
+${seriesHtml}</div></article>`;
+}
+
+/** Merge the feed entry into the article, if it has a feed, and check required fields. */
+async function resolveArticle(article) {
+  let resolved = article;
+  if (article.feed) {
+    const source = article.feed.url ?? article.feed.file ?? article.feed;
+    const entries = await loadFeed(article.feed, {baseDir: CONFIG_DIR});
+    const entry = pickEntry(entries, {tag: article.feed.tag, series: article.feed.series});
+    console.log(`  ✓ Feed ${source}: "${entry.title}" (${entry.date_published ?? 'undated'})`);
+    resolved = mergeFeedEntry(article, entry);
+  }
+  const missing = missingFields(resolved);
+  if (missing.length > 0) {
+    throw new Error(`Featured article "${resolved.title ?? resolved.url}" is missing ${missing.join(', ')}`);
+  }
+  return resolved;
+}
+
+/**
+ * Load the article's image, check it, and write the cropped 400/800/1200w
+ * variants as mozjpeg JPEG + WebP, plus AVIF when every AVIF is smaller than
+ * its WebP (one srcset per format); returns {name, sizes, avif}.
+ */
+async function buildImage(cfg, index) {
+  const name = imageName(index);
+  const imageFile = process.env.FEATURED_IMAGE_FILE ||
+    (cfg.image_file ? path.resolve(CONFIG_DIR, cfg.image_file) : null);
+  console.log(`  → Loading image for "${cfg.title}"…`);
+  const {body: buffer, source} = await loadAsset({url: cfg.image_url, file: imageFile});
+  console.log(`  ✓ Loaded from ${source}`);
+
+  let original;
+  try {
+    original = await inspectImage(buffer, MIN_IMAGE_SIZE);
+  } catch (error) {
+    if (error instanceof ImageError) {
+      throw new ImageError(`Featured image for "${cfg.title}" (${source}): ${error.message}`);
+    }
+    throw error;
+  }
+  const sizes = variantSizes(original, IMAGE_WIDTHS, IMAGE_ASPECT_RATIO);
+  console.log(`  ✓ ${original.format} ${original.width}x${original.height} → ${
+    sizes.map(({width, height}) => `${width}x${height}`).join(', ')}`);
+
+  const avifs = [];
+  for (const {width, height} of sizes) {
+    const variant = sharp(buffer).rotate().resize(width, height, {fit: 'cover'});
+    const base = path.join(BLOG_DIR, `${name}-${width}w`);
+
+    const jpegBuffer = await variant.clone().jpeg({quality: 82, mozjpeg: true}).toBuffer();
+    await fs.writeFile(`${base}.jpg`, jpegBuffer);
+    const webpBuffer = await variant.clone().webp({quality: 80, effort: 6}).toBuffer();
+    await fs.writeFile(`${base}.webp`, webpBuffer);
+    avifs.push({file: `${base}.avif`, buffer: await smallerAvif(variant, webpBuffer.length)});
+    console.log(`  ✓ ${name}-${width}w: JPEG ${jpegBuffer.length}, WebP ${webpBuffer.length} bytes`);
+  }
+
+  const avif = avifs.every(({buffer: avifBuffer}) => avifBuffer);
+  for (const {file, buffer: avifBuffer} of avifs) {
+    if (avif) await fs.writeFile(file, avifBuffer);
+    else await fs.rm(file, {force: true});
+  }
+  console.log(avif
+    ? `  ✓ ${name} AVIF (${avifs.map(({buffer: avifBuffer}) => avifBuffer.length).join(', ')} bytes)`
+    : `  ℹ️  ${name} AVIF skipped (not smaller than the WebP at every width)`);
+  return {name, sizes, avif};
 }
 
 async function buildFeaturedArticle() {
   console.log('\n📰 Building featured article...');
 
-  const cfg = yaml.load(await fs.readFile(CONFIG_FILE, 'utf8'));
-  let html = await fs.readFile(HTML_FILE, 'utf8');
+  const cfg = await loadConfig('featuredArticle');
+  const doc = parseHtml(await fs.readFile(HTML_FILE, 'utf8'));
 
-  if (!html.includes(PLACEHOLDER)) {
-    throw new Error(`Placeholder "${PLACEHOLDER}" not found in ${HTML_FILE}`);
+  // Checked up front so a missing slot fails before any image is downloaded
+  if (querySelectorAll(doc, SLOT).length === 0) {
+    throw new HtmlTransformError(`Placeholder ${SLOT} not found in ${HTML_FILE}`);
   }
 
-  if (!cfg.enabled) {
-    console.log('  ℹ️  Featured article disabled — removing placeholder.');
-    await fs.writeFile(HTML_FILE, html.replace(PLACEHOLDER, ''));
+  const buildDate = resolveBuildDate();
+  const articles = selectArticles(cfg, buildDate);
+  if (articles.length === 0) {
+    console.log(`  ℹ️  No featured article active on ${buildDate} — removing placeholder.`);
+    replaceElement(doc, SLOT, '');
+    await fs.writeFile(HTML_FILE, serializeHtml(doc));
     console.log('✅ Featured article slot removed.\n');
     return;
   }
+  console.log(`  ℹ️  ${articles.length} article(s) active on ${buildDate}`);
 
-  // Resolve date (field is optional; fall back to parsing from URL)
-  const datePublished = cfg.date_published
-    ? String(cfg.date_published)
-    : parseDateFromUrl(cfg.url);
-  if (!cfg.date_published && datePublished) {
-    console.log(`  ℹ️  date_published not set — parsed from URL: ${datePublished}`);
-  }
-
-  // Download image
   await fs.mkdir(BLOG_DIR, {recursive: true});
-  console.log(`  → Downloading featured image…`);
-  const response = await fetch(cfg.image_url);
-  if (!response.ok) throw new Error(`HTTP ${response.status} for ${cfg.image_url}`);
-  const buffer = Buffer.from(await response.arrayBuffer());
-
-  await fs.writeFile(path.join(BLOG_DIR, 'featured-article.jpg'), buffer);
-  console.log(`  ✓ featured-article.jpg (${buffer.length} bytes)`);
-
-  const webpBuffer = await sharp(buffer).webp({quality: 85}).toBuffer();
-  await fs.writeFile(path.join(BLOG_DIR, 'featured-article.webp'), webpBuffer);
-  const pct = Math.round((1 - webpBuffer.length / buffer.length) * 100);
-  console.log(`  ✓ featured-article.webp (${webpBuffer.length} bytes, ${
-    pct >= 0 ? pct + '% smaller' : Math.abs(pct) + '% larger than JPEG'})`);
+  const cards = [];
+  for (const [index, selected] of articles.entries()) {
+    const article = await resolveArticle(selected);
+
+    // Resolve date (field is optional; fall back to parsing from URL)
+    const datePublished = article.date_published
+      ? String(article.date_published)
+      : parseDateFromUrl(article.url);
+    if (!article.date_published && datePublished) {
+      console.log(`  ℹ️  date_published not set — parsed from URL: ${datePublished}`);
+    }
+
+    const image = await buildImage(article, index);
+    cards.push(generateCardHtml(article, datePublished, image));
+  }
 
   // Inject
-  const cardHtml = generateCardHtml(cfg, datePublished);
-  await fs.writeFile(HTML_FILE, html.replace(PLACEHOLDER, cardHtml));
-  console.log('✅ Featured article card injected.\n');
+  const sectionHtml = `<h2>From the Blog</h2><div class="container">${cards.join('')}</div>`;
+  replaceElement(doc, SLOT, sectionHtml);
+  await fs.writeFile(HTML_FILE, serializeHtml(doc));
+  console.log(`✅ ${cards.length} featured article card(s) injected.\n`);
 }
 
 buildFeaturedArticle().catch((err) => {
@@ -1,64 +1,98 @@
 #!/usr/bin/env node
 /**
- * Build HTML: minify and copy static files
+ * Build HTML: render every page under src/main/html (see lib/pages.js) with
+ * the shared partials, the profile cards and sameAs from profiles.yml and
+ * the favicon links from favicon.yml, minify it and copy the static files
  */
 import { promises as fs } from 'fs';
 import { execSync } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { loadConfig } from './lib/config-schemas.js';
+import { renderFaviconLinks } from './lib/favicon.js';
+import { walkFiles } from './lib/files.js';
+import { parseHtml, querySelectorAll, serializeHtml, setText, updateJsonLd } from './lib/html-transform.js';
+import { listPages, loadPartials, pageUrl, parsePage, renderPage } from './lib/pages.js';
+import { renderProfileCards, sameAsUrls } from './lib/profiles.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.join(__dirname, '..');
 const SRC_DIR = path.join(__dirname, '../src/main/html');
+const PARTIALS_DIR = path.join(__dirname, '../src/main/partials');
 const DIST_DIR = path.join(__dirname, '../dist');
+const ICONS_DIR = path.join(__dirname, '../src/main/resources/icons');
+
+const MINIFY_OPTIONS = [
+  '--collapse-whitespace',
+  '--remove-comments',
+  '--remove-optional-tags',
+  '--remove-redundant-attributes',
+  '--remove-script-type-attributes',
+  '--use-short-doctype',
+  '--minify-css true',
+  '--minify-js true',
+  '--minify-urls true',
+  '--process-scripts "application/ld+json"',
+];
+
+async function buildPage(page, { partials, placeholders, profiles }) {
+  const file = path.join(SRC_DIR, page);
+  const source = await fs.readFile(file, 'utf8');
+  const html = renderPage(parsePage(source, path.relative(ROOT_DIR, file)), {
+    url: pageUrl(page),
+    partials,
+    placeholders,
+  });
+
+  const doc = parseHtml(html);
+  // Profile cards and JSON-LD sameAs come from the same list
+  if (source.includes('{{PROFILE_CARDS}}')) updateJsonLd(doc, 'mainEntity.sameAs', sameAsUrls(profiles));
+  if (querySelectorAll(doc, '#copyright-year').length > 0) {
+    setText(doc, '#copyright-year', String(new Date().getFullYear()));
+  }
+
+  // Write to a temp file next to the output, then minify
+  const output = path.join(DIST_DIR, page);
+  const tempFile = output.replace(/\.html$/, '.temp.html');
+  await fs.mkdir(path.dirname(output), { recursive: true });
+  await fs.writeFile(tempFile, serializeHtml(doc));
+  execSync(`html-minifier-terser ${MINIFY_OPTIONS.join(' ')} -o "${output}" "${tempFile}"`, { stdio: 'inherit' });
+  await fs.unlink(tempFile);
+}
 
 async function main() {
   console.log('\n📄 Building HTML...');
-  
+
   // Create dist directory
   await fs.mkdir(DIST_DIR, { recursive: true });
-  
-  // Read source HTML and replace year placeholder
-  console.log('  Processing index.html...');
-  let html = await fs.readFile(path.join(SRC_DIR, 'index.html'), 'utf8');
-  const currentYear = new Date().getFullYear();
-  html = html.replace(/\{\{YEAR\}\}/g, currentYear);
-
-  // Write to temp file
-  const tempFile = path.join(DIST_DIR, 'index.temp.html');
-  await fs.writeFile(tempFile, html);
 
-  // Minify HTML
-  console.log('  Minifying index.html...');
-  execSync(
-    'html-minifier-terser ' +
-    '--collapse-whitespace ' +
-    '--remove-comments ' +
-    '--remove-optional-tags ' +
-    '--remove-redundant-attributes ' +
-    '--remove-script-type-attributes ' +
-    '--use-short-doctype ' +
-    '--minify-css true ' +
-    '--minify-js true ' +
-    '--minify-urls true ' +
-    `--process-scripts "application/ld+json" ` +
-    `-o ${DIST_DIR}/index.html ${tempFile}`,
-    { stdio: 'inherit' }
-  );
+  const { profiles } = await loadConfig('profiles');
+  const cards = await renderProfileCards(profiles, ICONS_DIR);
+  // Icon links match the files generate-favicon.js writes
+  const links = renderFaviconLinks(await loadConfig('favicon'));
+  const context = {
+    partials: await loadPartials(PARTIALS_DIR),
+    placeholders: { PROFILE_CARDS: cards.trimStart(), FAVICON_LINKS: links },
+    profiles,
+  };
 
-  // Clean up temp file
-  await fs.unlink(tempFile);
+  const pages = await listPages(SRC_DIR);
+  if (!pages.includes('index.html')) throw new Error('src/main/html/index.html not found');
+  for (const page of pages) {
+    console.log(`  Building ${page}...`);
+    await buildPage(page, context);
+  }
+  console.log(`    ✓ ${pages.length} page(s), ${profiles.length} profile cards, ${sameAsUrls(profiles).length} sameAs URLs`);
 
-  // Copy static files
+  // Everything else under src/main/html is copied as is
   console.log('  Copying static files...');
-  const staticFiles = ['.htaccess', 'robots.txt', 'bmarwell-apache.asc', 'bmarwell-personal.asc'];
-  
-  for (const file of staticFiles) {
-    const src = path.join(SRC_DIR, file);
+  for (const file of (await walkFiles(SRC_DIR)).filter((name) => !name.endsWith('.html'))) {
     const dest = path.join(DIST_DIR, file);
-    await fs.copyFile(src, dest);
+    await fs.mkdir(path.dirname(dest), { recursive: true });
+    await fs.copyFile(path.join(SRC_DIR, file), dest);
     console.log(`    ✓ ${file}`);
   }
-  
+
   console.log('✅ HTML built!\n');
 }
 
@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+/**
+ * Full site build: runs the build steps as a dependency graph with
+ * incremental caching (see lib/pipeline.js) and prints per-step timings.
+ *
+ * Usage: node scripts/build.js [--force] [--offline] [--date YYYY-MM-DD]
+ *   --force    ignore the cache and run every step
+ *   --offline  use only cached copies of remote assets (see lib/remote.js)
+ *   --date     build as of this date, e.g. to preview scheduled featured articles
+ */
+import {readdirSync, statSync} from 'fs';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {resolveBuildDate} from './lib/featured.js';
+import {formatTimings, runPipeline} from './lib/pipeline.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.join(__dirname, '..');
+const CACHE_DIR = path.join(ROOT_DIR, '.cache/build');
+
+/** A local override file named by an env var is an input of its step. */
+function overrideInputs(envVar) {
+  const file = process.env[envVar];
+  return file ? [path.relative(ROOT_DIR, path.resolve(file))] : [];
+}
+
+/** Everything under src/main/html lands at the same path in dist/: the pages and the static files. */
+function htmlOutputs() {
+  const srcDir = path.join(ROOT_DIR, 'src/main/html');
+  return readdirSync(srcDir, {recursive: true})
+    .filter((file) => statSync(path.join(srcDir, file)).isFile())
+    .map((file) => `dist/${file.split(path.sep).join('/')}`);
+}
+
+/** @type {import('./lib/pipeline.js').Step[]} */
+const STEPS = [
+  {
+    name: 'validate',
+    script: 'scripts/validate.js',
+    inputs: ['src/main/resources/**'],
+  },
+  {
+    name: 'html',
+    script: 'scripts/build-html.js',
+    inputs: [
+      'src/main/html/**',
+      'src/main/partials/**',
+      'src/main/resources/profiles.yml',
+      'src/main/resources/icons/**',
+      'src/main/resources/favicon.yml',
+    ],
+    outputs: htmlOutputs(),
+    key: () => String(new Date().getFullYear()),
+  },
+  {
+    name: 'sitemap',
+    script: 'scripts/generate-sitemap.js',
+    after: ['html'],
+    // lastmod comes from git history, which is not a file input
+    cache: false,
+  },
+  {
+    name: 'avatar',
+    script: 'scripts/download-avatar.js',
+    after: ['html'],
+    // Points the header picture of every page at the local avatar
+    inputs: ['dist/**/*.html', ...overrideInputs('AVATAR_FILE')],
+    outputs: ['dist/**/*.html', 'dist/avatar*.{png,jpg,webp,avif}'],
+    env: ['AVATAR_URL', 'AVATAR_FILE'],
+  },
+  {
+    name: 'featured',
+    script: 'scripts/build-featured-article.js',
+    // Both rewrite dist/index.html in place, so they must not run concurrently
+    after: ['validate', 'avatar'],
+    inputs: [
+      'src/main/resources/**',
+      'dist/index.html',
+      ...overrideInputs('FEATURED_IMAGE_FILE'),
+    ],
+    outputs: ['dist/index.html', 'dist/blog/**'],
+    // BUILD_DATE is always set by main(), so the date is part of the key
+    env: ['FEATURED_IMAGE_FILE', 'BUILD_DATE'],
+  },
+  {
+    name: 'pgp',
+    script: 'scripts/verify-pgp-keys.js',
+    // Renders expiry dates into dist/index.html, so it runs after the other rewrites
+    after: ['featured'],
+    inputs: ['dist/index.html', 'dist/*.asc'],
+    outputs: ['dist/index.html'],
+    env: ['PGP_EXPIRY_WARN_DAYS', 'BUILD_DATE'],
+  },
+  {
+    name: 'social',
+    script: 'scripts/generate-social-cards.js',
+    // Uses the avatar and featured images and rewrites the meta tags of
+    // dist/index.html, after the other rewrites
+    after: ['pgp'],
+    inputs: [
+      'dist/index.html',
+      'dist/avatar-460w.jpg',
+      'dist/blog/*.jpg',
+      'src/main/resources/favicon.yml',
+      'node_modules/@fontsource/roboto/files/roboto-latin-{400,700}-normal.woff',
+    ],
+    outputs: ['dist/index.html', 'dist/social/**'],
+  },
+  {
+    name: 'wkd',
+    script: 'scripts/generate-wkd.js',
+    after: ['html'],
+    inputs: ['dist/*.asc'],
+    outputs: ['dist/.well-known/openpgpkey/**'],
+  },
+  {
+    name: 'favicon',
+    script: 'scripts/generate-favicon.js',
+    inputs: ['src/main/resources/favicon.yml', 'node_modules/firacode/distr/ttf/FiraCode-Bold.ttf'],
+    outputs: [
+      'dist/favicon*',
+      'dist/apple-touch-icon.png',
+      'dist/android-chrome-*',
+      'dist/maskable-icon-*',
+      'dist/safari-pinned-tab.svg',
+    ],
+  },
+  {
+    name: 'fonts',
+    script: 'scripts/subset-fonts.js',
+    // Subsets to the final text of all pages, so it runs after the text rewrites
+    after: ['social'],
+    inputs: ['dist/**/*.html', 'node_modules/@fontsource/roboto/files/roboto-latin-{300,400,500}-normal.woff'],
+    outputs: ['dist/**/*.html', 'dist/fonts/**'],
+  },
+  {
+    name: 'webmanifest',
+    script: 'scripts/generate-webmanifest.js',
+    // Reads the page metadata, so it waits for the last index.html rewrite
+    after: ['fonts'],
+    inputs: [
+      'dist/index.html',
+      'src/main/resources/favicon.yml',
+      'src/main/resources/profiles.yml',
+    ],
+    outputs: ['dist/site.webmanifest'],
+  },
+  {
+    name: 'assets',
+    script: 'scripts/fingerprint-assets.js',
+    // Renames the outputs of earlier steps and rewrites the pages, so it
+    // must run after all of them; cheap enough to always run
+    after: ['favicon', 'webmanifest'],
+    cache: false,
+  },
+  {
+    name: 'compress',
+    script: 'scripts/compress.js',
+    after: ['sitemap', 'wkd', 'assets'],
+    inputs: ['dist/**'],
+    outputs: ['dist/**/*.{zst,br,gz}'],
+    env: ['ZSTD_LEVEL', 'BROTLI_LEVEL', 'GZIP_LEVEL'],
+  },
+  {
+    name: 'htaccess',
+    script: 'scripts/generate-htaccess.js',
+    after: ['compress'],
+    cache: false,
+  },
+  {
+    name: 'manifest',
+    script: 'scripts/write-dist-manifest.js',
+    // Describes the final dist/, including the generated .htaccess
+    after: ['htaccess'],
+    cache: false,
+  },
+];
+
+async function main() {
+  const force = process.argv.includes('--force');
+  const offline = process.argv.includes('--offline');
+  const buildDate = resolveBuildDate();
+  const modes = [force && 'cache disabled', offline && 'offline', `date ${buildDate}`].filter(Boolean);
+  console.log(`\n🏗️  Building site (${modes.join(', ')})...`);
+
+  const env = {...process.env, BUILD_DATE: buildDate};
+  if (offline) env.BUILD_OFFLINE = '1';
+  const start = performance.now();
+  const results = await runPipeline(STEPS, {rootDir: ROOT_DIR, cacheDir: CACHE_DIR, force, env});
+
+  console.log('\n⏱️  Build steps:');
+  console.log(formatTimings(results, performance.now() - start));
+
+  const failed = results.filter((r) => r.status === 'failed' || r.status === 'skipped');
+  if (failed.length > 0) {
+    throw new Error(`${failed.map((r) => `${r.name} (${r.status})`).join(', ')}`);
+  }
+  console.log('\n✅ Build complete!\n');
+}
+
+main().catch((error) => {
+  console.error('\n❌ Build failed:', error.message);
+  process.exit(1);
+});
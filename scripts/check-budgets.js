@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Check dist/ against the performance budgets in
+ * src/main/resources/budgets.yml (lib/budgets.js) and list files that no
+ * page, manifest or sitemap references. Exceeded budgets fail; orphaned
+ * files are only reported.
+ */
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {checkBudgets} from './lib/budgets.js';
+import {loadConfig} from './lib/config-schemas.js';
+import {formatBytes} from './lib/dist-manifest.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DIST_DIR = path.join(__dirname, '../dist');
+
+function formatValue(value, unit) {
+  return unit === 'bytes' ? formatBytes(value) : `${value} ${unit}`;
+}
+
+async function main() {
+  console.log('\n⚖️  Checking performance budgets...');
+
+  const budgets = await loadConfig('budgets');
+  const {results, orphans} = await checkBudgets(DIST_DIR, budgets);
+
+  for (const result of results) {
+    const usage = `${formatValue(result.actual, result.unit)} of ${formatValue(result.limit, result.unit)}`;
+    console.log(`  ${result.ok ? '✓' : '❌'} ${result.name}: ${usage}`);
+    if (!result.ok) {
+      for (const {file, size} of result.files) {
+        console.log(`      - ${file}${size === undefined ? '' : ` (${formatBytes(size)})`}`);
+      }
+    }
+  }
+
+  if (orphans.length > 0) {
+    console.warn(`  ⚠️  ${orphans.length} files in dist/ are not referenced anywhere:`);
+    orphans.forEach((file) => console.warn(`      - ${file}`));
+  }
+
+  const failed = results.filter((result) => !result.ok);
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} budget(s) exceeded: ${failed.map((result) => result.name).join(', ')}`);
+  }
+  console.log('✅ All budgets met!\n');
+}
+
+main().catch((error) => {
+  console.error('❌ Budget check failed:', error.message);
+  process.exit(1);
+});
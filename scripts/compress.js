@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+/**
+ * Pre-compress every compressible artifact in dist/ with Zstandard, Brotli and Gzip.
+ * Levels default to the maximum and can be lowered via ZSTD_LEVEL, BROTLI_LEVEL
+ * and GZIP_LEVEL for faster CI builds.
+ * Variants that are not smaller than the original are dropped.
+ */
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {compressDist, ENCODINGS} from './lib/compression.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DIST_DIR = path.join(__dirname, '../dist');
+
+async function main() {
+  const levels = ENCODINGS.map((e) => `${e.name} ${e.level}`).join(', ');
+  console.log(`\n🗜️  Compressing (${levels})...`);
+
+  const results = await compressDist(DIST_DIR);
+
+  let written = 0;
+  for (const {file, variants} of results) {
+    for (const v of variants) {
+      if (v.kept) {
+        const ratio = ((1 - v.compressedSize / v.originalSize) * 100).toFixed(2);
+        console.log(`  ✓ ${file}${v.extension} - ${v.originalSize} → ${v.compressedSize} bytes (${ratio}% reduction)`);
+        written++;
+      } else {
+        console.log(`  ℹ️  ${file}${v.extension} dropped - not smaller than ${v.originalSize} bytes`);
+      }
+    }
+  }
+
+  console.log(`✅ ${written} compressed variants for ${results.length} files!\n`);
+}
+
+main().catch((error) => {
+  console.error('❌ Compression failed:', error.message);
+  process.exit(1);
+});
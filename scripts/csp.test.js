@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import crypto from 'crypto';
+import { buildPolicy, hashSource, inlineBlocks, renderSecurityHeaders } from './lib/csp.js';
+import { parseHtaccess } from './lib/htaccess-server.js';
+
+const HTML = [
+  '<style>body{margin:0}</style>',
+  '<script type="application/ld+json">{"@type":"Person"}</script>',
+  '<script src="https://stats.bmarwell.de/matomo.js"></script>',
+  '<script>var _paq=[]</script>',
+  '<img src="/a.png" style="border:0" alt="">',
+  '<svg><path style=\'fill:#f36c21\'/><path style="content:&quot;x&quot;"/></svg>',
+].join('');
+
+describe('inlineBlocks', () => {
+  it('should find inline scripts, styles and style attributes', () => {
+    expect(inlineBlocks(HTML)).toEqual({
+      scripts: ['{"@type":"Person"}', 'var _paq=[]'],
+      styles: ['body{margin:0}'],
+      styleAttributes: ['border:0', 'fill:#f36c21', 'content:"x"'],
+    });
+  });
+
+  it('should hash like the CSP spec example', () => {
+    const expected = crypto.createHash('sha256').update('alert(1)').digest('base64');
+    expect(hashSource('alert(1)')).toBe(`'sha256-${expected}'`);
+  });
+});
+
+describe('buildPolicy', () => {
+  it('should allow exactly the inline blocks and the stats origin', () => {
+    const directives = Object.fromEntries(buildPolicy(HTML).split('; ')
+      .map((directive) => directive.split(' '))
+      .map(([name, ...sources]) => [name, sources]));
+
+    expect(directives['default-src']).toEqual(["'none'"]);
+    expect(directives['script-src']).toEqual([
+      hashSource('{"@type":"Person"}'), hashSource('var _paq=[]'), 'https://stats.bmarwell.de',
+    ]);
+    expect(directives['style-src']).toEqual([
+      hashSource('body{margin:0}'), "'unsafe-hashes'",
+      hashSource('border:0'), hashSource('fill:#f36c21'), hashSource('content:"x"'),
+    ]);
+    expect(directives['img-src']).toEqual(["'self'", 'https://stats.bmarwell.de']);
+    expect(directives['connect-src']).toBeUndefined();
+  });
+
+  it('should not allow unsafe-hashes without style attributes', () => {
+    expect(buildPolicy('<style>p{}</style>')).toContain(`style-src ${hashSource('p{}')};`);
+  });
+
+  it('should allow the inline blocks of every page once', () => {
+    const policy = buildPolicy(['<style>p{}</style><script>a()</script>', '<style>p{}</style><script>b()</script>']);
+    expect(policy).toContain(`script-src ${hashSource('a()')} ${hashSource('b()')} https://stats.bmarwell.de;`);
+    expect(policy).toContain(`style-src ${hashSource('p{}')};`);
+  });
+
+  it('should render header directives the .htaccess parser accepts', () => {
+    const policy = buildPolicy(HTML);
+    const config = parseHtaccess(renderSecurityHeaders(policy));
+    expect(config.headers.map((h) => h.name)).toEqual([
+      'Content-Security-Policy', 'Referrer-Policy', 'Permissions-Policy', 'X-Content-Type-Options',
+    ]);
+    expect(config.headers[0].value).toBe(policy);
+  });
+});
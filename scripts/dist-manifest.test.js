@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import {
+  buildManifest, diffManifests, loadManifest, MANIFEST_FILE, renderMarkdown, renderTable,
+} from './lib/dist-manifest.js';
+
+let tmpDir;
+
+beforeEach(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dist-manifest-'));
+});
+
+afterEach(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+function entry(raw, sha256 = `sha-${raw}`, { gzip = null, brotli = null, zstd = null } = {}) {
+  return { sha256, raw, gzip, brotli, zstd };
+}
+
+function manifest(files) {
+  return { version: 1, date: '2026-01-01', commit: null, files };
+}
+
+describe('buildManifest', () => {
+  it('should fold compressed variants into their original', async () => {
+    await fs.mkdir(path.join(tmpDir, 'fonts'));
+    await fs.writeFile(path.join(tmpDir, 'index.html'), 'a'.repeat(100));
+    await fs.writeFile(path.join(tmpDir, 'index.html.br'), 'b'.repeat(20));
+    await fs.writeFile(path.join(tmpDir, 'index.html.gz'), 'g'.repeat(30));
+    await fs.writeFile(path.join(tmpDir, 'fonts/a.woff2'), 'f'.repeat(50));
+    await fs.writeFile(path.join(tmpDir, 'stray.gz'), 'x');
+    await fs.writeFile(path.join(tmpDir, MANIFEST_FILE), '{}');
+
+    const result = await buildManifest(tmpDir, { date: '2026-01-01', commit: 'abc' });
+    expect(result).toMatchObject({ version: 1, date: '2026-01-01', commit: 'abc' });
+    expect(Object.keys(result.files)).toEqual(['fonts/a.woff2', 'index.html', 'stray.gz']);
+    expect(result.files['index.html']).toEqual({
+      sha256: '2816597888e4a0d3a36b82b83316ab32680eb8f00f8cd3b904d681246d285a0e',
+      raw: 100, gzip: 30, brotli: 20, zstd: null,
+    });
+    expect(result.files['fonts/a.woff2']).toMatchObject({ raw: 50, gzip: null });
+  });
+
+  it('should reject files that are not a dist manifest', async () => {
+    const file = path.join(tmpDir, 'other.json');
+    await fs.writeFile(file, '{"name": "site"}');
+    await expect(loadManifest(file)).rejects.toThrow(/not a version 1 dist manifest/);
+  });
+});
+
+describe('loadManifest', () => {
+  it('should fetch a manifest URL through the remote cache and reuse it offline', async () => {
+    const deployed = manifest({ 'index.html': entry(100) });
+    let requests = 0;
+    const server = http.createServer((req, res) => {
+      requests++;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(deployed));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/${MANIFEST_FILE}`;
+    const cacheDir = path.join(tmpDir, 'cache');
+
+    try {
+      expect(await loadManifest(url, { cacheDir, offline: false })).toEqual(deployed);
+      expect(await loadManifest(url, { cacheDir, offline: true })).toEqual(deployed);
+      expect(requests).toBe(1);
+      await expect(loadManifest(`${url}?other`, { cacheDir, offline: true }))
+        .rejects.toThrow(/Offline and no cached copy/);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
+
+describe('diffManifests', () => {
+  const base = manifest({
+    'index.html': entry(1000, 'old', { brotli: 300 }),
+    'avatar.11111111.jpg': entry(5000, 'a1'),
+    'robots.txt': entry(50),
+    'old.txt': entry(10),
+  });
+  const head = manifest({
+    'index.html': entry(1200, 'new', { brotli: 330 }),
+    'avatar.22222222.jpg': entry(4000, 'a2'),
+    'robots.txt': entry(50),
+    'new.svg': entry(700),
+  });
+
+  it('should pair renamed hashed assets and sort by size change', () => {
+    const { rows, totals } = diffManifests(base, head);
+    expect(rows.map((row) => [row.file, row.status])).toEqual([
+      ['avatar.jpg', 'changed'],
+      ['new.svg', 'added'],
+      ['index.html', 'changed'],
+      ['old.txt', 'removed'],
+      ['robots.txt', 'unchanged'],
+    ]);
+    // Files without a brotli variant count at their raw size
+    expect(totals.before).toMatchObject({ raw: 6060, brotli: 5360 });
+    expect(totals.after).toMatchObject({ raw: 5950, brotli: 5080 });
+  });
+
+  it('should render a Markdown table without unchanged files', () => {
+    const markdown = renderMarkdown(diffManifests(base, head));
+    expect(markdown).toContain('| File | raw | gzip | brotli | zstd |');
+    expect(markdown).toContain('| `avatar.jpg` | 4.9 KiB → 3.9 KiB (-1000 B, -20.0%) |');
+    expect(markdown).toContain('| `new.svg` (added) | – → 700 B | – | – | – |');
+    expect(markdown).toContain('| `index.html` | 1000 B → 1.2 KiB (+200 B, +20.0%) | – | 300 B → 330 B (+30 B, +10.0%) | – |');
+    expect(markdown).toContain('| **Total** | **5.9 KiB → 5.8 KiB (-110 B, -1.8%)** |');
+    expect(markdown).not.toContain('robots.txt');
+  });
+
+  it('should say so when nothing changed', () => {
+    const table = renderTable(diffManifests(base, base));
+    expect(table).toContain('No output files changed.');
+    expect(table.split('\n')[0]).toMatch(/^File\s+raw\s+gzip\s+brotli\s+zstd$/);
+  });
+});
@@ -2,56 +2,46 @@
 /**
  * Download avatar from GitHub, optimize it, and optionally pre-compress.
  * Falls back to external URL if download fails.
+ *
+ * Overrides: AVATAR_URL (other remote image), AVATAR_FILE (local file).
  */
 import {promises as fs} from 'fs';
 import path from 'path';
 import {fileURLToPath} from 'url';
-import https from 'https';
 import imagemin from 'imagemin';
 import imageminOptipng from 'imagemin-optipng';
 import imageminMozjpeg from 'imagemin-mozjpeg';
 import sharp from 'sharp';
+import {walkFiles} from './lib/files.js';
+import {insertSource, querySelectorAll, setAttribute, transformHtmlFile, updateJsonLd} from './lib/html-transform.js';
+import {smallerAvif} from './lib/images.js';
+import {loadAsset} from './lib/remote.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const AVATAR_URL = 'https://github.com/bmarwell.png';
+const AVATAR_URL = process.env.AVATAR_URL || 'https://github.com/bmarwell.png';
 const AVATAR_DEST_DIR = path.join(__dirname, '../dist');
-const HTML_FILE = path.join(__dirname, '../dist/index.html');
+// The page with the JSON-LD profile; every page shows the avatar in its header
+const HTML_FILE = 'index.html';
+const AVATAR_PICTURE = 'header picture';
+
+// Responsive widths; the header shows the avatar at 100 CSS px (see the head partial)
+const AVATAR_WIDTHS = [150, 300, 460];
+const AVATAR_SIZES = '100px';
 
 let AVATAR_FILENAME = 'avatar.png'; // Will be updated based on actual format
-let AVATAR_WEBP_FILENAME = 'avatar.webp'; // WebP version
 let AVATAR_DEST = path.join(AVATAR_DEST_DIR, AVATAR_FILENAME);
+// {width, jpg, webp, avif} file names per responsive width; avif is null unless AVIF wins at every width
+const AVATAR_VARIANTS = [];
 
 async function downloadAvatar() {
-  console.log('\n🖼️  Downloading avatar from GitHub...');
-
-  return new Promise((resolve, reject) => {
-    const download = (url) => {
-      https.get(url, (response) => {
-        // Follow redirects
-        if (response.statusCode === 301 || response.statusCode === 302) {
-          const redirectUrl = response.headers.location;
-          console.log(`  → Following redirect to ${redirectUrl}`);
-          download(redirectUrl);
-          return;
-        }
-
-        if (response.statusCode !== 200) {
-          reject(new Error(
-            `HTTP ${response.statusCode}: ${response.statusMessage}`));
-          return;
-        }
-
-        const chunks = [];
-        response.on('data', (chunk) => chunks.push(chunk));
-        response.on('end', () => {
-          const buffer = Buffer.concat(chunks);
-          resolve(buffer);
-        });
-      }).on('error', reject);
-    };
-
-    download(AVATAR_URL);
-  });
+  const file = process.env.AVATAR_FILE;
+  console.log(file
+    ? `\n🖼️  Using local avatar override ${file}...`
+    : '\n🖼️  Downloading avatar from GitHub...');
+
+  const {body, source} = await loadAsset({url: AVATAR_URL, file});
+  console.log(`  → Loaded from ${source}`);
+  return body;
 }
 
 async function optimizeImage(filePath) {
@@ -107,149 +97,113 @@ async function optimizeImage(filePath) {
       `  ℹ️  Already optimal: ${originalSize} bytes (GitHub's version is well-optimized)`);
   }
 
-  // Create WebP version
-  await createWebP(correctPath, originalSize);
+  await createVariants(correctPath);
 }
 
-async function createWebP(sourcePath, originalSize) {
-  console.log('\n🖼️  Creating WebP version and responsive sizes...');
-
-  const webpPath = sourcePath.replace(/\.(jpg|jpeg|png)$/, '.webp');
-
-  const qualities = [80, 75, 70, 65, 60];
-
-  for (const quality of qualities) {
-    try {
-      const webpBuffer = await sharp(sourcePath)
-        .webp({quality, effort: 6})
-        .toBuffer();
-
-      if (webpBuffer.length < originalSize) {
-        await fs.writeFile(webpPath, webpBuffer);
-        const savings = originalSize - webpBuffer.length;
-        const ratio = ((1 - webpBuffer.length / originalSize) * 100).toFixed(2);
-        console.log(
-          `  ✓ WebP created: ${originalSize} → ${webpBuffer.length} bytes (saved ${savings}, ${ratio}% at quality ${quality})`);
-
-        AVATAR_WEBP_FILENAME = path.basename(webpPath);
-        break;
-      }
-    } catch (error) {
-      console.log(`  ⚠️  WebP quality ${quality} failed: ${error.message}`);
-    }
-  }
-
-  if (!AVATAR_WEBP_FILENAME) {
-    console.log(
-      `  ⚠️  Could not create WebP smaller than original ${originalSize} bytes`);
-  }
-
-  console.log('\n📐 Creating responsive sizes...');
-  const sizes = [150, 300, 460];
+async function createVariants(sourcePath) {
+  console.log('\n📐 Creating responsive JPEG/WebP/AVIF sizes...');
 
-  for (const size of sizes) {
-    const jpgPath = sourcePath.replace(/\.(jpg|jpeg|png)$/, `-${size}w.jpg`);
-    const webpResPath = sourcePath.replace(/\.(jpg|jpeg|png)$/,
-      `-${size}w.webp`);
+  const avifs = [];
+  for (const width of AVATAR_WIDTHS) {
+    const variantPath = (ext) => sourcePath.replace(/\.(jpg|jpeg|png)$/, `-${width}w.${ext}`);
 
     const jpgBuffer = await sharp(sourcePath)
-      .resize(size, size, {fit: 'cover'})
+      .resize(width, width, {fit: 'cover'})
       .jpeg({quality: 85, mozjpeg: true})
       .toBuffer();
-    await fs.writeFile(jpgPath, jpgBuffer);
-    console.log(`  ✓ ${path.basename(jpgPath)} (${jpgBuffer.length} bytes)`);
+    await fs.writeFile(variantPath('jpg'), jpgBuffer);
 
-    const webpResBuffer = await sharp(sourcePath)
-      .resize(size, size, {fit: 'cover'})
+    const webpBuffer = await sharp(sourcePath)
+      .resize(width, width, {fit: 'cover'})
       .webp({quality: 75, effort: 6})
       .toBuffer();
-    await fs.writeFile(webpResPath, webpResBuffer);
-    console.log(
-      `  ✓ ${path.basename(webpResPath)} (${webpResBuffer.length} bytes)`);
+    await fs.writeFile(variantPath('webp'), webpBuffer);
+    console.log(`  ✓ avatar-${width}w: JPEG ${jpgBuffer.length}, WebP ${webpBuffer.length} bytes`);
+
+    avifs.push({file: variantPath('avif'), buffer: await smallerAvif(sourcePath, webpBuffer.length, {width, height: width})});
+    AVATAR_VARIANTS.push({width, jpg: path.basename(variantPath('jpg')), webp: path.basename(variantPath('webp')), avif: null});
   }
+
+  // One <source> per format, so AVIF is only offered if it wins at every width
+  const avif = avifs.every(({buffer}) => buffer);
+  for (const [index, {file, buffer}] of avifs.entries()) {
+    if (avif) {
+      await fs.writeFile(file, buffer);
+      AVATAR_VARIANTS[index].avif = path.basename(file);
+    } else {
+      await fs.rm(file, {force: true});
+    }
+  }
+  console.log(avif
+    ? `  ✓ avatar AVIF (${avifs.map(({buffer}) => buffer.length).join(', ')} bytes)`
+    : '  ℹ️  avatar AVIF skipped (not smaller than the WebP at every width)');
+}
+
+/** srcset of the variants that have ext, e.g. '/avatar-150w.webp 150w, /avatar-300w.webp 300w'. */
+function variantSrcset(ext) {
+  return AVATAR_VARIANTS.filter((variant) => variant[ext])
+    .map((variant) => `/${variant[ext]} ${variant.width}w`)
+    .join(', ');
 }
 
 async function updateHTMLReferences() {
   console.log('📝 Updating HTML to use local avatar...');
 
-  let html = await fs.readFile(HTML_FILE, 'utf-8');
-
   const avatarPath = `/${AVATAR_FILENAME}`;
-  const avatarWebpPath = AVATAR_WEBP_FILENAME ? `/${AVATAR_WEBP_FILENAME}`
-    : null;
   const avatarFullUrl = `https://bmarwell.de${avatarPath}`;
+  const hasAvif = AVATAR_VARIANTS.some((variant) => variant.avif);
 
   const metadata = await sharp(AVATAR_DEST).metadata();
   const {width, height} = metadata;
 
-  console.log(
-    `  Using: ${avatarPath}${avatarWebpPath ? ' (with WebP: ' + avatarWebpPath
-      + ')' : ''}`);
+  console.log(`  Using: ${avatarPath} with ${AVATAR_WIDTHS.join('/')}w variants`);
   console.log(`  Dimensions: ${width}x${height}`);
 
-  if (avatarWebpPath) {
-    html = html.replace(
-      /srcset="https:\/\/github\.com\/bmarwell\.png"/g,
-      `srcset="/avatar-150w.webp 150w, /avatar-300w.webp 300w, /avatar-460w.webp 460w" sizes="(max-width: 460px) 150px, (max-width: 768px) 300px, 460px"`
-    );
+  // Sources in AVIF → WebP → JPEG order; the full-size image stays the <img> fallback and JSON-LD image
+  const pages = (await walkFiles(AVATAR_DEST_DIR)).filter((file) => file.endsWith('.html'));
+  for (const page of pages) {
+    await transformHtmlFile(path.join(AVATAR_DEST_DIR, page), (doc) => {
+      if (page !== HTML_FILE && querySelectorAll(doc, AVATAR_PICTURE).length === 0) return;
+      setAttribute(doc, `${AVATAR_PICTURE} > img`, 'src', avatarPath);
+      setAttribute(doc, `${AVATAR_PICTURE} > img`, 'srcset', variantSrcset('jpg'));
+      setAttribute(doc, `${AVATAR_PICTURE} > img`, 'sizes', AVATAR_SIZES);
+      insertSource(doc, AVATAR_PICTURE, {srcset: variantSrcset('webp'), sizes: AVATAR_SIZES, type: 'image/webp'});
+      if (hasAvif) {
+        insertSource(doc, AVATAR_PICTURE, {srcset: variantSrcset('avif'), sizes: AVATAR_SIZES, type: 'image/avif'});
+      }
+      if (page === HTML_FILE) updateJsonLd(doc, 'mainEntity.image', avatarFullUrl);
+    });
   }
 
-  html = html.replace(
-    /src="https:\/\/github\.com\/bmarwell\.png"/g,
-    `srcset="/avatar-150w.jpg 150w, /avatar-300w.jpg 300w, /avatar-460w.jpg 460w" sizes="(max-width: 460px) 150px, (max-width: 768px) 300px, 460px" src="${avatarPath}"`
-  );
-
-  html = html.replace(
-    /content="https:\/\/github\.com\/bmarwell\.png"/g,
-    `content="${avatarFullUrl}"`
-  );
-
-  html = html.replace(
-    /"image":\s*"https:\/\/github\.com\/bmarwell\.png"/g,
-    `"image":"${avatarFullUrl}"`
-  );
-
-  html = html.replace(
-    /<meta property="og:image:width" content="\d+">/g,
-    `<meta property="og:image:width" content="${width}">`
-  );
-
-  html = html.replace(
-    /<meta property="og:image:height" content="\d+">/g,
-    `<meta property="og:image:height" content="${height}">`
-  );
-
-  await fs.writeFile(HTML_FILE, html);
-  console.log(`✓ Updated HTML with ${avatarWebpPath
-    ? 'picture element (WebP + JPEG fallback)' : 'img element'}`);
-  console.log(`✓ Updated OG image dimensions: ${width}x${height}`);
+  console.log(`✓ Updated HTML with picture element (${hasAvif ? 'AVIF + ' : ''}WebP + JPEG srcset)`);
 }
 
 async function main() {
+  let imageData;
   try {
-    // Download avatar
-    const imageData = await downloadAvatar();
-    await fs.writeFile(AVATAR_DEST, imageData);
-    console.log(`✓ Downloaded avatar: ${imageData.length} bytes`);
-
-    // Optimize image (only if it helps)
-    await optimizeImage(AVATAR_DEST);
-
-    // Update HTML references
-    await updateHTMLReferences();
-
-    console.log('\n✅ Avatar ready!\n');
-    console.log(
-      'ℹ️  Note: Images are not pre-compressed (JPEG/PNG already optimal)\n');
+    imageData = await downloadAvatar();
   } catch (error) {
+    // Only a failed download falls back; broken HTML or images fail the build
     console.error(`\n⚠️  Failed to download avatar: ${error.message}`);
     console.error('   Keeping external GitHub URL as fallback');
     console.error('   Site will still work but loads avatar from github.com\n');
-    // Don't fail the build - external URL works as fallback
+    return;
   }
+  await fs.writeFile(AVATAR_DEST, imageData);
+  console.log(`✓ Downloaded avatar: ${imageData.length} bytes`);
+
+  // Optimize image (only if it helps)
+  await optimizeImage(AVATAR_DEST);
+
+  // Update HTML references
+  await updateHTMLReferences();
+
+  console.log('\n✅ Avatar ready!\n');
+  console.log(
+    'ℹ️  Note: Images are not pre-compressed (JPEG/PNG already optimal)\n');
 }
 
 main().catch((error) => {
-  console.error('❌ Fatal error:', error.message);
-  // Don't fail build - fallback to external URL
+  console.error('❌ Avatar failed:', error.message);
+  process.exit(1);
 });
@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import opentype from 'opentype.js';
+import {
+  CANVAS, manifestIcons, monogramPathData, renderFaviconLinks, renderIconSvg, renderPinnedTabSvg, SAFE_ZONE_RADIUS,
+} from './lib/favicon.js';
+
+const CONFIG = {
+  text: 'BM',
+  letter_spacing: 0.036,
+  corner_radius: 96,
+  padding: 88,
+  light: { background: '#336699', background_to: '#4477aa', text: '#ffffff' },
+  dark: { background: '#1f3d5c', text: '#e8f0f8' },
+  pinned_tab: '#336699',
+};
+
+let font;
+
+beforeAll(async () => {
+  font = await opentype.load('node_modules/firacode/distr/ttf/FiraCode-Bold.ttf');
+});
+
+/** Bounding box of the end points in absolute path data. */
+function bounds(pathData) {
+  const numbers = pathData.match(/-?\d+(?:\.\d+)?/g).map(Number);
+  const xs = numbers.filter((_, i) => i % 2 === 0);
+  const ys = numbers.filter((_, i) => i % 2 === 1);
+  return { x1: Math.min(...xs), y1: Math.min(...ys), x2: Math.max(...xs), y2: Math.max(...ys) };
+}
+
+describe('monogramPathData', () => {
+  it('should centre the text and fit it inside the padding', () => {
+    const box = bounds(monogramPathData(font, CONFIG));
+    expect(box.x1).toBeCloseTo(CONFIG.padding, 0);
+    expect(box.x2).toBeCloseTo(CANVAS - CONFIG.padding, 0);
+    expect((box.y1 + box.y2) / 2).toBeCloseTo(CANVAS / 2, 0);
+  });
+
+  it('should keep the maskable text inside the safe zone', () => {
+    const box = bounds(monogramPathData(font, { ...CONFIG, padding: 0 }, { safeZone: true }));
+    for (const [x, y] of [[box.x1, box.y1], [box.x2, box.y1], [box.x1, box.y2], [box.x2, box.y2]]) {
+      expect(Math.hypot(x - CANVAS / 2, y - CANVAS / 2)).toBeLessThanOrEqual(SAFE_ZONE_RADIUS + 0.01);
+    }
+  });
+});
+
+describe('renderIconSvg', () => {
+  it('should use the light colours by default and switch under prefers-color-scheme: dark', () => {
+    const svg = renderIconSvg(font, CONFIG);
+    expect(svg).toContain('stop-color="#336699"');
+    expect(svg).toContain('stop-color="#4477aa"');
+    expect(svg).toContain('fill="#ffffff"');
+    expect(svg).toContain('rx="96"');
+    // A solid dark background is a gradient with equal stops
+    expect(svg).toContain('@media (prefers-color-scheme:dark){.bg-from{stop-color:#1f3d5c}.bg-to{stop-color:#1f3d5c}.fg{fill:#e8f0f8}}');
+  });
+
+  it('should leave out the style without dark colours and fill the canvas when maskable', () => {
+    const svg = renderIconSvg(font, { ...CONFIG, dark: undefined }, { maskable: true });
+    expect(svg).not.toContain('<style>');
+    expect(svg).toContain('rx="0"');
+  });
+
+  it('should draw the pinned-tab icon in a single colour without background', () => {
+    const svg = renderPinnedTabSvg(font, CONFIG);
+    expect(svg).not.toMatch(/fill=|<rect|<style/);
+    expect(svg.match(/<path /g)).toHaveLength(1);
+  });
+});
+
+describe('renderFaviconLinks', () => {
+  it('should link every icon and send a theme colour per scheme', () => {
+    const links = renderFaviconLinks(CONFIG).split('\n');
+    expect(links).toEqual([
+      '<link rel="icon" type="image/svg+xml" href="/favicon.svg">',
+      '<link rel="icon" type="image/png" sizes="32x32" href="/favicon-32x32.png">',
+      '<link rel="icon" type="image/png" sizes="16x16" href="/favicon-16x16.png">',
+      '<link rel="apple-touch-icon" sizes="180x180" href="/apple-touch-icon.png">',
+      '<link rel="mask-icon" href="/safari-pinned-tab.svg" color="#336699">',
+      '<link rel="manifest" href="/site.webmanifest">',
+      '<meta name="theme-color" content="#336699" media="(prefers-color-scheme: light)">',
+      '<meta name="theme-color" content="#1f3d5c" media="(prefers-color-scheme: dark)">',
+    ]);
+    expect(renderFaviconLinks({ ...CONFIG, dark: undefined })).toContain('<meta name="theme-color" content="#336699">');
+  });
+
+  it('should list a maskable icon in the web manifest', () => {
+    expect(manifestIcons().map((icon) => [icon.src, icon.purpose])).toEqual([
+      ['/android-chrome-192x192.png', undefined],
+      ['/android-chrome-512x512.png', undefined],
+      ['/maskable-icon-512x512.png', 'maskable'],
+    ]);
+  });
+});
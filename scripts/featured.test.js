@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { promises as fs } from 'fs';
+import yaml from 'js-yaml';
+import { normalizeConfig, resolveBuildDate, selectArticles, toIsoDate } from './lib/featured.js';
+
+const article = (title, extra = {}) => ({ title, url: `https://blog.bmarwell.de/${title}.html`, ...extra });
+
+describe('selectArticles', () => {
+  it('should keep supporting the single-article format', () => {
+    expect(selectArticles({ enabled: true, ...article('a') }, '2024-06-01')).toMatchObject([{ title: 'a' }]);
+    expect(selectArticles({ enabled: false, ...article('a') }, '2024-06-01')).toEqual([]);
+  });
+
+  it('should respect inclusive show_from and show_until', () => {
+    const cfg = { articles: [article('a', { show_from: '2024-06-01', show_until: '2024-06-30' })] };
+    expect(selectArticles(cfg, '2024-05-31')).toEqual([]);
+    expect(selectArticles(cfg, '2024-06-01')).toHaveLength(1);
+    expect(selectArticles(cfg, '2024-06-30')).toHaveLength(1);
+    expect(selectArticles(cfg, '2024-07-01')).toEqual([]);
+  });
+
+  it('should order by priority, then newest show_from, then file order', () => {
+    const cfg = {
+      max_cards: 4,
+      articles: [
+        article('old', { show_from: '2024-01-01' }),
+        article('unscheduled'),
+        article('new', { show_from: '2024-05-01' }),
+        article('pinned', { priority: 10 }),
+      ],
+    };
+    expect(selectArticles(cfg, '2024-06-01').map((a) => a.title))
+      .toEqual(['pinned', 'new', 'old', 'unscheduled']);
+  });
+
+  it('should render at most max_cards and skip disabled entries', () => {
+    const cfg = {
+      max_cards: 2,
+      articles: [article('a', { enabled: false }), article('b'), article('c'), article('d')],
+    };
+    expect(selectArticles(cfg, '2024-06-01').map((a) => a.title)).toEqual(['b', 'c']);
+  });
+
+  it('should accept unquoted YAML dates', () => {
+    const cfg = yaml.load('articles:\n  - title: a\n    show_from: 2024-06-01\n');
+    expect(selectArticles(cfg, '2024-05-31')).toEqual([]);
+    expect(selectArticles(cfg, '2024-06-01')).toHaveLength(1);
+  });
+
+  it('should reject malformed dates', () => {
+    expect(() => selectArticles({ articles: [article('a', { show_from: '01.06.2024' })] }, '2024-06-01'))
+      .toThrow(/YYYY-MM-DD/);
+  });
+
+  it('should parse the checked-in config', async () => {
+    const cfg = yaml.load(await fs.readFile('src/main/resources/featured-article.yml', 'utf8'));
+    expect(normalizeConfig(cfg).articles.length).toBeGreaterThan(0);
+    expect(() => selectArticles(cfg, toIsoDate(new Date()))).not.toThrow();
+  });
+});
+
+describe('resolveBuildDate', () => {
+  it('should prefer --date over BUILD_DATE', () => {
+    expect(resolveBuildDate(['node', 'x', '--date', '2030-01-02'], { BUILD_DATE: '2029-01-01' })).toBe('2030-01-02');
+    expect(resolveBuildDate(['node', 'x', '--date=2030-01-03'], {})).toBe('2030-01-03');
+    expect(resolveBuildDate(['node', 'x'], { BUILD_DATE: '2029-01-01' })).toBe('2029-01-01');
+  });
+
+  it('should default to today', () => {
+    expect(resolveBuildDate(['node', 'x'], {})).toBe(new Date().toISOString().slice(0, 10));
+  });
+
+  it('should fail on a missing or invalid value', () => {
+    expect(() => resolveBuildDate(['node', 'x', '--date'], {})).toThrow(/needs a value/);
+    expect(() => resolveBuildDate(['node', 'x', '--date', 'tomorrow'], {})).toThrow(/YYYY-MM-DD/);
+    expect(() => resolveBuildDate(['node', 'x', '--date', '2024-02-31'], {})).toThrow('Invalid date "2024-02-31"');
+    expect(() => resolveBuildDate(['node', 'x'], { BUILD_DATE: '2023-02-29' })).toThrow('Invalid date "2023-02-29"');
+    expect(resolveBuildDate(['node', 'x'], { BUILD_DATE: '2024-02-29' })).toBe('2024-02-29');
+  });
+});
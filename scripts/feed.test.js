@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import { FeedError, parseFeed, parseFeedDate, parseXml, pickEntry, stripHtml } from './lib/feed.js';
+import { mergeFeedEntry, missingFields } from './lib/featured.js';
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+  <title>blog.bmarwell.de</title>
+  <entry>
+    <title type="html">Parallel unit tests &amp;amp; Maven</title>
+    <link href="/2024/05/23/parallel-unit-tests-apache-maven.html" rel="alternate" type="text/html"/>
+    <published>2024-05-23T08:00:00+02:00</published>
+    <category term="Maven"/>
+    <category term="Accelerating Maven Builds"/>
+    <summary type="html">&lt;p&gt;Enabling &lt;em&gt;parallel&lt;/em&gt; tests&amp;hellip;&lt;/p&gt;</summary>
+    <media:thumbnail url="https://blog.bmarwell.de/thumb.jpg"/>
+    <media:content medium="image" url="https://blog.bmarwell.de/train.jpg"/>
+  </entry>
+  <entry>
+    <title>Older post</title>
+    <link href="https://blog.bmarwell.de/2023/01/02/older.html"/>
+    <updated>2023-01-02T10:00:00Z</updated>
+    <category term="maven"/>
+    <content type="html"><![CDATA[<p>Older <b>content</b></p>]]></content>
+    <link rel="enclosure" type="image/png" href="https://blog.bmarwell.de/older.png"/>
+  </entry>
+  <entry>
+    <title>Newest, untagged</title>
+    <link href="https://blog.bmarwell.de/2024/06/01/newest.html"/>
+    <published>2024-06-01T00:30:00+02:00</published>
+    <summary>Plain summary</summary>
+  </entry>
+</feed>`;
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>blog</title>
+    <item>
+      <title>RSS post</title>
+      <link>https://blog.bmarwell.de/2024/02/03/rss.html</link>
+      <pubDate>Sat, 03 Feb 2024 23:30:00 +0100</pubDate>
+      <category>Java</category>
+      <description><![CDATA[<p>Some&nbsp;<a href="#">linked</a> text.</p><script>alert(1)</script>]]></description>
+      <enclosure url="https://blog.bmarwell.de/audio.mp3" type="audio/mpeg" length="1"/>
+      <enclosure url="https://blog.bmarwell.de/rss.webp" type="image/webp" length="1"/>
+    </item>
+  </channel>
+</rss>`;
+
+describe('parseXml', () => {
+  it('should parse attributes, CDATA and entities', () => {
+    const doc = parseXml('<a x="1 &amp; 2" y=\'q\'><b/>t&lt;<![CDATA[<raw>]]></a>');
+    const a = doc.children[0];
+    expect(a.attrs).toEqual({ x: '1 & 2', y: 'q' });
+    expect(a.children[0].name).toBe('b');
+    expect(a.text).toBe('t<<raw>');
+  });
+
+  it('should reject malformed documents', () => {
+    expect(() => parseXml('<a><b></a>')).toThrow(/Mismatched/);
+    expect(() => parseXml('<a>')).toThrow(/Unclosed/);
+    expect(() => parseXml('<a>&#99999999;</a>')).toThrow(new FeedError('Invalid character reference &#99999999;'));
+    expect(() => parseXml('<a b="&#x110000;"/>')).toThrow(FeedError);
+  });
+});
+
+describe('parseFeed', () => {
+  it('should read Atom entries', () => {
+    const [first, second] = parseFeed(ATOM, 'https://blog.bmarwell.de/feed.xml');
+    expect(first).toEqual({
+      title: 'Parallel unit tests & Maven',
+      url: 'https://blog.bmarwell.de/2024/05/23/parallel-unit-tests-apache-maven.html',
+      date_published: '2024-05-23',
+      abstract: 'Enabling parallel tests…',
+      image_url: 'https://blog.bmarwell.de/train.jpg',
+      categories: ['Maven', 'Accelerating Maven Builds'],
+    });
+    expect(second.abstract).toBe('Older content');
+    expect(second.date_published).toBe('2023-01-02');
+    expect(second.image_url).toBe('https://blog.bmarwell.de/older.png');
+  });
+
+  it('should read RSS items and only use image enclosures', () => {
+    const [item] = parseFeed(RSS);
+    expect(item).toMatchObject({
+      title: 'RSS post',
+      url: 'https://blog.bmarwell.de/2024/02/03/rss.html',
+      date_published: '2024-02-03',
+      abstract: 'Some linked text.',
+      image_url: 'https://blog.bmarwell.de/rss.webp',
+      categories: ['Java'],
+    });
+  });
+
+  it('should reject other documents', () => {
+    expect(() => parseFeed('<html></html>')).toThrow(/Atom/);
+  });
+});
+
+describe('pickEntry', () => {
+  const entries = parseFeed(ATOM, 'https://blog.bmarwell.de/');
+
+  it('should pick the latest entry', () => {
+    expect(pickEntry(entries).title).toBe('Newest, untagged');
+  });
+
+  it('should pick the latest entry with a tag or series', () => {
+    expect(pickEntry(entries, { tag: 'maven' }).title).toBe('Parallel unit tests & Maven');
+    expect(pickEntry(entries, { series: 'accelerating-maven-builds' }).title)
+      .toBe('Parallel unit tests & Maven');
+    expect(() => pickEntry(entries, { tag: 'kotlin' })).toThrow(/No feed entry tagged kotlin/);
+  });
+});
+
+describe('feed helpers', () => {
+  it('should strip HTML and decode entities', () => {
+    expect(stripHtml('<p>A&nbsp;&amp;&#160;B&#x2019;s</p>\n<p>C</p>')).toBe('A & B’s C');
+  });
+
+  it('should keep the date as written in the feed', () => {
+    expect(parseFeedDate('2024-06-01T00:30:00+02:00')).toBe('2024-06-01');
+    expect(parseFeedDate('Mon, 1 Jan 2024 00:10:00 +0100')).toBe('2024-01-01');
+    expect(parseFeedDate('whenever')).toBeNull();
+  });
+
+  it('should let YAML values override feed values', () => {
+    const [entry] = parseFeed(ATOM, 'https://blog.bmarwell.de/');
+    const merged = mergeFeedEntry({ feed: { url: 'x' }, title: 'Custom title', priority: 3 }, entry);
+    expect(merged).toMatchObject({ title: 'Custom title', abstract: 'Enabling parallel tests…', priority: 3 });
+    expect(merged).not.toHaveProperty('feed');
+    expect(missingFields(merged)).toEqual([]);
+    expect(missingFields({ title: 'x' })).toEqual(['url', 'abstract', 'image_url']);
+  });
+});
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * Rename generated assets in dist/ to content-hashed names (lib/assets.js)
+ * and rewrite their references in the pages and the web manifest.
+ *
+ * Runs after every step that writes assets or index.html and before
+ * compression, so the compressed variants carry the hashed names too.
+ * Hashed versions from earlier builds are removed.
+ */
+import {promises as fs} from 'fs';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {fingerprintCandidates, hashedName, REFERRERS, rewriteReferences, staleVersions} from './lib/assets.js';
+import {matchesAny, walkFiles} from './lib/files.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DIST_DIR = path.join(__dirname, '../dist');
+
+async function main() {
+  console.log('\n#️⃣  Fingerprinting assets...');
+
+  const files = await walkFiles(DIST_DIR);
+  const renames = new Map();
+  for (const file of fingerprintCandidates(files)) {
+    const hashed = hashedName(file, await fs.readFile(path.join(DIST_DIR, file)));
+    for (const stale of staleVersions(files, file, hashed)) {
+      await fs.rm(path.join(DIST_DIR, stale));
+    }
+    await fs.rename(path.join(DIST_DIR, file), path.join(DIST_DIR, hashed));
+    renames.set(file, hashed);
+    console.log(`  ✓ ${hashed}`);
+  }
+
+  for (const file of files.filter((f) => matchesAny(f, REFERRERS))) {
+    const filePath = path.join(DIST_DIR, file);
+    const {text, count} = rewriteReferences(await fs.readFile(filePath, 'utf8'), renames);
+    if (count === 0) continue;
+    await fs.writeFile(filePath, text);
+    console.log(`  ✓ ${file}: ${count} references updated`);
+  }
+
+  console.log(`✅ ${renames.size} assets fingerprinted!\n`);
+}
+
+main().catch((error) => {
+  console.error('❌ Asset fingerprinting failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { formatFontFace, matchFaceWeight, parseCss, renderedText, resolveWeight, unicodeRange } from './lib/fonts.js';
+import { parseHtml } from './lib/html-transform.js';
+
+const text = (codePoints) => String.fromCodePoint(...[...codePoints].sort((a, b) => a - b));
+
+describe('parseCss', () => {
+  it('should find rules, nested conditional rules and font faces', () => {
+    const css = '/* a { } */@font-face{font-family:"R";src:url(\'/a;b.woff2\')}'
+      + 'h1, .x > p{font-weight:300 !important}@media (min-width: 768px){p{font-weight:bold}}'
+      + '@keyframes k{from{opacity:0}}a::after{content:"}"}';
+    const { rules, fontFaces } = parseCss(css);
+    expect(fontFaces).toHaveLength(1);
+    expect(css.slice(fontFaces[0].start, fontFaces[0].end)).toBe('@font-face{font-family:"R";src:url(\'/a;b.woff2\')}');
+    expect(fontFaces[0].declarations.get('src')).toBe('url(\'/a;b.woff2\')');
+    expect(rules.map(({ selectors, conditional }) => [selectors, conditional])).toEqual([
+      [['h1', '.x > p'], false], [['p'], true], [['a::after'], false],
+    ]);
+    expect(rules[0].declarations.get('font-weight')).toBe('300');
+    expect(rules[2].declarations.get('content')).toBe('"}"');
+  });
+
+  it('should format a font face', () => {
+    expect(formatFontFace(new Map([['font-weight', '400'], ['src', 'url(/a.woff2)']])))
+      .toBe('@font-face{font-weight:400;src:url(/a.woff2)}');
+  });
+});
+
+describe('font weights', () => {
+  it('should resolve keywords and relative weights', () => {
+    expect(resolveWeight('bold')).toBe(700);
+    expect(resolveWeight('normal', 700)).toBe(400);
+    expect(resolveWeight('bolder', 300)).toBe(400);
+    expect(resolveWeight('bolder', 400)).toBe(700);
+    expect(resolveWeight('lighter', 700)).toBe(400);
+    expect(resolveWeight('inherit', 500)).toBe(500);
+    expect(resolveWeight('heavy')).toBeNull();
+  });
+
+  it('should pick faces like the CSS font matching algorithm', () => {
+    expect(matchFaceWeight(500, [300, 400, 700])).toBe(400);
+    expect(matchFaceWeight(400, [300, 500, 700])).toBe(500);
+    expect(matchFaceWeight(600, [300, 400, 500])).toBe(500);
+    expect(matchFaceWeight(700, [300, 400, 800])).toBe(800);
+    expect(matchFaceWeight(200, [300, 400])).toBe(300);
+    expect(matchFaceWeight(400, [])).toBeNull();
+  });
+});
+
+describe('renderedText', () => {
+  const page = (css, body) => ({ doc: parseHtml(`<!doctype html><title>Title</title><style>${css}</style>${body}`), css });
+
+  it('should assign text to the face of its cascaded weight', () => {
+    const { doc, css } = page('body{font-weight:300}.b{font-weight:500}p .b{font-weight:400}',
+      '<body>ab<p>cd<span class="b">ef</span></p><i class="b">gh</i><h1>ij</h1><script>kl</script>');
+    const result = renderedText(doc, css, [300, 400, 500]);
+    expect(text(result.get(300))).toBe('abcd');
+    expect(text(result.get(400))).toBe('ef');
+    // Bold <h1> falls back to the heaviest face
+    expect(text(result.get(500))).toBe('ghij');
+  });
+
+  it('should add conditional weights, transformed case, generated content and alt text', () => {
+    const { doc, css } = page('a:hover{font-weight:500}@media print{p{font-weight:500}}'
+      + '.u{text-transform:uppercase}h2::after{content:"\\2014 x"}',
+    '<a>ab</a><p>cd &copy;</p><span class="u">ef</span><h2>g</h2><img alt="hi">');
+    const result = renderedText(doc, css, [400, 500, 700]);
+    expect(text(result.get(400))).toBe(' EFabcdhi©');
+    expect(text(result.get(500))).toBe(' abcd©');
+    expect(text(result.get(700))).toBe('gx—');
+  });
+
+  it('should count unsupported selectors everywhere', () => {
+    const { doc, css } = page('p + p{font-weight:500}', '<p>a</p><p>b</p>');
+    expect(text(renderedText(doc, css, [400, 500]).get(500))).toBe('ab');
+  });
+
+  it('should limit the text to a part of the page', () => {
+    const { doc, css } = page('header{font-weight:500}', '<header>a<b>b</b></header><main>c</main>');
+    const result = renderedText(doc, css, [400, 500, 700], { within: 'header' });
+    expect(text(result.get(400))).toBe('');
+    expect(text(result.get(500))).toBe('a');
+    expect(text(result.get(700))).toBe('b');
+  });
+});
+
+describe('unicodeRange', () => {
+  it('should merge consecutive code points', () => {
+    expect(unicodeRange([0x43, 0x20, 0x41, 0x42, 0xA9, 0x41])).toBe('U+0020, U+0041-0043, U+00A9');
+  });
+});
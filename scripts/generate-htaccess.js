@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * Fill the generated sections of dist/.htaccess.
+ * Must run after compression: the negotiation rules are derived from the
+ * .zst/.br/.gz variants that actually exist in dist/. It is also the last
+ * step, so the Content-Security-Policy hashes the final pages. Fails if an
+ * ErrorDocument points at a page that was not built.
+ */
+import {promises as fs} from 'fs';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {buildPolicy, renderSecurityHeaders} from './lib/csp.js';
+import {walkFiles} from './lib/files.js';
+import {fillPlaceholder, parseVariants, renderNegotiationRules} from './lib/htaccess.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DIST_DIR = path.join(__dirname, '../dist');
+const HTACCESS_FILE = path.join(DIST_DIR, '.htaccess');
+
+async function main() {
+  console.log('\n⚙️  Generating .htaccess...');
+
+  const files = await walkFiles(DIST_DIR);
+  const fileSet = new Set(files);
+  const variants = parseVariants(files).filter((v) => fileSet.has(v.original));
+
+  let htaccess = await fs.readFile(HTACCESS_FILE, 'utf8');
+  const errorDocuments = [...htaccess.matchAll(/^\s*ErrorDocument\s+(\d{3})\s+\/(\S+)/gm)];
+  for (const [, status, page] of errorDocuments) {
+    if (!fileSet.has(page)) throw new Error(`ErrorDocument ${status}: dist/${page} not found`);
+  }
+  htaccess = fillPlaceholder(htaccess, 'PRECOMPRESSED',
+    renderNegotiationRules(variants.map((v) => v.path)));
+
+  const pages = files.filter((file) => file.endsWith('.html'));
+  const policy = buildPolicy(await Promise.all(pages.map((page) => fs.readFile(path.join(DIST_DIR, page), 'utf8'))));
+  htaccess = fillPlaceholder(htaccess, 'SECURITY_HEADERS', renderSecurityHeaders(policy));
+  await fs.writeFile(HTACCESS_FILE, htaccess);
+
+  const types = new Set(variants.map((v) => v.type));
+  console.log(`  ✓ Negotiation rules for ${variants.length} variants (${[...types].sort().join(', ')})`);
+  const hashes = policy.match(/'sha256-/g)?.length ?? 0;
+  console.log(`  ✓ Error documents for ${errorDocuments.map(([, status]) => status).join(', ')}`);
+  console.log(`  ✓ Content-Security-Policy with ${hashes} inline hashes from ${pages.length} page(s)`);
+  console.log('✅ .htaccess generated!\n');
+}
+
+main().catch((error) => {
+  console.error('❌ .htaccess generation failed:', error.message);
+  process.exit(1);
+});
@@ -1,39 +1,70 @@
 #!/usr/bin/env node
+/**
+ * Write dist/sitemap.xml with the canonical URL of every page under
+ * src/main/html but the noindex ones (error pages); lastmod is the last
+ * commit of the page or its partials.
+ */
 import { promises as fs } from 'fs';
 import { execSync } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { SITE_ORIGIN } from './lib/assets.js';
+import { getAttribute, parseHtml, querySelectorAll } from './lib/html-transform.js';
+import { listPages, pageUrl, parsePage } from './lib/pages.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.join(__dirname, '..');
 const SRC_DIR = path.join(__dirname, '../src/main/html');
+const PARTIALS_DIR = 'src/main/partials';
 const DIST_DIR = path.join(__dirname, '../dist');
 
-async function main() {
-  console.log('\n🗺️  Generating sitemap...');
-  
-  let lastmod;
+function lastModified(file) {
   try {
-    lastmod = execSync(
-      'git log -1 --format="%aI" -- src/main/html/index.html',
-      { encoding: 'utf8', cwd: path.join(__dirname, '..') }
+    const lastmod = execSync(
+      `git log -1 --format="%aI" -- "${path.relative(ROOT_DIR, file)}" ${PARTIALS_DIR}`,
+      { encoding: 'utf8', cwd: ROOT_DIR }
     ).trim();
+    if (lastmod) return lastmod;
   } catch (error) {
-    console.warn('  ⚠️  Could not get git lastmod, using current date');
-    lastmod = new Date().toISOString();
+    // Not a git checkout
   }
+  console.warn(`  ⚠️  Could not get git lastmod of ${path.relative(ROOT_DIR, file)}, using current date`);
+  return new Date().toISOString();
+}
 
-  const sitemap = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-  <url>
-    <loc>https://bmarwell.de/</loc>
+const escapeXml = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+const isNoindex = (body) => querySelectorAll(parseHtml(body), 'meta[name="robots"]')
+  .some((meta) => /\bnoindex\b/i.test(getAttribute(meta, 'content') ?? ''));
+
+async function main() {
+  console.log('\n🗺️  Generating sitemap...');
+
+  const urls = new Map();
+  for (const page of await listPages(SRC_DIR)) {
+    const file = path.join(SRC_DIR, page);
+    const { meta, body } = parsePage(await fs.readFile(file, 'utf8'), path.relative(ROOT_DIR, file));
+    if (isNoindex(body)) {
+      console.log(`  - ${page} (noindex)`);
+      continue;
+    }
+    // A page whose canonical URL is another page's is not listed twice
+    const loc = meta.canonical ?? pageUrl(page);
+    if (!urls.has(loc)) urls.set(loc, lastModified(file));
+  }
+
+  const entries = [...urls].map(([loc, lastmod]) => `  <url>
+    <loc>${escapeXml(loc)}</loc>
     <lastmod>${lastmod}</lastmod>
     <changefreq>monthly</changefreq>
-    <priority>1.0</priority>
-  </url>
+    <priority>${loc === `${SITE_ORIGIN}/` ? '1.0' : '0.5'}</priority>
+  </url>`);
+  const sitemap = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join('\n')}
 </urlset>`;
 
   await fs.writeFile(path.join(DIST_DIR, 'sitemap.xml'), sitemap);
-  console.log(`  ✓ sitemap.xml (lastmod: ${lastmod})`);
+  for (const [loc, lastmod] of urls) console.log(`  ✓ ${loc} (lastmod: ${lastmod})`);
   console.log('✅ Sitemap generated!\n');
 }
 
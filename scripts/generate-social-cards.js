@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Render the 1200x630 social preview cards (lib/social-card.js) and point
+ * the og:image / twitter:image meta tags of dist/index.html at the profile
+ * card:
+ *   - social/profile.jpg: avatar, name and tagline (from og:title) on the
+ *     brand colours of favicon.yml
+ *   - social/featured-article.jpg: the current featured article's image
+ *     and headline, when one is shown, for the blog to use as its preview
+ *
+ * Both keep their URL (STABLE in lib/assets.js), so they are not fingerprinted.
+ * Runs after the avatar and featured steps have written their images.
+ */
+import {existsSync, promises as fs} from 'fs';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import opentype from 'opentype.js';
+import sharp from 'sharp';
+import {SITE_ORIGIN} from './lib/assets.js';
+import {loadConfig} from './lib/config-schemas.js';
+import {parseHtml, serializeHtml} from './lib/html-transform.js';
+import {
+  CARD_HEIGHT, CARD_WIDTH, featuredArticleOf, profileOf, renderArticleCardSvg, renderProfileCardSvg, setSocialImage,
+} from './lib/social-card.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DIST_DIR = path.join(__dirname, '../dist');
+const HTML_FILE = path.join(DIST_DIR, 'index.html');
+const SOCIAL_DIR = path.join(DIST_DIR, 'social');
+const FONTS_DIR = path.join(__dirname, '../node_modules/@fontsource/roboto/files');
+const AVATAR_FILE = path.join(DIST_DIR, 'avatar-460w.jpg');
+
+/** Image file as {type, data} for embedding, resized with sharp; null if missing. */
+async function embeddable(file, width, height) {
+  if (!existsSync(file)) return null;
+  const data = await sharp(file).resize(width, height, {fit: 'cover'}).jpeg({quality: 90}).toBuffer();
+  return {type: 'image/jpeg', data};
+}
+
+async function writeCard(svg, name) {
+  const file = path.join(SOCIAL_DIR, name);
+  const jpeg = await sharp(Buffer.from(svg)).jpeg({quality: 85, mozjpeg: true}).toBuffer();
+  await fs.writeFile(file, jpeg);
+  console.log(`  ✓ social/${name} (${CARD_WIDTH}x${CARD_HEIGHT}, ${jpeg.length} bytes)`);
+}
+
+async function main() {
+  console.log('\n🖼️  Generating social preview cards...');
+
+  const fonts = {
+    regular: await opentype.load(path.join(FONTS_DIR, 'roboto-latin-400-normal.woff')),
+    bold: await opentype.load(path.join(FONTS_DIR, 'roboto-latin-700-normal.woff')),
+  };
+  const {light: colors} = await loadConfig('favicon');
+  const doc = parseHtml(await fs.readFile(HTML_FILE, 'utf8'));
+  await fs.rm(SOCIAL_DIR, {recursive: true, force: true});
+  await fs.mkdir(SOCIAL_DIR, {recursive: true});
+
+  const avatar = await embeddable(AVATAR_FILE, 300, 300);
+  if (!avatar) console.warn(`  ⚠️  ${path.relative(DIST_DIR, AVATAR_FILE)} not found, profile card without avatar`);
+  const {name, tagline} = profileOf(doc);
+  const domain = new URL(SITE_ORIGIN).host;
+  await writeCard(renderProfileCardSvg(fonts, {name, tagline, domain, avatar}, colors), 'profile.jpg');
+
+  const article = featuredArticleOf(doc);
+  if (article) {
+    const image = article.image
+      ? await embeddable(path.join(DIST_DIR, article.image), CARD_WIDTH, CARD_HEIGHT)
+      : null;
+    const label = `From the Blog · ${domain}`;
+    await writeCard(renderArticleCardSvg(fonts, {title: article.title, label, image}, colors), 'featured-article.jpg');
+  } else {
+    console.log('  ℹ️  No featured article, skipping its card');
+  }
+
+  setSocialImage(doc, {
+    url: `${SITE_ORIGIN}/social/profile.jpg`,
+    width: CARD_WIDTH,
+    height: CARD_HEIGHT,
+    type: 'image/jpeg',
+  });
+  await fs.writeFile(HTML_FILE, serializeHtml(doc));
+  console.log('  ✓ og:image and twitter:image point at social/profile.jpg (summary_large_image)');
+  console.log('✅ Social cards generated!\n');
+}
+
+main().catch((error) => {
+  console.error('❌ Social card generation failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+/**
+ * Write dist/site.webmanifest from the metadata of the built index.html,
+ * the favicon config and the profile cards (lib/webmanifest.js), and fail
+ * if the result is not a valid Web Application Manifest.
+ */
+import {promises as fs} from 'fs';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {loadConfig} from './lib/config-schemas.js';
+import {buildWebManifest, siteMetadata, validateWebManifest, WEB_MANIFEST_FILE} from './lib/webmanifest.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DIST_DIR = path.join(__dirname, '../dist');
+
+async function main() {
+  console.log('\n📱 Generating web app manifest...');
+
+  const metadata = siteMetadata(await fs.readFile(path.join(DIST_DIR, 'index.html'), 'utf8'));
+  const favicon = await loadConfig('favicon');
+  const {profiles} = await loadConfig('profiles');
+  const manifest = buildWebManifest(metadata, {shortName: favicon.text, profiles});
+
+  const issues = validateWebManifest(manifest);
+  if (issues.length > 0) {
+    throw new Error(`Invalid ${WEB_MANIFEST_FILE}:\n  - ${issues.join('\n  - ')}`);
+  }
+
+  await fs.writeFile(path.join(DIST_DIR, WEB_MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  console.log(`  ✓ ${WEB_MANIFEST_FILE}: ${manifest.icons.length} icons, ${manifest.shortcuts.length} shortcuts`);
+  console.log('✅ Web app manifest generated!\n');
+}
+
+main().catch((error) => {
+  console.error('❌ Web app manifest generation failed:', error.message);
+  process.exit(1);
+});
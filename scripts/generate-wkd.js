@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/**
+ * Publish the PGP keys in dist/*.asc as an OpenPGP Web Key Directory, so
+ * `gpg --locate-keys someone@bmarwell.de` finds them (lib/wkd.js).
+ *
+ * Only user IDs under WKD_DOMAIN are published, each as a binary key reduced
+ * to that user ID, next to the (empty) policy file. The policy tells clients
+ * that the domain supports WKD, so without a matching key nothing is written.
+ */
+import {promises as fs} from 'fs';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {WKD_DIR, wkdFiles} from './lib/wkd.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DIST_DIR = path.join(__dirname, '../dist');
+const WKD_DOMAIN = 'bmarwell.de';
+
+async function main() {
+  console.log('\n🔑 Generating Web Key Directory...');
+
+  const keyFiles = (await fs.readdir(DIST_DIR)).filter((file) => file.endsWith('.asc')).sort();
+  const keys = await Promise.all(keyFiles.map((file) => fs.readFile(path.join(DIST_DIR, file), 'utf8')));
+  const files = wkdFiles(keys, WKD_DOMAIN);
+
+  // Start from scratch so keys removed from the site disappear from the directory
+  const wkdDir = path.join(DIST_DIR, WKD_DIR);
+  await fs.rm(wkdDir, {recursive: true, force: true});
+  if (files.length === 0) {
+    console.warn(`  ⚠️  No user ID under @${WKD_DOMAIN} in ${keyFiles.join(', ')}; no Web Key Directory published`);
+    return;
+  }
+
+  await fs.mkdir(path.join(wkdDir, 'hu'), {recursive: true});
+  await fs.writeFile(path.join(wkdDir, 'policy'), '');
+  for (const file of files) {
+    await fs.writeFile(path.join(DIST_DIR, file.path), file.bytes);
+    console.log(`  ✓ ${file.address} → ${file.path} (${file.bytes.length} bytes)`);
+  }
+  console.log(`✅ Web Key Directory ready (${files.length} addresses)!\n`);
+}
+
+main().catch((error) => {
+  console.error('❌ Web Key Directory generation failed:', error.message);
+  process.exit(1);
+});
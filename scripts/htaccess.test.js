@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { promises as fs } from 'fs';
+import { walkFiles } from './lib/files.js';
+import { parseVariants, renderNegotiationRules } from './lib/htaccess.js';
+import { contentType, mimeType } from './lib/mime.js';
+
+const DIST_DIR = 'dist';
+
+/** Extract RewriteRules and FilesMatch header blocks from .htaccess text. */
+function parseRules(htaccess) {
+  const rewrites = [...htaccess.matchAll(/^RewriteRule\s+(\S+)\s+(\S+)\s+\[([^\]]*)\]/gm)]
+    .map(([, pattern, target, flags]) => ({
+      pattern: new RegExp(pattern),
+      target,
+      type: flags.split(',').find((f) => f.startsWith('T='))?.slice(2),
+    }));
+  const filesMatches = [...htaccess.matchAll(/<FilesMatch "([^"]+)">([\s\S]*?)<\/FilesMatch>/g)]
+    .map(([, pattern, body]) => ({
+      pattern: new RegExp(pattern),
+      headers: Object.fromEntries([...body.matchAll(/Header (?:always )?(?:set|merge) (\S+) "([^"]+)"/g)]
+        .map(([, name, value]) => [name, value])),
+    }));
+  return { rewrites, filesMatches };
+}
+
+function headersFor(filesMatches, file) {
+  return Object.assign({}, ...filesMatches
+    .filter(({ pattern }) => pattern.test(file))
+    .map(({ headers }) => headers));
+}
+
+describe('Content negotiation rules', () => {
+  it('should use the MIME type of each original, not text/html', () => {
+    const { rewrites } = parseRules(renderNegotiationRules([
+      'index.html.zst',
+      'bmarwell-apache.asc.br',
+      'sitemap.xml.gz',
+    ]));
+    const typeOf = (file) => rewrites.find(({ pattern }) => pattern.test(file))?.type;
+    expect(typeOf('index.html')).toBe('text/html');
+    expect(typeOf('bmarwell-apache.asc')).toBe('application/pgp-keys');
+    expect(typeOf('sitemap.xml')).toBe('application/xml');
+  });
+
+  it('should only emit encodings that were produced', () => {
+    const htaccess = renderNegotiationRules(['index.html.br']);
+    expect(htaccess).toContain('Content-Encoding "br"');
+    expect(htaccess).not.toContain('zstd');
+    expect(htaccess).not.toContain('.gz');
+  });
+
+  it('should cover every compressed variant in dist/', async () => {
+    const htaccess = await fs.readFile(`${DIST_DIR}/.htaccess`, 'utf8');
+    const { rewrites, filesMatches } = parseRules(htaccess);
+    const variants = parseVariants(await walkFiles(DIST_DIR));
+    expect(variants.length).toBeGreaterThan(0);
+
+    for (const variant of variants) {
+      const rule = rewrites.find(({ pattern, target }) =>
+        pattern.test(variant.original) && target.endsWith(variant.encoding.extension));
+      expect(rule, `RewriteRule for ${variant.path}`).toBeTruthy();
+      expect(rule.type).toBe(mimeType(variant.original));
+
+      const headers = headersFor(filesMatches, variant.path);
+      expect(headers['Content-Type'], variant.path).toBe(contentType(variant.original));
+      expect(headers['Content-Encoding'], variant.path).toBe(variant.encoding.name);
+      expect(headers.Vary, variant.path).toBe('Accept-Encoding');
+    }
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import {
+  HtmlTransformError, getAttribute, insertAfter, insertBefore, insertSource, parseHtml, querySelectorAll, replaceElement, serializeHtml, setAttribute,
+  setText, textContent, updateJsonLd,
+} from './lib/html-transform.js';
+
+// Minifier output: optional tags omitted, short doctype, inline SVG and JSON-LD
+const PAGE = '<!doctype html><html lang=en><meta charset=UTF-8><title>A &amp; B</title>'
+  + '<script type="application/ld+json">{"@type":"ProfilePage","mainEntity":{"@type":"Person","image":"/a.jpg","name":"A &amp; B"}}</script>'
+  + '<header><a href="/" rel=home><picture><source srcset="/avatar.webp" type="image/webp"><img src="/avatar.jpg" alt=""></picture></a></header>'
+  + '<main><p class="bio intro">One<p>Two<ul><li>a<li>b</ul>'
+  + '<div id="featured-article-slot"></div>'
+  + '<svg viewBox="0 0 1 1"><path d="M0 0"/><circle r="1"/></svg></main>'
+  + '<footer><p>&copy; <time id="copyright-year"></time> A</footer>';
+
+describe('parseHtml / serializeHtml', () => {
+  it('should serialize untouched minified markup unchanged, except for attribute quotes', () => {
+    expect(serializeHtml(parseHtml(PAGE))).toBe(PAGE.replace('lang=en', 'lang="en"').replace('charset=UTF-8', 'charset="UTF-8"')
+      .replace('rel=home', 'rel="home"'));
+  });
+
+  it('should close elements whose end tags the minifier omitted', () => {
+    const doc = parseHtml(PAGE);
+    expect(querySelectorAll(doc, 'main > p').map(textContent)).toEqual(['One', 'Two']);
+    expect(querySelectorAll(doc, 'ul > li').map(textContent)).toEqual(['a', 'b']);
+    expect(querySelectorAll(doc, 'svg > *').map((element) => element.name)).toEqual(['path', 'circle']);
+    expect(querySelectorAll(doc, 'footer p time')).toHaveLength(1);
+  });
+
+  it('should keep single quotes and bare attributes valid', () => {
+    const doc = parseHtml('<img alt=\'say "hi"\' hidden src=/x.png>');
+    expect(getAttribute(querySelectorAll(doc, 'img')[0], 'alt')).toBe('say "hi"');
+    expect(serializeHtml(doc)).toBe('<img alt="say &quot;hi&quot;" hidden src="/x.png">');
+  });
+
+  it('should decode character references and keep out-of-range ones as written', () => {
+    const doc = parseHtml('<p title="&#x1F600;&#99999999;">&#65;&#x110000;&bogus;</p>');
+    const [p] = querySelectorAll(doc, 'p');
+    expect(getAttribute(p, 'title')).toBe('😀&#99999999;');
+    expect(textContent(p)).toBe('A&#x110000;&bogus;');
+  });
+});
+
+describe('querySelectorAll', () => {
+  const doc = parseHtml(PAGE);
+
+  it('should match type, id, class and attribute selectors with combinators', () => {
+    expect(querySelectorAll(doc, 'header picture > img')).toHaveLength(1);
+    expect(querySelectorAll(doc, '#featured-article-slot')).toHaveLength(1);
+    expect(querySelectorAll(doc, 'p.bio.intro')).toHaveLength(1);
+    expect(querySelectorAll(doc, 'a[rel=home] source[type="image/webp"]')).toHaveLength(1);
+    expect(querySelectorAll(doc, 'img[src^="/ava"], img[src$=".png"]')).toHaveLength(1);
+    expect(querySelectorAll(doc, 'p[class~=intro]')).toHaveLength(1);
+    expect(querySelectorAll(doc, 'body > p')).toHaveLength(0);
+  });
+
+  it('should reject unsupported selectors', () => {
+    expect(() => querySelectorAll(doc, 'p:first-child')).toThrow('Unsupported selector "p:first-child"');
+  });
+});
+
+describe('operations', () => {
+  it('should fail when a selector matches nothing', () => {
+    const doc = parseHtml(PAGE);
+    expect(() => setAttribute(doc, '#missing', 'src', 'x')).toThrow(HtmlTransformError);
+    expect(() => replaceElement(doc, '.nope', '')).toThrow('No element matches ".nope"');
+  });
+
+  it('should set attributes and text, escaping them', () => {
+    const doc = parseHtml(PAGE);
+    expect(setAttribute(doc, 'header img', 'src', '/avatar.png')).toBe(1);
+    setAttribute(doc, 'header img', 'title', 'A & "B"');
+    setText(doc, '#copyright-year', '<2026>');
+    const html = serializeHtml(doc);
+    expect(html).toContain('<img src="/avatar.png" alt="" title="A &amp; &quot;B&quot;">');
+    expect(html).toContain('<time id="copyright-year">&lt;2026&gt;</time>');
+  });
+
+  it('should keep <style> text raw', () => {
+    const doc = parseHtml('<style>a{}</style>');
+    setText(doc, 'style', 'main > p{color:red}');
+    expect(serializeHtml(doc)).toBe('<style>main > p{color:red}</style>');
+    expect(() => setText(doc, 'style', '</style><script>')).toThrow('must not contain its end tag');
+  });
+
+  it('should insert a fragment before an element', () => {
+    const doc = parseHtml('<title>x</title><style>a{}</style>');
+    insertBefore(doc, 'style', '<link rel="preload" href="/a.woff2" as="font">');
+    expect(serializeHtml(doc)).toBe('<title>x</title><link rel="preload" href="/a.woff2" as="font"><style>a{}</style>');
+  });
+
+  it('should insert a fragment after an element', () => {
+    const doc = parseHtml('<a href="/k.asc"><code id=k-pgp-fingerprint>AB CD</code></a>');
+    expect(insertAfter(doc, 'code[id$="pgp-fingerprint"]', '<span>Expires</span>')).toBe(1);
+    expect(serializeHtml(doc)).toBe('<a href="/k.asc"><code id="k-pgp-fingerprint">AB CD</code><span>Expires</span></a>');
+    expect(() => insertAfter(doc, '#missing', '<span></span>')).toThrow(HtmlTransformError);
+  });
+
+  it('should replace an element with a fragment or remove it', () => {
+    const doc = parseHtml(PAGE);
+    replaceElement(doc, '#featured-article-slot', '<h2>Blog</h2><div class="container"><article>x</article></div>');
+    expect(serializeHtml(doc)).toContain('<li>b</ul><h2>Blog</h2><div class="container"><article>x</article></div><svg');
+    expect(querySelectorAll(doc, 'main > div.container > article')).toHaveLength(1);
+
+    const empty = parseHtml(PAGE);
+    replaceElement(empty, '#featured-article-slot', '');
+    expect(serializeHtml(empty)).toContain('<li>b</ul><svg');
+  });
+
+  it('should insert <source> elements in type order and update existing ones', () => {
+    const doc = parseHtml(PAGE);
+    insertSource(doc, 'header picture', { srcset: '/avatar.avif', type: 'image/avif' });
+    insertSource(doc, 'header picture', { srcset: '/avatar.v2.webp', type: 'image/webp' });
+    insertSource(doc, 'header picture', { srcset: '/avatar.jxl', type: 'image/jxl' });
+    expect(serializeHtml(doc)).toContain('<picture><source srcset="/avatar.avif" type="image/avif">'
+      + '<source srcset="/avatar.v2.webp" type="image/webp"><source srcset="/avatar.jxl" type="image/jxl"><img');
+    expect(() => insertSource(doc, 'header img', { srcset: '/x', type: 'image/avif' })).toThrow('expected <picture>');
+  });
+
+  it('should update JSON-LD by key path', () => {
+    const doc = parseHtml(PAGE);
+    expect(updateJsonLd(doc, 'mainEntity.image', 'https://example.com/a.png')).toBe(1);
+    const [script] = querySelectorAll(doc, 'script[type="application/ld+json"]');
+    expect(JSON.parse(textContent(script))).toEqual({
+      '@type': 'ProfilePage',
+      mainEntity: { '@type': 'Person', image: 'https://example.com/a.png', name: 'A &amp; B' },
+    });
+    expect(() => updateJsonLd(doc, 'mainEntity.logo', 'x')).toThrow('No JSON-LD block has "mainEntity.logo"');
+  });
+});
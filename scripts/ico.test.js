@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import sharp from 'sharp';
+import { encodeBmp, encodeIco, IcoError } from './lib/ico.js';
+
+/** ICONDIR and ICONDIRENTRY fields, read independently of the writer. */
+function readDirectory(ico) {
+  const count = ico.readUInt16LE(4);
+  return {
+    reserved: ico.readUInt16LE(0),
+    type: ico.readUInt16LE(2),
+    entries: Array.from({ length: count }, (_, index) => {
+      const at = 6 + 16 * index;
+      return {
+        width: ico[at] || 256,
+        height: ico[at + 1] || 256,
+        colors: ico[at + 2],
+        planes: ico.readUInt16LE(at + 4),
+        bitCount: ico.readUInt16LE(at + 6),
+        size: ico.readUInt32LE(at + 8),
+        offset: ico.readUInt32LE(at + 12),
+      };
+    }),
+  };
+}
+
+function solid(size, [r, g, b, a]) {
+  return Buffer.alloc(size * size * 4).map((_, i) => [r, g, b, a][i % 4]);
+}
+
+describe('encodeIco', () => {
+  it('should write a directory with contiguous entries for each size', async () => {
+    const png48 = await sharp({ create: { width: 48, height: 48, channels: 4, background: '#336699' } }).png().toBuffer();
+    const ico = encodeIco([
+      { width: 16, height: 16, rgba: solid(16, [0x33, 0x66, 0x99, 255]) },
+      { width: 32, height: 32, rgba: solid(32, [0x33, 0x66, 0x99, 255]) },
+      { width: 48, height: 48, png: png48 },
+    ]);
+
+    const { reserved, type, entries } = readDirectory(ico);
+    expect(reserved).toBe(0);
+    expect(type).toBe(1);
+    expect(entries.map((entry) => [entry.width, entry.height])).toEqual([[16, 16], [32, 32], [48, 48]]);
+    expect(entries.every((entry) => entry.planes === 1 && entry.bitCount === 32 && entry.colors === 0)).toBe(true);
+
+    // 40-byte header, 32-bit pixels, 1-bit AND mask rows padded to 4 bytes
+    expect(entries[0]).toMatchObject({ offset: 6 + 3 * 16, size: 40 + 16 * 16 * 4 + 16 * 4 });
+    expect(entries[1]).toMatchObject({ offset: entries[0].offset + entries[0].size, size: 40 + 32 * 32 * 4 + 32 * 4 });
+    expect(entries[2]).toMatchObject({ offset: entries[1].offset + entries[1].size, size: png48.length });
+    expect(entries[2].offset + entries[2].size).toBe(ico.length);
+
+    const png = ico.subarray(entries[2].offset, entries[2].offset + entries[2].size);
+    expect(png.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+    expect((await sharp(png).metadata()).width).toBe(48);
+  });
+
+  it('should store 256 px as 0 in the directory', () => {
+    const ico = encodeIco([{ width: 256, height: 256, png: Buffer.from('png') }]);
+    expect(ico[6]).toBe(0);
+    expect(ico[7]).toBe(0);
+  });
+
+  it('should reject empty and oversized icons', () => {
+    expect(() => encodeIco([])).toThrow(IcoError);
+    expect(() => encodeIco([{ width: 512, height: 512, png: Buffer.from('png') }])).toThrow(/1 to 256 px/);
+  });
+});
+
+describe('encodeBmp', () => {
+  it('should write bottom-up BGRA rows and mask transparent pixels', () => {
+    // 2x2: top row red and transparent, bottom row green and blue
+    const rgba = Buffer.from([255, 0, 0, 255, 0, 0, 0, 0, 0, 255, 0, 255, 0, 0, 255, 255]);
+    const bmp = encodeBmp(2, 2, rgba);
+
+    expect(bmp.readUInt32LE(0)).toBe(40);
+    expect(bmp.readInt32LE(4)).toBe(2);
+    expect(bmp.readInt32LE(8)).toBe(4);
+    expect(bmp.readUInt16LE(14)).toBe(32);
+
+    const pixels = bmp.subarray(40, 40 + 16);
+    expect([...pixels.subarray(0, 8)]).toEqual([0, 255, 0, 255, 255, 0, 0, 255]); // bottom row first
+    expect([...pixels.subarray(8, 16)]).toEqual([0, 0, 255, 255, 0, 0, 0, 0]);
+
+    const mask = bmp.subarray(56);
+    expect([...mask]).toEqual([0, 0, 0, 0, 0x40, 0, 0, 0]);
+  });
+
+  it('should reject pixel data of the wrong size', () => {
+    expect(() => encodeBmp(16, 16, Buffer.alloc(10))).toThrow(/Expected 1024 bytes/);
+  });
+});
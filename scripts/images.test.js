@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import sharp from 'sharp';
+import { ImageError, inspectImage, smallerAvif, srcset, variantSizes } from './lib/images.js';
+
+const create = (width, height) => sharp({ create: { width, height, channels: 3, background: '#336699' } });
+
+describe('inspectImage', () => {
+  it('should report format and size of accepted images', async () => {
+    expect(await inspectImage(await create(900, 500).webp().toBuffer(), { minWidth: 800, minHeight: 420 }))
+      .toEqual({ format: 'webp', width: 900, height: 500 });
+  });
+
+  it('should reject other formats, unreadable input and small images', async () => {
+    await expect(inspectImage(await create(900, 500).gif().toBuffer()))
+      .rejects.toThrow('unsupported format gif, expected JPEG, PNG, WebP');
+    await expect(inspectImage(Buffer.from('<html>'))).rejects.toBeInstanceOf(ImageError);
+    await expect(inspectImage(await create(640, 480).jpeg().toBuffer(), { minWidth: 800, minHeight: 420 }))
+      .rejects.toThrow('640x480 is below the minimum of 800x420');
+  });
+
+  it('should use the EXIF-rotated size', async () => {
+    const portrait = await create(900, 500).jpeg().withMetadata({ orientation: 6 }).toBuffer();
+    expect(await inspectImage(portrait)).toMatchObject({ width: 500, height: 900 });
+  });
+});
+
+describe('variantSizes', () => {
+  it('should crop to the aspect ratio without upscaling', () => {
+    expect(variantSizes({ width: 1200, height: 630 }, [400, 800, 1200], 40 / 21)).toEqual([
+      { width: 400, height: 210 }, { width: 800, height: 420 }, { width: 1200, height: 630 },
+    ]);
+    // Too flat for 1200w once cropped to 40:21
+    expect(variantSizes({ width: 1600, height: 500 }, [400, 800, 1200], 40 / 21).map(({ width }) => width))
+      .toEqual([400, 800]);
+  });
+
+  it('should build a srcset list', () => {
+    expect(srcset([{ url: '/a-400w.jpg', width: 400 }, { url: '/a-800w.jpg', width: 800 }]))
+      .toBe('/a-400w.jpg 400w, /a-800w.jpg 800w');
+  });
+});
+
+describe('smallerAvif', () => {
+  const input = () => create(200, 100).png().toBuffer();
+
+  it('should encode (and crop) to AVIF when it beats the WebP', async () => {
+    const avif = await smallerAvif(await input(), 100000, { width: 50, height: 50 });
+    const { format, width, height } = await sharp(avif).metadata();
+    expect(format).toBe('heif');
+    expect([width, height]).toEqual([50, 50]);
+  });
+
+  it('should keep the pipeline of a sharp instance', async () => {
+    const avif = await smallerAvif(sharp(await input()).resize(20, 10), 100000);
+    expect((await sharp(avif).metadata()).width).toBe(20);
+  });
+
+  it('should drop the AVIF when the WebP is smaller', async () => {
+    expect(await smallerAvif(await input(), 1)).toBeNull();
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Content-hashed asset names: `avatar-150w.jpg` → `avatar-150w.1a2b3c4d.jpg`.
+ *
+ * A hashed file never changes under its name, so it can be cached as
+ * immutable; pages and the manifest reference the hashed names instead.
+ */
+import crypto from 'crypto';
+import path from 'path';
+import {ENCODINGS} from './compression.js';
+import {matchesAny} from './files.js';
+
+export const HASH_LENGTH = 8;
+
+/** Generated assets that get a content hash (paths relative to dist/). */
+export const FINGERPRINTED = ['**/*.{png,jpg,jpeg,webp,avif,svg,woff2}'];
+
+/**
+ * Assets other sites and clients request by a fixed URL; social/ holds the
+ * preview cards crawlers cache by URL and the blog links to.
+ */
+export const STABLE = ['favicon.ico', 'apple-touch-icon.png', '*.asc', '.well-known/**', 'social/**'];
+
+/** Files whose references to assets are rewritten. */
+export const REFERRERS = ['**/*.html', '**/*.webmanifest'];
+
+export const SITE_ORIGIN = 'https://bmarwell.de';
+
+const HASHED = new RegExp(`\\.[0-9a-f]{${HASH_LENGTH}}\\.[^./]+$`);
+
+export function contentHash(bytes) {
+  return crypto.createHash('sha256').update(bytes).digest('hex').slice(0, HASH_LENGTH);
+}
+
+/** True for names that already carry a content hash. */
+export function isHashed(relPath) {
+  return HASHED.test(relPath);
+}
+
+/** The name without its content hash: `a.1a2b3c4d.jpg` → `a.jpg`; other names unchanged. */
+export function unhashedName(relPath) {
+  return relPath.replace(new RegExp(`\\.[0-9a-f]{${HASH_LENGTH}}(\\.[^./]+)$`), '$1');
+}
+
+export function hashedName(relPath, bytes) {
+  const ext = path.posix.extname(relPath);
+  return `${relPath.slice(0, -ext.length)}.${contentHash(bytes)}${ext}`;
+}
+
+/** Files of dist/ (relative paths) that should be renamed. */
+export function fingerprintCandidates(files) {
+  return files.filter((file) =>
+    matchesAny(file, FINGERPRINTED) && !matchesAny(file, STABLE) && !isHashed(file));
+}
+
+/**
+ * Hashed versions of relPath left over from earlier builds, including their
+ * compressed variants; keep is the current hashed name.
+ */
+export function staleVersions(files, relPath, keep) {
+  const ext = path.posix.extname(relPath);
+  const stem = relPath.slice(0, -ext.length).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const encodings = ENCODINGS.map((e) => e.extension.replace('.', '\\.')).join('|');
+  const pattern = new RegExp(`^${stem}\\.[0-9a-f]{${HASH_LENGTH}}\\${ext}(?:${encodings})?$`);
+  return files.filter((file) => pattern.test(file) && !file.startsWith(keep));
+}
+
+/**
+ * Replace references to renamed assets in text. A reference is the root
+ * path (`/fonts/a.woff2`) or the absolute URL on the site origin, delimited
+ * like in attributes, srcset lists, CSS url() and JSON strings.
+ *
+ * @param {Map<string, string>} renames old → new path, relative to dist/
+ * @returns {{text: string, count: number}}
+ */
+export function rewriteReferences(text, renames) {
+  if (renames.size === 0) return {text, count: 0};
+  const alternatives = [...renames.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map((file) => file.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const origin = SITE_ORIGIN.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`(^|["'(\\s,]|${origin})/(${alternatives.join('|')})(?=["')\\s,?#]|$)`, 'g');
+
+  let count = 0;
+  const rewritten = text.replace(pattern, (match, prefix, file) => {
+    count++;
+    return `${prefix}/${renames.get(file)}`;
+  });
+  return {text: rewritten, count};
+}
@@ -0,0 +1,166 @@
+/**
+ * Performance budgets (src/main/resources/budgets.yml) evaluated against
+ * dist/, plus the files in dist/ that nothing references.
+ *
+ * Sizes are transfer sizes: the brotli variant where the build made one,
+ * else gzip, else the file itself. What a page loads is read from its HTML:
+ * <img>/<picture> (the largest candidate, as a worst case), url() in inline
+ * styles, <link rel=icon|manifest|stylesheet|preload> and <script src>.
+ * <noscript> content is ignored.
+ */
+import {promises as fs} from 'fs';
+import path from 'path';
+import {SITE_ORIGIN} from './assets.js';
+import {buildManifest} from './dist-manifest.js';
+import {matchesAny} from './files.js';
+import {getAttribute, parseHtml, querySelectorAll, textContent} from './html-transform.js';
+
+const KIB = 1024;
+
+/** Files requested by URL convention rather than by reference. */
+export const ENTRY_POINTS = [
+  '*.html', '.htaccess', 'robots.txt', 'sitemap.xml', 'favicon.ico', 'apple-touch-icon.png',
+  'dist-manifest.json', '.well-known/**', 'social/**',
+];
+
+const FONT = /\.(woff2?|ttf|otf)$/i;
+
+export function transferSize(entry) {
+  return entry.brotli ?? entry.gzip ?? entry.raw;
+}
+
+function srcsetUrls(value) {
+  return value ? value.split(',').map((candidate) => candidate.trim().split(/\s+/)[0]).filter(Boolean) : [];
+}
+
+/** dist/-relative path of a same-site URL, the absolute URL otherwise. */
+export function resolveUrl(url) {
+  const local = url.startsWith(`${SITE_ORIGIN}/`) ? url.slice(SITE_ORIGIN.length) : url;
+  if (!local.startsWith('/') || local.startsWith('//')) return url;
+  return decodeURI(local.slice(1).replace(/[?#].*$/, ''));
+}
+
+/**
+ * What a page loads on first render.
+ *
+ * @returns {Array<{kind: 'image'|'font'|'icon'|'manifest'|'script'|'stylesheet',
+ *   candidates: string[], critical: boolean}>} candidates are alternatives of
+ *   which the browser fetches one (srcset entries, icon sizes)
+ */
+export function pageResources(html) {
+  const doc = parseHtml(html);
+  const hidden = new Set(querySelectorAll(doc, 'noscript *'));
+  const rendered = (selector) => querySelectorAll(doc, selector).filter((element) => !hidden.has(element));
+  const resources = [];
+
+  for (const img of rendered('img')) {
+    const picture = img.parent?.type === 'element' && img.parent.name.toLowerCase() === 'picture' ? img.parent : null;
+    const sources = picture ? querySelectorAll(picture, 'source').flatMap((source) => srcsetUrls(getAttribute(source, 'srcset'))) : [];
+    const candidates = [...sources, ...srcsetUrls(getAttribute(img, 'srcset')), getAttribute(img, 'src')].filter(Boolean);
+    if (candidates.length === 0) continue;
+    resources.push({kind: 'image', candidates: candidates.map(resolveUrl), critical: getAttribute(img, 'loading') !== 'lazy'});
+  }
+
+  for (const css of rendered('style').map(textContent)) {
+    for (const [, , url] of css.matchAll(/url\(\s*(["']?)([^"')]+)\1\s*\)/gi)) {
+      if (url.startsWith('data:')) continue;
+      resources.push({kind: FONT.test(url) ? 'font' : 'image', candidates: [resolveUrl(url)], critical: true});
+    }
+  }
+
+  const icons = [];
+  for (const link of rendered('link')) {
+    const rel = (getAttribute(link, 'rel') ?? '').toLowerCase().split(/\s+/);
+    const href = getAttribute(link, 'href');
+    if (!href) continue;
+    if (rel.includes('icon')) {
+      icons.push(resolveUrl(href));
+    } else if (rel.includes('manifest') || rel.includes('stylesheet')) {
+      resources.push({kind: rel.includes('manifest') ? 'manifest' : 'stylesheet', candidates: [resolveUrl(href)], critical: true});
+    } else if (rel.includes('preload')) {
+      const as = getAttribute(link, 'as');
+      resources.push({kind: as === 'font' ? 'font' : as === 'image' ? 'image' : 'script', candidates: [resolveUrl(href)], critical: true});
+    }
+  }
+  // The browser picks one of the declared icons
+  if (icons.length > 0) resources.push({kind: 'icon', candidates: icons, critical: true});
+
+  for (const script of rendered('script')) {
+    const src = getAttribute(script, 'src');
+    if (src) resources.push({kind: 'script', candidates: [resolveUrl(src)], critical: true});
+  }
+  return resources;
+}
+
+/** Every same-site path mentioned in text: attributes, srcset, url(), JSON strings. */
+export function referencedPaths(text) {
+  const origin = SITE_ORIGIN.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`(?:^|["'(\\s,=>]|${origin})/([\\w.~%@+-][^"'()\\s,?#<>]*)`, 'g');
+  return [...text.matchAll(pattern)].map((match) => decodeURI(match[1]));
+}
+
+/** Largest local candidate of a resource (by transfer size), or null for third-party ones. */
+function largestCandidate(resource, files) {
+  return resource.candidates
+    .filter((candidate) => files[candidate])
+    .map((file) => ({file, size: transferSize(files[file])}))
+    .sort((a, b) => b.size - a.size)[0] ?? null;
+}
+
+const sum = (items) => items.reduce((total, item) => total + item.size, 0);
+const bySize = (items) => [...items].sort((a, b) => b.size - a.size);
+
+/**
+ * Evaluate the budgets against distDir. HTML, image, font and request
+ * budgets apply to each page; files lists what counted, largest first.
+ *
+ * @returns {Promise<{results: Array<{name: string, limit: number, actual: number,
+ *   unit: 'bytes'|'requests', ok: boolean, files: Array<{file: string, size?: number}>}>,
+ *   orphans: string[]}>}
+ */
+export async function checkBudgets(distDir, budgets) {
+  const {files} = await buildManifest(distDir, {date: null});
+  const read = (file) => fs.readFile(path.join(distDir, file), 'utf8');
+  const results = [];
+  const add = (name, limit, actual, unit, counted) =>
+    results.push({name, limit, actual, unit, ok: actual <= limit, files: counted});
+  const referenced = new Set();
+
+  for (const page of Object.keys(files).filter((file) => file.endsWith('.html')).sort()) {
+    const html = await read(page);
+    referencedPaths(html).forEach((file) => referenced.add(file));
+    const resources = pageResources(html).filter((resource) => resource.critical);
+    const counted = (kind) => {
+      const largest = resources.filter((r) => r.kind === kind).map((r) => largestCandidate(r, files)).filter(Boolean);
+      return bySize(new Map(largest.map((item) => [item.file, item])).values());
+    };
+
+    const size = transferSize(files[page]);
+    add(`${page}: html`, budgets.html_kib * KIB, size, 'bytes', [{file: page, size}]);
+    const images = counted('image');
+    add(`${page}: critical images`, budgets.critical_images_kib * KIB, sum(images), 'bytes', images);
+    const fonts = counted('font');
+    add(`${page}: fonts`, budgets.fonts_kib * KIB, sum(fonts), 'bytes', fonts);
+    // A preloaded file is the same request as its later reference
+    const requests = [...new Set(resources.map((resource) => resource.candidates[0]))];
+    add(`${page}: requests`, budgets.requests, 1 + requests.length, 'requests', requests.map((file) => ({file})));
+  }
+
+  const limit = budgets.largest_asset_kib * KIB;
+  const assets = bySize(Object.entries(files)
+    .filter(([file]) => file !== '.htaccess')
+    .map(([file, entry]) => ({file, size: transferSize(entry)})));
+  add('largest asset', limit, assets[0]?.size ?? 0, 'bytes', assets.filter((asset) => asset.size > limit));
+
+  for (const file of Object.keys(files).filter((f) => f.endsWith('.webmanifest'))) {
+    for (const icon of JSON.parse(await read(file)).icons ?? []) referenced.add(resolveUrl(icon.src));
+  }
+  if (files['sitemap.xml']) {
+    referencedPaths(await read('sitemap.xml')).forEach((file) => referenced.add(file));
+  }
+  const orphans = Object.keys(files)
+    .filter((file) => !referenced.has(file) && !matchesAny(file, ENTRY_POINTS))
+    .sort();
+
+  return {results, orphans};
+}
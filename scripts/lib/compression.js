@@ -0,0 +1,120 @@
+/**
+ * Pre-compression of build artifacts with Zstandard, Brotli and Gzip.
+ *
+ * Files are selected by MIME type and include/exclude globs rather than a
+ * fixed list, so every compressible artifact in dist/ gets its variants.
+ */
+import {promises as fs} from 'fs';
+import path from 'path';
+import brotli from 'brotli';
+import pako from 'pako';
+import {matchesAny, walkFiles} from './files.js';
+import {isCompressibleType, mimeType} from './mime.js';
+
+function level(envVar, fallback) {
+  return process.env[envVar] ? parseInt(process.env[envVar], 10) : fallback;
+}
+
+/** Supported encodings in server preference order: zstd > brotli > gzip. */
+export const ENCODINGS = [
+  {
+    name: 'zstd',
+    extension: '.zst',
+    level: level('ZSTD_LEVEL', 22),
+    async compress(content, lvl) {
+      // Native addon, loaded lazily so the other encoders work without it
+      const {default: zstd} = await import('@mongodb-js/zstd');
+      return zstd.compress(content, lvl);
+    },
+  },
+  {
+    name: 'br',
+    extension: '.br',
+    level: level('BROTLI_LEVEL', 11),
+    async compress(content, lvl) {
+      const compressed = brotli.compress(content, {
+        mode: 0, // Generic mode (0 = generic, 1 = text, 2 = font)
+        quality: lvl,
+        lgwin: 24, // Window size (10-24), 24 is maximum
+      });
+      // brotli.js returns null when the output would not fit into the input size
+      return compressed ? Buffer.from(compressed) : null;
+    },
+  },
+  {
+    name: 'gzip',
+    extension: '.gz',
+    level: level('GZIP_LEVEL', 9),
+    async compress(content, lvl) {
+      return Buffer.from(pako.gzip(content, {level: lvl, memLevel: 9}));
+    },
+  },
+];
+
+export const DEFAULT_RULES = {
+  // Extra files to compress even if their MIME type is not compressible
+  include: [],
+  // Never compress these, whatever their type
+  exclude: [
+    '.htaccess', // Apache must read it as plain text
+    '*.{zst,br,gz}',
+    '*.{woff,woff2}', // already compressed
+  ],
+};
+
+/** True if relPath (relative to dist/) should get pre-compressed variants. */
+export function isCompressible(relPath, rules = DEFAULT_RULES) {
+  if (matchesAny(relPath, rules.exclude)) return false;
+  if (matchesAny(relPath, rules.include)) return true;
+  return isCompressibleType(mimeType(relPath));
+}
+
+/** List compressible files in distDir, relative to it. */
+export async function findCompressibleFiles(distDir, rules = DEFAULT_RULES) {
+  const files = await walkFiles(distDir);
+  return files.filter((file) => isCompressible(file, rules));
+}
+
+async function compressVariant(filePath, content, encoding) {
+  const outputPath = filePath + encoding.extension;
+  let compressed;
+  try {
+    compressed = await encoding.compress(content, encoding.level);
+  } catch (error) {
+    throw new Error(`${encoding.name} compression of ${filePath} failed: ${error.message}`);
+  }
+
+  const kept = compressed !== null && compressed.length < content.length;
+  if (kept) {
+    await fs.writeFile(outputPath, compressed);
+  } else {
+    // A variant that is not smaller only costs bytes; drop stale ones too
+    await fs.rm(outputPath, {force: true});
+  }
+
+  return {
+    encoding: encoding.name,
+    extension: encoding.extension,
+    originalSize: content.length,
+    compressedSize: compressed?.length ?? null,
+    kept,
+  };
+}
+
+/**
+ * Compress every compressible file in distDir with all encodings, in parallel.
+ * Rejects on the first real compression error.
+ *
+ * @returns {Promise<Array<{file: string, variants: Array<object>}>>}
+ */
+export async function compressDist(distDir, {rules = DEFAULT_RULES, encodings = ENCODINGS} = {}) {
+  const files = await findCompressibleFiles(distDir, rules);
+
+  return Promise.all(files.map(async (file) => {
+    const filePath = path.join(distDir, file);
+    const content = await fs.readFile(filePath);
+    const variants = await Promise.all(
+      encodings.map((encoding) => compressVariant(filePath, content, encoding)));
+    return {file, variants};
+  }));
+}
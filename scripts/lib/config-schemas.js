@@ -0,0 +1,261 @@
+/**
+ * Schemas for the YAML files under src/main/resources, checked by
+ * scripts/validate.js and again by each build script before it touches dist/.
+ * New config files get an entry in CONFIG_FILES.
+ */
+import {existsSync} from 'fs';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {parseDateFromUrl, toIsoDate} from './featured.js';
+import {ConfigError, formatIssues, validateConfigFile} from './schema.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.join(__dirname, '../..');
+const RESOURCES_DIR = path.join(ROOT_DIR, 'src/main/resources');
+
+const text = {type: 'string', minLength: 1};
+const url = {type: 'string', format: 'url'};
+const date = {type: 'string', format: 'date'};
+
+const series = {
+  type: 'object',
+  required: ['title', 'url'],
+  additionalProperties: false,
+  properties: {title: text, url},
+};
+
+const feed = {
+  type: ['string', 'object'],
+  if: {type: 'object'},
+  then: {
+    additionalProperties: false,
+    properties: {url, file: text, tag: text, series: text},
+    if: {required: ['url']},
+    else: {required: ['file']},
+  },
+};
+
+const articleFields = {
+  enabled: {type: 'boolean'},
+  title: text,
+  url,
+  abstract: text,
+  image_url: url,
+  image_file: text,
+  date_published: date,
+  show_from: date,
+  show_until: date,
+  priority: {type: 'integer'},
+  series,
+  feed,
+};
+
+// Card fields are only required when there is no feed to fill them in
+const articleRequirements = {
+  if: {required: ['feed']},
+  else: {
+    required: ['title', 'url', 'abstract'],
+    if: {required: ['image_file']},
+    else: {required: ['image_url']},
+  },
+};
+
+const maxCards = {type: 'integer', minimum: 1};
+
+export const FEATURED_ARTICLE_SCHEMA = {
+  type: 'object',
+  if: {required: ['articles']},
+  then: {
+    additionalProperties: false,
+    properties: {
+      max_cards: maxCards,
+      articles: {
+        type: 'array',
+        items: {type: 'object', additionalProperties: false, properties: articleFields, ...articleRequirements},
+      },
+    },
+  },
+  // Original single-article format
+  else: {additionalProperties: false, properties: {...articleFields, max_cards: maxCards}, ...articleRequirements},
+};
+
+/** Checks beyond the schema: date consistency and show windows. */
+function checkFeaturedArticles(cfg) {
+  const entries = Array.isArray(cfg.articles)
+    ? cfg.articles.map((article, index) => [`articles[${index}]`, article])
+    : [['', cfg]];
+  const issues = [];
+  for (const [at, article] of entries) {
+    const field = (name) => (at ? `${at}.${name}` : name);
+    const published = toIsoDate(article.date_published);
+    const fromUrl = article.url ? parseDateFromUrl(article.url) : null;
+    if (published && fromUrl && published !== fromUrl) {
+      issues.push({
+        path: field('date_published'),
+        message: `${published} disagrees with ${fromUrl} parsed from the URL`,
+        severity: 'warning',
+      });
+    }
+    const from = toIsoDate(article.show_from);
+    const until = toIsoDate(article.show_until);
+    if (from && until && until < from) {
+      issues.push({
+        path: field('show_until'),
+        message: `${until} is before show_from ${from}, so the article is never shown`,
+        severity: 'error',
+      });
+    }
+  }
+  return issues;
+}
+
+export const PROFILES_SCHEMA = {
+  type: 'object',
+  required: ['profiles'],
+  additionalProperties: false,
+  properties: {
+    profiles: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'url', 'title', 'subtitle', 'description'],
+        additionalProperties: false,
+        properties: {
+          id: {type: 'string', minLength: 1},
+          url,
+          title: text,
+          subtitle: text,
+          description: text,
+          tooltip: text,
+          rel: text,
+          same_as: {type: 'array', items: url},
+        },
+      },
+    },
+  },
+};
+
+/** Unique ids and URLs, an icon per profile and rel="me" on every card. */
+function checkProfiles(cfg) {
+  const issues = [];
+  const seenIds = new Map();
+  const seenUrls = new Map();
+  cfg.profiles.forEach((profile, index) => {
+    const at = `profiles[${index}]`;
+    if (!/^[a-z][a-z0-9-]*$/.test(profile.id)) {
+      issues.push({path: `${at}.id`, message: 'must be lowercase letters, digits and dashes', severity: 'error'});
+    } else if (!existsSync(path.join(RESOURCES_DIR, 'icons', `${profile.id}.svg`))) {
+      issues.push({path: `${at}.id`, message: `icon icons/${profile.id}.svg not found`, severity: 'error'});
+    }
+    if (seenIds.has(profile.id)) {
+      issues.push({path: `${at}.id`, message: `duplicates ${seenIds.get(profile.id)}.id`, severity: 'error'});
+    }
+    seenIds.set(profile.id, at);
+    for (const [field, value] of [['url', profile.url], ...(profile.same_as ?? []).map((u, i) => [`same_as[${i}]`, u])]) {
+      if (seenUrls.has(value)) {
+        issues.push({path: `${at}.${field}`, message: `${value} is already listed at ${seenUrls.get(value)}`, severity: 'error'});
+      }
+      seenUrls.set(value, `${at}.${field}`);
+    }
+    if (profile.rel && !profile.rel.split(/\s+/).includes('me')) {
+      issues.push({path: `${at}.rel`, message: 'should include "me" for identity verification', severity: 'warning'});
+    }
+  });
+  return issues;
+}
+
+const kib = {type: 'integer', minimum: 1};
+
+export const BUDGETS_SCHEMA = {
+  type: 'object',
+  required: ['html_kib', 'critical_images_kib', 'fonts_kib', 'requests', 'largest_asset_kib'],
+  additionalProperties: false,
+  properties: {
+    html_kib: kib,
+    critical_images_kib: kib,
+    fonts_kib: kib,
+    requests: {type: 'integer', minimum: 1},
+    largest_asset_kib: kib,
+  },
+};
+
+const color = {type: 'string', format: 'color'};
+const scheme = {
+  type: 'object',
+  required: ['background', 'text'],
+  additionalProperties: false,
+  properties: {background: color, background_to: color, text: color},
+};
+
+export const FAVICON_SCHEMA = {
+  type: 'object',
+  required: ['text', 'font', 'corner_radius', 'padding', 'light', 'pinned_tab'],
+  additionalProperties: false,
+  properties: {
+    text,
+    font: text,
+    letter_spacing: {type: 'number'},
+    // Lengths on the 512 px icon canvas
+    corner_radius: {type: 'number', minimum: 0, maximum: 256},
+    padding: {type: 'number', minimum: 0, maximum: 255},
+    light: scheme,
+    dark: scheme,
+    pinned_tab: color,
+  },
+};
+
+/** The font file must exist (relative to favicon.yml). */
+function checkFavicon(cfg) {
+  if (existsSync(path.resolve(RESOURCES_DIR, cfg.font))) return [];
+  return [{path: 'font', message: `${cfg.font} not found`, severity: 'error'}];
+}
+
+/** Front matter of the pages under src/main/html (see lib/pages.js). */
+export const PAGE_SCHEMA = {
+  type: 'object',
+  required: ['title', 'description'],
+  additionalProperties: false,
+  properties: {title: text, description: text, canonical: url},
+};
+
+/**
+ * @type {Object<string, {file: string, schema: object,
+ *   check?: (cfg: any) => import('./schema.js').Issue[]}>}
+ */
+export const CONFIG_FILES = {
+  featuredArticle: {
+    file: path.join(RESOURCES_DIR, 'featured-article.yml'),
+    schema: FEATURED_ARTICLE_SCHEMA,
+    check: checkFeaturedArticles,
+  },
+  profiles: {
+    file: path.join(RESOURCES_DIR, 'profiles.yml'),
+    schema: PROFILES_SCHEMA,
+    check: checkProfiles,
+  },
+  budgets: {
+    file: path.join(RESOURCES_DIR, 'budgets.yml'),
+    schema: BUDGETS_SCHEMA,
+  },
+  favicon: {
+    file: path.join(RESOURCES_DIR, 'favicon.yml'),
+    schema: FAVICON_SCHEMA,
+    check: checkFavicon,
+  },
+};
+
+/**
+ * Load a registered config file for a build script: warnings are printed,
+ * errors throw a ConfigError before anything is written.
+ */
+export async function loadConfig(name) {
+  const {file, ...definition} = CONFIG_FILES[name];
+  const {config, issues} = await validateConfigFile(file, definition);
+  const warnings = issues.filter((issue) => issue.severity === 'warning');
+  if (warnings.length > 0) console.warn(formatIssues(file, warnings, ROOT_DIR));
+  const errors = issues.filter((issue) => issue.severity === 'error');
+  if (errors.length > 0) {
+    throw new ConfigError(`Invalid ${path.relative(ROOT_DIR, file)}:\n${formatIssues(file, errors, ROOT_DIR)}`);
+  }
+  return config;
+}
@@ -0,0 +1,100 @@
+/**
+ * Content-Security-Policy for the built pages.
+ *
+ * Inline <script>/<style> blocks and style="" attributes are allowed by
+ * their sha256 hashes, so the policy must be computed from the final HTML:
+ * any later rewrite of an inline block invalidates its hash.
+ */
+import crypto from 'crypto';
+
+/** Third-party origin of the Matomo tracker (loader script and tracking pixel). */
+export const STATS_ORIGIN = 'https://stats.bmarwell.de';
+
+/** Browser features the site never uses. */
+export const PERMISSIONS_POLICY = [
+  'accelerometer', 'browsing-topics', 'camera', 'geolocation', 'gyroscope',
+  'magnetometer', 'microphone', 'payment', 'usb',
+].map((feature) => `${feature}=()`).join(', ');
+
+const ENTITIES = {amp: '&', lt: '<', gt: '>', quot: '"', apos: '\''};
+
+function decodeAttribute(value) {
+  return value.replace(/&(?:#(\d+)|#x([\da-f]+)|(\w+));/gi, (entity, dec, hex, name) => {
+    if (dec) return String.fromCodePoint(parseInt(dec, 10));
+    if (hex) return String.fromCodePoint(parseInt(hex, 16));
+    return ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/** CSP hash source of text ("'sha256-…'"). */
+export function hashSource(text) {
+  return `'sha256-${crypto.createHash('sha256').update(text, 'utf8').digest('base64')}'`;
+}
+
+/**
+ * Inline code of an HTML document: contents of <script> elements without
+ * src, <style> elements, and the values of style attributes.
+ */
+export function inlineBlocks(html) {
+  const scripts = [];
+  for (const [, attributes, content] of html.matchAll(/<script\b([^>]*)>([\s\S]*?)<\/script>/gi)) {
+    if (!/\bsrc\s*=/i.test(attributes)) scripts.push(content);
+  }
+  const styles = [];
+  for (const [, content] of html.matchAll(/<style\b[^>]*>([\s\S]*?)<\/style>/gi)) {
+    styles.push(content);
+  }
+  const styleAttributes = [];
+  for (const [, , value] of html.matchAll(/<[a-z][^>]*?\sstyle\s*=\s*(["'])([\s\S]*?)\1/gi)) {
+    styleAttributes.push(decodeAttribute(value));
+  }
+  return {scripts, styles, styleAttributes};
+}
+
+const unique = (items) => [...new Set(items)];
+
+/**
+ * Strict policy for the site's pages (one HTML document or a list, as
+ * .htaccess sets one policy for all): nothing by default, same-origin fonts,
+ * images and manifest, inline code only by hash, and the stats origin for
+ * the tracker script and pixel.
+ */
+export function buildPolicy(html) {
+  const blocks = [].concat(html).map(inlineBlocks);
+  const [scripts, styles, styleAttributes] = ['scripts', 'styles', 'styleAttributes']
+    .map((kind) => blocks.flatMap((page) => page[kind]));
+  const styleSources = unique(styles.map(hashSource));
+  if (styleAttributes.length > 0) {
+    // Hashes only cover style="" attributes together with 'unsafe-hashes'
+    styleSources.push('\'unsafe-hashes\'', ...unique(styleAttributes.map(hashSource)));
+  }
+
+  const directives = [
+    ['default-src', '\'none\''],
+    ['script-src', ...unique(scripts.map(hashSource)), STATS_ORIGIN],
+    ['style-src', ...styleSources],
+    ['img-src', '\'self\'', STATS_ORIGIN],
+    ['font-src', '\'self\''],
+    ['manifest-src', '\'self\''],
+    ['base-uri', '\'none\''],
+    ['form-action', '\'none\''],
+    ['frame-ancestors', '\'none\''],
+  ];
+  return directives
+    .filter((directive) => directive.length > 1)
+    .map((directive) => directive.join(' '))
+    .join('; ');
+}
+
+/**
+ * The security header lines for the `# {{SECURITY_HEADERS}}` placeholder;
+ * `always`, so the error pages get them too.
+ */
+export function renderSecurityHeaders(policy) {
+  return [
+    `Header always set Content-Security-Policy "${policy}"`,
+    'Header always set Referrer-Policy "strict-origin-when-cross-origin"',
+    `Header always set Permissions-Policy "${PERMISSIONS_POLICY}"`,
+    'Header always set X-Content-Type-Options "nosniff"',
+  ].join('\n    ');
+}
@@ -0,0 +1,179 @@
+/**
+ * dist-manifest.json: every file the build ships, with its raw size, the
+ * sizes of its pre-compressed variants and a SHA-256, plus a diff of two
+ * manifests rendered as a terminal table or Markdown (see scripts/report.js).
+ */
+import crypto from 'crypto';
+import {promises as fs} from 'fs';
+import path from 'path';
+import {unhashedName} from './assets.js';
+import {ENCODINGS} from './compression.js';
+import {walkFiles} from './files.js';
+import {fetchCached} from './remote.js';
+
+export const MANIFEST_FILE = 'dist-manifest.json';
+export const MANIFEST_VERSION = 1;
+
+/** Manifest size fields, raw first; compressed sizes are null without a variant. */
+export const SIZE_FIELDS = ['raw', 'gzip', 'brotli', 'zstd'];
+
+const FIELD_BY_ENCODING = {gzip: 'gzip', br: 'brotli', zstd: 'zstd'};
+
+/**
+ * Describe distDir. Compressed variants are folded into the entry of their
+ * original file instead of being listed on their own.
+ *
+ * @returns {Promise<{version: number, date: string, commit: string|null,
+ *   files: Object<string, {sha256: string, raw: number, gzip: number|null,
+ *   brotli: number|null, zstd: number|null}>}>}
+ */
+export async function buildManifest(distDir, {date, commit = null}) {
+  const all = (await walkFiles(distDir)).filter((file) => file !== MANIFEST_FILE);
+  const fileSet = new Set(all);
+  const variantOf = (file) => {
+    const encoding = ENCODINGS.find((e) => file.endsWith(e.extension));
+    const original = encoding && file.slice(0, -encoding.extension.length);
+    return original && fileSet.has(original) ? {original, encoding} : null;
+  };
+
+  const files = {};
+  for (const file of all.filter((f) => !variantOf(f))) {
+    const content = await fs.readFile(path.join(distDir, file));
+    files[file] = {
+      sha256: crypto.createHash('sha256').update(content).digest('hex'),
+      raw: content.length,
+      gzip: null,
+      brotli: null,
+      zstd: null,
+    };
+  }
+  for (const file of all) {
+    const variant = variantOf(file);
+    if (!variant) continue;
+    const {size} = await fs.stat(path.join(distDir, file));
+    files[variant.original][FIELD_BY_ENCODING[variant.encoding.name]] = size;
+  }
+
+  return {version: MANIFEST_VERSION, date, commit, files};
+}
+
+/**
+ * Read a manifest from a file or an http(s) URL, e.g. the deployed one.
+ * URLs go through the remote cache, so offline runs use the last copy.
+ *
+ * @param {object} [options] passed to fetchCached (cacheDir, offline)
+ */
+export async function loadManifest(source, options) {
+  let text;
+  if (/^https?:\/\//.test(source)) {
+    text = (await fetchCached(source, options)).body.toString('utf8');
+  } else {
+    text = await fs.readFile(source, 'utf8');
+  }
+  const manifest = JSON.parse(text);
+  if (manifest.version !== MANIFEST_VERSION || typeof manifest.files !== 'object') {
+    throw new Error(`${source}: not a version ${MANIFEST_VERSION} dist manifest`);
+  }
+  return manifest;
+}
+
+/** Manifest entries keyed by name without content hash, so renamed assets still pair up. */
+function byLogicalName(manifest) {
+  const entries = new Map();
+  for (const [file, entry] of Object.entries(manifest.files)) {
+    entries.set(unhashedName(file), entry);
+  }
+  return entries;
+}
+
+/**
+ * Compare two manifests file by file.
+ *
+ * @returns {{rows: Array<{file: string, status: 'added'|'removed'|'changed'|'unchanged',
+ *   before: object|null, after: object|null}>, totals: {before: object, after: object}}}
+ *   rows sorted by the absolute change in raw size, largest first
+ */
+export function diffManifests(base, head) {
+  const before = byLogicalName(base);
+  const after = byLogicalName(head);
+  const names = [...new Set([...before.keys(), ...after.keys()])].sort();
+
+  const rows = names.map((file) => {
+    const a = before.get(file) ?? null;
+    const b = after.get(file) ?? null;
+    let status = 'changed';
+    if (!a) status = 'added';
+    else if (!b) status = 'removed';
+    else if (a.sha256 === b.sha256) status = 'unchanged';
+    return {file, status, before: a, after: b};
+  });
+  const delta = (row) => Math.abs((row.after?.raw ?? 0) - (row.before?.raw ?? 0));
+  rows.sort((x, y) => delta(y) - delta(x) || x.file.localeCompare(y.file));
+
+  // Files without a variant count at their raw size: what a client downloads
+  const total = (entries) => Object.fromEntries(SIZE_FIELDS.map((field) =>
+    [field, [...entries.values()].reduce((sum, entry) => sum + (entry[field] ?? entry.raw), 0)]));
+  return {rows, totals: {before: total(before), after: total(after)}};
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  return `${(bytes / 1024).toFixed(1)} KiB`;
+}
+
+/** "12.0 KiB → 12.5 KiB (+512 B, +4.2%)", or a single size if unchanged. */
+function formatChange(before, after) {
+  if (before == null && after == null) return '–';
+  if (before === after) return formatBytes(after);
+  if (before == null) return `– → ${formatBytes(after)}`;
+  if (after == null) return `${formatBytes(before)} → –`;
+  const sign = after > before ? '+' : '-';
+  const percent = Math.abs((after - before) / before * 100);
+  const change = [`${sign}${formatBytes(Math.abs(after - before))}`];
+  if (percent >= 0.05 && Number.isFinite(percent)) change.push(`${sign}${percent.toFixed(1)}%`);
+  return `${formatBytes(before)} → ${formatBytes(after)} (${change.join(', ')})`;
+}
+
+/** Table cells for the changed rows plus a totals row; unchanged files are left out. */
+function tableRows(diff, formatFile) {
+  const header = ['File', ...SIZE_FIELDS];
+  const rows = diff.rows
+    .filter((row) => row.status !== 'unchanged')
+    .map((row) => [
+      `${formatFile(row.file)}${row.status === 'changed' ? '' : ` (${row.status})`}`,
+      ...SIZE_FIELDS.map((field) => formatChange(row.before?.[field], row.after?.[field])),
+    ]);
+  const totals = ['Total', ...SIZE_FIELDS.map((field) =>
+    formatChange(diff.totals.before[field], diff.totals.after[field]))];
+  return {header, rows, totals};
+}
+
+/** Markdown report for pull-request comments. */
+export function renderMarkdown(diff) {
+  const {header, rows, totals} = tableRows(diff, (file) => `\`${file}\``);
+  const line = (cells) => `| ${cells.join(' | ')} |`;
+  const lines = ['### Build size report', ''];
+  if (rows.length === 0) {
+    lines.push('No output files changed.', '');
+  }
+  lines.push(
+    line(header),
+    line(header.map((_, i) => (i === 0 ? '---' : '---:'))),
+    ...rows.map(line),
+    line(totals.map((cell) => `**${cell}**`)),
+  );
+  return `${lines.join('\n')}\n`;
+}
+
+/** Aligned plain-text table for the terminal. */
+export function renderTable(diff) {
+  const {header, rows, totals} = tableRows(diff, (file) => file);
+  const all = [header, ...rows, totals];
+  const widths = header.map((_, i) => Math.max(...all.map((cells) => cells[i].length)));
+  const line = (cells) => cells
+    .map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])))
+    .join('  ');
+  const rule = widths.map((w) => '─'.repeat(w)).join('  ');
+  const body = rows.length > 0 ? rows.map(line) : ['No output files changed.'];
+  return `${[line(header), rule, ...body, rule, line(totals)].join('\n')}\n`;
+}
@@ -0,0 +1,133 @@
+/**
+ * Monogram icons from src/main/resources/favicon.yml: the text is laid out
+ * with opentype.js glyph paths and centred on a 512 px canvas. Used by
+ * generate-favicon.js for the images and site.webmanifest and by
+ * build-html.js for the <link> tags, so both always list the same files.
+ */
+import opentype from 'opentype.js';
+
+export const CANVAS = 512;
+
+/** Android masks maskable icons to at most the central circle of 80% of the icon. */
+export const SAFE_ZONE_RADIUS = 0.4 * CANVAS;
+
+const REFERENCE_SIZE = 1000;
+
+/** PNG renders of favicon.svg; the 16 and 32 px ones are linked from the HTML. */
+export const PNG_ICONS = [
+  {size: 16, name: 'favicon-16x16.png', link: true},
+  {size: 32, name: 'favicon-32x32.png', link: true},
+  {size: 48, name: 'favicon-48x48.png'},
+  {size: 180, name: 'apple-touch-icon.png'}, // Apple iOS
+  {size: 192, name: 'android-chrome-192x192.png', manifest: true},
+  {size: 512, name: 'android-chrome-512x512.png', manifest: true},
+];
+
+export const MASKABLE_ICON = {size: 512, name: 'maskable-icon-512x512.png'};
+export const PINNED_TAB_ICON = 'safari-pinned-tab.svg';
+
+/** Glyph outlines of text at fontSize, starting at (x, y) on the baseline. */
+function textPath(font, text, letterSpacing, fontSize, x, y) {
+  const path = new opentype.Path();
+  const scale = fontSize / font.unitsPerEm;
+  let advance = x;
+  for (const glyph of font.stringToGlyphs(text)) {
+    path.extend(glyph.getPath(advance, y, fontSize));
+    advance += glyph.advanceWidth * scale + letterSpacing * fontSize;
+  }
+  return path;
+}
+
+/**
+ * SVG path data of the configured text, scaled to fit inside the padding
+ * and, with safeZone, inside the maskable safe zone, centred on the canvas.
+ */
+export function monogramPathData(font, config, {safeZone = false} = {}) {
+  const letterSpacing = config.letter_spacing ?? 0;
+  const box = textPath(font, config.text, letterSpacing, REFERENCE_SIZE, 0, 0).getBoundingBox();
+  const width = box.x2 - box.x1;
+  const height = box.y2 - box.y1;
+
+  const inner = CANVAS - 2 * config.padding;
+  let scale = Math.min(inner / width, inner / height);
+  if (safeZone) scale = Math.min(scale, (2 * SAFE_ZONE_RADIUS) / Math.hypot(width, height));
+
+  const x = CANVAS / 2 - scale * (box.x1 + box.x2) / 2;
+  const y = CANVAS / 2 - scale * (box.y1 + box.y2) / 2;
+  return textPath(font, config.text, letterSpacing, REFERENCE_SIZE * scale, x, y).toPathData(2);
+}
+
+/**
+ * Light colours are presentation attributes, which renderers without media
+ * query support (and the PNG renders) use; a <style> overrides them under
+ * prefers-color-scheme: dark. A solid background is a gradient with two
+ * equal stops, so either scheme may use a gradient.
+ */
+function colorRules({background, background_to: backgroundTo = background, text}) {
+  return `.bg-from{stop-color:${background}}.bg-to{stop-color:${backgroundTo}}.fg{fill:${text}}`;
+}
+
+/**
+ * The monogram on its background. maskable fills the whole canvas (the
+ * launcher applies its own shape) and keeps the text in the safe zone.
+ */
+export function renderIconSvg(font, config, {maskable = false} = {}) {
+  const {light, dark} = config;
+  const style = dark ? `
+  <style>@media (prefers-color-scheme:dark){${colorRules(dark)}}</style>` : '';
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${CANVAS}" height="${CANVAS}" viewBox="0 0 ${CANVAS} ${CANVAS}">${style}
+  <defs>
+    <linearGradient id="bg" x1="0%" y1="0%" x2="100%" y2="100%">
+      <stop offset="0%" class="bg-from" stop-color="${light.background}"/>
+      <stop offset="100%" class="bg-to" stop-color="${light.background_to ?? light.background}"/>
+    </linearGradient>
+  </defs>
+  <rect width="${CANVAS}" height="${CANVAS}" rx="${maskable ? 0 : config.corner_radius}" fill="url(#bg)"/>
+  <path class="fg" d="${monogramPathData(font, config, {safeZone: maskable})}" fill="${light.text}"/>
+</svg>
+`;
+}
+
+/** Safari pinned-tab icon: the text alone, in black; Safari applies the mask-icon colour. */
+export function renderPinnedTabSvg(font, config) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${CANVAS} ${CANVAS}">
+  <path d="${monogramPathData(font, config)}"/>
+</svg>
+`;
+}
+
+/** site.webmanifest icons, including the maskable one. */
+export function manifestIcons() {
+  return [
+    ...PNG_ICONS.filter((icon) => icon.manifest).map(({size, name}) => ({
+      src: `/${name}`,
+      sizes: `${size}x${size}`,
+      type: 'image/png',
+    })),
+    {
+      src: `/${MASKABLE_ICON.name}`,
+      sizes: `${MASKABLE_ICON.size}x${MASKABLE_ICON.size}`,
+      type: 'image/png',
+      purpose: 'maskable',
+    },
+  ];
+}
+
+/** The icon <link> and theme-color <meta> tags for the page <head>. */
+export function renderFaviconLinks(config) {
+  const themeColors = config.dark
+    ? [
+      `<meta name="theme-color" content="${config.light.background}" media="(prefers-color-scheme: light)">`,
+      `<meta name="theme-color" content="${config.dark.background}" media="(prefers-color-scheme: dark)">`,
+    ]
+    : [`<meta name="theme-color" content="${config.light.background}">`];
+  return [
+    '<link rel="icon" type="image/svg+xml" href="/favicon.svg">',
+    ...PNG_ICONS.filter((icon) => icon.link).reverse()
+      .map(({size, name}) => `<link rel="icon" type="image/png" sizes="${size}x${size}" href="/${name}">`),
+    '<link rel="apple-touch-icon" sizes="180x180" href="/apple-touch-icon.png">',
+    `<link rel="mask-icon" href="/${PINNED_TAB_ICON}" color="${config.pinned_tab}">`,
+    '<link rel="manifest" href="/site.webmanifest">',
+    ...themeColors,
+  ].join('\n');
+}
@@ -0,0 +1,116 @@
+/**
+ * Featured article selection for build-featured-article.js.
+ *
+ * featured-article.yml either holds a single article (the original format,
+ * with a top-level `enabled` flag) or a list under `articles`. Each article
+ * may be scheduled with `show_from` / `show_until` (inclusive, YYYY-MM-DD)
+ * and ranked with `priority` (higher first, default 0).
+ *
+ * An article with a `feed` block takes its card fields from a blog feed
+ * (see lib/feed.js); fields set in the YAML override the feed values.
+ */
+import {isIsoDate} from './schema.js';
+
+/** Default number of cards rendered when max_cards is not set. */
+export const DEFAULT_MAX_CARDS = 1;
+
+/** Try to parse YYYY-MM-DD from a URL like /2024/05/23/slug.html */
+export function parseDateFromUrl(url) {
+  const m = url.match(/\/(\d{4})\/(\d{2})\/(\d{2})\//);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+/**
+ * Normalize a YAML date to YYYY-MM-DD. js-yaml turns unquoted dates into
+ * Date objects, quoted ones stay strings.
+ */
+export function toIsoDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  const str = String(value);
+  // Strict: Date.parse would roll 2024-02-31 over into March
+  if (!isIsoDate(str)) {
+    throw new Error(`Invalid date "${str}", expected YYYY-MM-DD`);
+  }
+  return str;
+}
+
+/**
+ * Turn either config format into {maxCards, articles}.
+ * The single-article format keeps working: `enabled: false` yields no articles.
+ */
+export function normalizeConfig(cfg) {
+  if (!cfg || typeof cfg !== 'object') {
+    throw new Error('Featured article config must be a mapping');
+  }
+  if (!Array.isArray(cfg.articles)) {
+    const {enabled, max_cards: maxCards, ...article} = cfg;
+    return {
+      maxCards: maxCards ?? DEFAULT_MAX_CARDS,
+      articles: enabled === false ? [] : [article],
+    };
+  }
+  return {
+    maxCards: cfg.max_cards ?? DEFAULT_MAX_CARDS,
+    articles: cfg.articles,
+  };
+}
+
+/** True if the article is enabled and date lies within its show window. */
+export function isActive(article, date) {
+  if (article.enabled === false) return false;
+  const from = toIsoDate(article.show_from);
+  const until = toIsoDate(article.show_until);
+  return (!from || from <= date) && (!until || date <= until);
+}
+
+/** Card fields a feed entry can fill in. */
+export const FEED_FIELDS = ['title', 'url', 'abstract', 'image_url', 'date_published'];
+
+/** Fill the article's unset card fields from a parsed feed entry. */
+export function mergeFeedEntry(article, entry) {
+  const {feed, ...merged} = article;
+  for (const field of FEED_FIELDS) {
+    if ((merged[field] ?? '') === '' && entry[field]) merged[field] = entry[field];
+  }
+  return merged;
+}
+
+/** Names of required card fields the article is missing. */
+export function missingFields(article) {
+  const missing = ['title', 'url', 'abstract']
+    .filter((field) => !String(article[field] ?? '').trim());
+  if (!article.image_url && !article.image_file) missing.push('image_url');
+  return missing;
+}
+
+/**
+ * Pick the articles to render on date (YYYY-MM-DD): active ones ordered by
+ * priority, then most recent show_from, then their order in the file.
+ */
+export function selectArticles(cfg, date) {
+  const {maxCards, articles} = normalizeConfig(cfg);
+  return articles
+    .map((article, index) => ({article, index}))
+    .filter(({article}) => isActive(article, date))
+    .sort((a, b) =>
+      (b.article.priority ?? 0) - (a.article.priority ?? 0) ||
+      (toIsoDate(b.article.show_from) ?? '').localeCompare(toIsoDate(a.article.show_from) ?? '') ||
+      a.index - b.index)
+    .slice(0, maxCards)
+    .map(({article}) => article);
+}
+
+/**
+ * Build date from `--date YYYY-MM-DD` / `--date=YYYY-MM-DD` or BUILD_DATE,
+ * defaulting to today (UTC).
+ */
+export function resolveBuildDate(argv = process.argv, env = process.env) {
+  const index = argv.findIndex((arg) => arg === '--date' || arg.startsWith('--date='));
+  let value = env.BUILD_DATE;
+  if (index !== -1) {
+    value = argv[index].includes('=') ? argv[index].split('=')[1] : argv[index + 1];
+    if (!value) throw new Error('--date needs a value (YYYY-MM-DD)');
+  }
+  return toIsoDate(value) ?? new Date().toISOString().slice(0, 10);
+}
@@ -0,0 +1,222 @@
+/**
+ * Minimal Atom / RSS 2.0 reader for the featured article.
+ *
+ * Only what the card needs is extracted: title, link, date, summary (HTML
+ * stripped) and an image from media:content, media:thumbnail, an image
+ * enclosure or an Atom enclosure link. The XML parser handles elements,
+ * attributes, CDATA, comments and entities — not DTDs or namespace URIs;
+ * prefixed names such as media:content are matched literally.
+ */
+import {promises as fs} from 'fs';
+import path from 'path';
+import {fetchCached} from './remote.js';
+
+const XML_ENTITIES = {amp: '&', lt: '<', gt: '>', quot: '"', apos: '\''};
+
+// Entities commonly found in blog summaries after the XML layer is decoded
+const HTML_ENTITIES = {
+  ...XML_ENTITIES,
+  nbsp: ' ', hellip: '…', mdash: '—', ndash: '–',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  laquo: '«', raquo: '»', copy: '©', middot: '·',
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun',
+  'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+export class FeedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FeedError';
+  }
+}
+
+function decodeEntities(text, entities) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1].toLowerCase() === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      if (code > 0x10ffff) throw new FeedError(`Invalid character reference ${match}`);
+      return String.fromCodePoint(code);
+    }
+    return entities[ref] ?? match;
+  });
+}
+
+/**
+ * Parse XML into {name, attrs, children, text} elements; text holds the
+ * element's own character data (CDATA included), in document order.
+ */
+export function parseXml(xml) {
+  const root = {name: '#document', attrs: {}, children: [], text: ''};
+  const stack = [root];
+  const tagRe = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  let last = 0;
+  let match;
+  while ((match = tagRe.exec(xml)) !== null) {
+    const current = stack[stack.length - 1];
+    current.text += decodeEntities(xml.slice(last, match.index), XML_ENTITIES);
+    last = tagRe.lastIndex;
+
+    const [, cdata, closeName, openName, attrText, selfClosing] = match;
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (closeName) {
+      if (current.name !== closeName) {
+        throw new FeedError(`Mismatched </${closeName}>, expected </${current.name}>`);
+      }
+      stack.pop();
+    } else if (openName) {
+      const attrs = {};
+      for (const [, name, double, single] of attrText.matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attrs[name] = decodeEntities(double ?? single, XML_ENTITIES);
+      }
+      const element = {name: openName, attrs, children: [], text: ''};
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+  if (stack.length > 1) {
+    throw new FeedError(`Unclosed <${stack[stack.length - 1].name}>`);
+  }
+  return root;
+}
+
+function child(el, name) {
+  return el.children.find((c) => c.name === name);
+}
+
+function childrenNamed(el, name) {
+  return el.children.filter((c) => c.name === name);
+}
+
+/** All character data below el, e.g. for Atom type="xhtml" content. */
+function textContent(el) {
+  return el ? el.text + el.children.map(textContent).join('') : '';
+}
+
+/** Strip tags and decode entities, collapsing whitespace to single spaces. */
+export function stripHtml(html) {
+  const text = html
+    .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<[^>]*>/g, ' ');
+  return decodeEntities(text, HTML_ENTITIES).replace(/\s+/g, ' ').trim();
+}
+
+/** YYYY-MM-DD as written in the feed, without shifting to UTC. */
+export function parseFeedDate(value) {
+  const text = value?.trim();
+  if (!text) return null;
+  const iso = text.match(/^(\d{4}-\d{2}-\d{2})/);
+  if (iso) return iso[1];
+  // RFC 822, e.g. "Thu, 23 May 2024 08:00:00 +0200"
+  const rfc = text.match(/(\d{1,2})\s+([a-z]{3})[a-z]*\s+(\d{4})/i);
+  const month = rfc ? MONTHS.indexOf(rfc[2].toLowerCase()) : -1;
+  if (month === -1) return null;
+  return `${rfc[3]}-${String(month + 1).padStart(2, '0')}-${rfc[1].padStart(2, '0')}`;
+}
+
+function isImage({type, medium, url = ''}) {
+  if (medium) return medium === 'image';
+  if (type) return type.startsWith('image/');
+  return /\.(jpe?g|png|webp|avif|gif)(\?|$)/i.test(url);
+}
+
+function findImage(item) {
+  const candidates = [
+    ...childrenNamed(item, 'media:content').map((el) => ({...el.attrs})),
+    ...childrenNamed(item, 'media:group').flatMap((group) =>
+      childrenNamed(group, 'media:content').map((el) => ({...el.attrs}))),
+    ...childrenNamed(item, 'media:thumbnail').map((el) => ({url: el.attrs.url, medium: 'image'})),
+    ...childrenNamed(item, 'enclosure').map((el) => ({...el.attrs})),
+    ...childrenNamed(item, 'link').filter((el) => el.attrs.rel === 'enclosure')
+      .map((el) => ({url: el.attrs.href, type: el.attrs.type})),
+  ];
+  return candidates.find((c) => c.url && isImage(c))?.url ?? null;
+}
+
+function resolveUrl(url, base) {
+  if (!url) return null;
+  try {
+    return new URL(url, base).href;
+  } catch {
+    return url;
+  }
+}
+
+function atomEntry(entry, base) {
+  const link = childrenNamed(entry, 'link')
+    .find((el) => !el.attrs.rel || el.attrs.rel === 'alternate');
+  return {
+    title: stripHtml(textContent(child(entry, 'title'))),
+    url: resolveUrl(link?.attrs.href, base),
+    date_published: parseFeedDate(textContent(child(entry, 'published') ?? child(entry, 'updated'))),
+    abstract: stripHtml(textContent(child(entry, 'summary') ?? child(entry, 'content'))),
+    image_url: resolveUrl(findImage(entry), base),
+    categories: childrenNamed(entry, 'category').map((el) => el.attrs.term ?? el.attrs.label ?? ''),
+  };
+}
+
+function rssItem(item, base) {
+  return {
+    title: stripHtml(textContent(child(item, 'title'))),
+    url: resolveUrl(textContent(child(item, 'link')).trim(), base),
+    date_published: parseFeedDate(textContent(child(item, 'pubDate') ?? child(item, 'dc:date'))),
+    abstract: stripHtml(textContent(child(item, 'description') ?? child(item, 'content:encoded'))),
+    image_url: resolveUrl(findImage(item), base),
+    categories: childrenNamed(item, 'category').map((el) => textContent(el).trim()),
+  };
+}
+
+/**
+ * Parse an Atom or RSS 2.0 document into entries in document order.
+ * Relative links are resolved against base (the feed URL) when given.
+ *
+ * @returns {Array<{title: string, url: string|null, date_published: string|null,
+ *   abstract: string, image_url: string|null, categories: string[]}>}
+ */
+export function parseFeed(xml, base) {
+  const doc = parseXml(xml);
+  const atom = child(doc, 'feed');
+  if (atom) return childrenNamed(atom, 'entry').map((entry) => atomEntry(entry, base));
+  const channel = child(child(doc, 'rss') ?? {children: []}, 'channel');
+  if (channel) return childrenNamed(channel, 'item').map((item) => rssItem(item, base));
+  throw new FeedError('Neither an Atom <feed> nor an RSS <rss><channel> document');
+}
+
+function slug(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Latest entry, optionally only among those whose categories contain the
+ * given tag and/or series (compared case- and punctuation-insensitively).
+ */
+export function pickEntry(entries, {tag, series} = {}) {
+  const wanted = [tag, series].filter(Boolean).map(slug);
+  const matching = entries.filter((entry) => {
+    const categories = entry.categories.map(slug);
+    return wanted.every((w) => categories.includes(w));
+  });
+  if (matching.length === 0) {
+    throw new FeedError(`No feed entry${wanted.length ? ` tagged ${wanted.join(' + ')}` : ''}`);
+  }
+  // Stable sort: entries without a date keep their feed order after dated ones
+  return [...matching].sort((a, b) =>
+    (b.date_published ?? '').localeCompare(a.date_published ?? ''))[0];
+}
+
+/**
+ * Load a feed from `{url}` (through the remote cache) or `{file}` (relative
+ * to baseDir). A plain string is treated as a URL if it has a scheme.
+ */
+export async function loadFeed(source, {baseDir = process.cwd(), ...fetchOptions} = {}) {
+  const {url, file} = typeof source === 'string'
+    ? (/^[a-z]+:\/\//i.test(source) ? {url: source} : {file: source})
+    : source;
+  if (file) {
+    return parseFeed(await fs.readFile(path.resolve(baseDir, file), 'utf8'));
+  }
+  if (!url) throw new FeedError('feed needs a url or file');
+  const {body} = await fetchCached(url, fetchOptions);
+  return parseFeed(body.toString('utf8'), url);
+}
@@ -0,0 +1,69 @@
+/**
+ * Small filesystem helpers shared by the build scripts.
+ */
+import {promises as fs} from 'fs';
+import path from 'path';
+
+/**
+ * Recursively list all files below dir.
+ * Returns POSIX-style paths relative to dir, sorted for deterministic output.
+ */
+export async function walkFiles(dir) {
+  const files = [];
+
+  async function walk(current) {
+    const entries = await fs.readdir(current, {withFileTypes: true});
+    for (const entry of entries) {
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        await walk(fullPath);
+      } else if (entry.isFile()) {
+        files.push(path.relative(dir, fullPath).split(path.sep).join('/'));
+      }
+    }
+  }
+
+  await walk(dir);
+  return files.sort();
+}
+
+/**
+ * Convert a glob pattern to a RegExp.
+ * Supports `**` (any number of directories), `*`, `?` and `{a,b}` alternatives.
+ * Patterns without a slash match the basename in any directory, like .gitignore.
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      i++;
+      if (pattern[i + 1] === '/') {
+        i++;
+        source += '(?:.*/)?';
+      } else {
+        source += '.*';
+      }
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else if (c === '{') {
+      const end = pattern.indexOf('}', i);
+      const alternatives = pattern.slice(i + 1, end).split(',')
+        .map((alt) => alt.replace(/[.+^$()|[\]\\]/g, '\\$&'));
+      source += `(?:${alternatives.join('|')})`;
+      i = end;
+    } else {
+      source += c.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const anchor = pattern.includes('/') ? '^' : '(?:^|/)';
+  return new RegExp(`${anchor}${source}$`);
+}
+
+/** True if relPath matches at least one of the glob patterns. */
+export function matchesAny(relPath, patterns) {
+  return patterns.some((pattern) => globToRegExp(pattern).test(relPath));
+}
@@ -0,0 +1,315 @@
+/**
+ * Which characters the page renders with each @font-face weight, from the
+ * inline stylesheet and the parsed page (see html-transform.js).
+ *
+ * This is a small cascade, not a browser: it errs on the side of too many
+ * characters. Rules inside @media and the like, behind pseudo-classes or
+ * with selectors querySelectorAll can't match add their weight and
+ * text-transform on top of the cascaded ones instead of replacing them.
+ */
+import {HtmlTransformError, getAttribute, querySelectorAll, textContent} from './html-transform.js';
+
+export const NORMAL_WEIGHT = 400;
+export const BOLD_WEIGHT = 700;
+
+// User agent stylesheet: font-weight bold, or bolder for <b> and <strong>
+const BOLD_ELEMENTS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'th']);
+const BOLDER_ELEMENTS = new Set(['b', 'strong']);
+// Never rendered (<noscript> isn't either, with scripting on)
+const HIDDEN_ELEMENTS = new Set(['head', 'noscript', 'script', 'style', 'template', 'title']);
+// Text shown in place of or inside an element
+const TEXT_ATTRIBUTES = ['alt', 'placeholder'];
+const CONDITIONAL_AT_RULES = /^@(?:media|supports|container|layer|document)\b/i;
+const PSEUDO_ELEMENT = /::[\w-]+|:(?:before|after|first-line|first-letter)\b/gi;
+const PSEUDO_CLASS = /:[\w-]+(?:\([^)]*\))?/g;
+const INHERITED_PROPERTIES = ['font-weight', 'text-transform'];
+
+/** Index of the first of chars in css at or after start, outside strings; -1 if none. */
+function findUnquoted(css, start, chars) {
+  let quote = null;
+  for (let index = start; index < css.length; index++) {
+    const char = css[index];
+    if (quote) {
+      if (char === '\\') index++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (chars.includes(char)) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+/** Index of the brace closing the block opened at open. */
+function closingBrace(css, open) {
+  let depth = 0;
+  for (let index = open; index !== -1; index = findUnquoted(css, index + 1, '{}')) {
+    depth += css[index] === '{' ? 1 : -1;
+    if (depth === 0) return index;
+  }
+  return css.length;
+}
+
+/** Declarations of a block or style attribute, by lower-case property name. */
+export function parseDeclarations(body) {
+  const declarations = new Map();
+  for (let start = 0; start < body.length;) {
+    const semicolon = findUnquoted(body, start, ';');
+    const end = semicolon === -1 ? body.length : semicolon;
+    const declaration = body.slice(start, end);
+    const colon = declaration.indexOf(':');
+    if (colon !== -1) {
+      const value = declaration.slice(colon + 1).replace(/!\s*important\s*$/i, '').trim();
+      declarations.set(declaration.slice(0, colon).trim().toLowerCase(), value);
+    }
+    start = end + 1;
+  }
+  return declarations;
+}
+
+/**
+ * Style rules and @font-face blocks of a stylesheet. Rules nested in
+ * conditional at-rules (@media, @supports, …) are marked conditional;
+ * other at-rules (@keyframes, …) are skipped.
+ *
+ * @returns {{rules: Array<{selectors: string[], declarations: Map<string, string>, conditional: boolean}>,
+ *   fontFaces: Array<{start: number, end: number, declarations: Map<string, string>}>}}
+ *   start and end (exclusive) of a font face index css
+ */
+export function parseCss(css) {
+  // Blank out comments, keeping the positions
+  const text = css.replace(/\/\*[\s\S]*?\*\//g, (comment) => ' '.repeat(comment.length));
+  const rules = [];
+  const fontFaces = [];
+
+  const parseBlock = (start, conditional) => {
+    let position = start;
+    while (position < text.length) {
+      const open = findUnquoted(text, position, '{}');
+      if (open === -1) return text.length;
+      if (text[open] === '}') return open + 1;
+      // Drop statements like @import …; in front of the rule
+      const statements = text.slice(position, open);
+      const prelude = statements.slice(statements.lastIndexOf(';') + 1).trim();
+      if (CONDITIONAL_AT_RULES.test(prelude)) {
+        position = parseBlock(open + 1, true);
+        continue;
+      }
+      const end = closingBrace(text, open);
+      const declarations = parseDeclarations(text.slice(open + 1, end));
+      if (/^@font-face$/i.test(prelude)) {
+        fontFaces.push({start: position + statements.indexOf(prelude), end: end + 1, declarations});
+      } else if (!prelude.startsWith('@')) {
+        const selectors = prelude.split(/,(?![^(]*\))(?![^[]*\])/).map((selector) => selector.trim()).filter(Boolean);
+        rules.push({selectors, declarations, conditional});
+      }
+      position = end + 1;
+    }
+    return position;
+  };
+  parseBlock(0, false);
+  return {rules, fontFaces};
+}
+
+/** A @font-face block with the given declarations. */
+export function formatFontFace(declarations) {
+  return `@font-face{${[...declarations].map(([property, value]) => `${property}:${value}`).join(';')}}`;
+}
+
+/**
+ * Numeric font-weight of a declared value; inherited is the parent's
+ * weight, for inherit, bolder and lighter. Null for invalid values.
+ */
+export function resolveWeight(value, inherited = NORMAL_WEIGHT) {
+  const keyword = value.trim().toLowerCase();
+  switch (keyword) {
+    case 'normal': case 'initial': case 'revert': return NORMAL_WEIGHT;
+    case 'bold': return BOLD_WEIGHT;
+    case 'inherit': case 'unset': return inherited;
+    case 'bolder': return inherited < 350 ? 400 : inherited < 550 ? 700 : Math.max(inherited, 900);
+    case 'lighter': return inherited < 100 ? inherited : inherited < 550 ? 100 : inherited < 750 ? 400 : 700;
+  }
+  const number = Number(keyword);
+  return keyword !== '' && number >= 1 && number <= 1000 ? number : null;
+}
+
+/** The weight, of the available face weights, that the CSS font matching algorithm picks for desired. */
+export function matchFaceWeight(desired, available) {
+  const sorted = [...new Set(available)].sort((a, b) => a - b);
+  if (sorted.includes(desired)) return desired;
+  const lighter = sorted.filter((weight) => weight < desired).reverse();
+  const heavier = sorted.filter((weight) => weight > desired);
+  let order;
+  if (desired >= 400 && desired <= 500) {
+    order = [...heavier.filter((weight) => weight <= 500), ...lighter, ...heavier.filter((weight) => weight > 500)];
+  } else {
+    order = desired < 400 ? [...lighter, ...heavier] : [...heavier, ...lighter];
+  }
+  return order[0] ?? null;
+}
+
+function specificity(selector) {
+  const ids = selector.match(/#[\w-]+/g)?.length ?? 0;
+  const classes = selector.match(/\.[\w-]+|\[[^\]]*\]|:(?!:)[\w-]+/g)?.length ?? 0;
+  const types = selector.replace(/\[[^\]]*\]/g, '').match(/(?:^|[\s>+~]|::)[a-z][\w-]*/gi)?.length ?? 0;
+  return [ids, classes, types];
+}
+
+const compareSpecificity = (a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+
+/** selector without pseudo-classes and pseudo-elements, and whether it had either. */
+function plainSelector(selector) {
+  const pseudoElement = PSEUDO_ELEMENT.test(selector);
+  PSEUDO_ELEMENT.lastIndex = 0;
+  const withoutElement = selector.replace(PSEUDO_ELEMENT, '').replace(/(^|[\s>+~]):root\b/g, '$1html');
+  const plain = withoutElement.replace(PSEUDO_CLASS, '')
+    // A compound that was only pseudo-classes matches any element
+    .replace(/(^|[\s>+~])(?=$|[\s>+~])/g, '$1*')
+    .trim();
+  return {plain, pseudoElement, pseudoClass: plain !== withoutElement.trim()};
+}
+
+function* descendants(node) {
+  for (const child of node.children ?? []) {
+    if (child.type !== 'element') continue;
+    yield child;
+    yield* descendants(child);
+  }
+}
+
+/** Strings of a content value, with CSS escapes resolved. */
+function contentStrings(value) {
+  return [...value.matchAll(/"((?:\\.|[^"\\])*)"|'((?:\\.|[^'\\])*)'/g)]
+    .map(([, double, single]) => (double ?? single).replace(/\\([0-9a-f]{1,6})\s?|\\(.)/gi,
+      (escape, hex, char) => hex ? String.fromCodePoint(parseInt(hex, 16)) : char));
+}
+
+/**
+ * Per element: the cascaded font-weight and text-transform ({value,
+ * specificity}), the values that apply only sometimes, and the strings of
+ * its ::before/::after content.
+ */
+function elementStyles(doc, rules) {
+  const styles = new Map();
+  const styleOf = (element) => {
+    if (!styles.has(element)) styles.set(element, {cascaded: {}, sometimes: {'font-weight': [], 'text-transform': []}, content: []});
+    return styles.get(element);
+  };
+
+  for (const rule of rules) {
+    for (const selector of rule.selectors) {
+      const {plain, pseudoElement, pseudoClass} = plainSelector(selector);
+      let matches;
+      let exact = true;
+      try {
+        matches = querySelectorAll(doc, plain);
+      } catch (error) {
+        if (!(error instanceof HtmlTransformError)) throw error;
+        matches = [...descendants(doc)];
+        exact = false;
+      }
+      const sometimes = rule.conditional || pseudoElement || pseudoClass || !exact;
+      const ruleSpecificity = specificity(selector);
+      for (const element of matches) {
+        const style = styleOf(element);
+        for (const property of INHERITED_PROPERTIES) {
+          const value = rule.declarations.get(property);
+          if (value === undefined) continue;
+          if (sometimes) {
+            style.sometimes[property].push(value);
+          } else if (!style.cascaded[property] || compareSpecificity(ruleSpecificity, style.cascaded[property].specificity) >= 0) {
+            style.cascaded[property] = {value, specificity: ruleSpecificity};
+          }
+        }
+        const content = rule.declarations.get('content');
+        if (pseudoElement && content) style.content.push(...contentStrings(content));
+      }
+    }
+  }
+
+  // Inline styles win over every rule
+  for (const element of descendants(doc)) {
+    const inline = parseDeclarations(getAttribute(element, 'style') ?? '');
+    for (const property of INHERITED_PROPERTIES) {
+      if (inline.has(property)) styleOf(element).cascaded[property] = {value: inline.get(property), specificity: [Infinity, 0, 0]};
+    }
+  }
+  return styles;
+}
+
+/** Code points of text as rendered with any of the text-transform values. */
+function renderedCodePoints(text, transforms) {
+  const plain = text.replace(/[\t\n\r\f]/g, ' ');
+  const variants = [];
+  if (transforms.size === 0 || [...transforms].some((value) => !['uppercase', 'lowercase'].includes(value))) variants.push(plain);
+  if (transforms.has('uppercase') || transforms.has('capitalize')) variants.push(plain.toUpperCase());
+  if (transforms.has('lowercase')) variants.push(plain.toLowerCase());
+  return variants.flatMap((variant) => [...variant].map((char) => char.codePointAt(0)));
+}
+
+/**
+ * Code points the page renders with each face weight.
+ *
+ * @param {object} doc page from parseHtml
+ * @param {string} css its stylesheet
+ * @param {number[]} faceWeights weights of the @font-face rules
+ * @param {{within?: string}} [options] only count text inside elements
+ *   matching this selector
+ * @returns {Map<number, Set<number>>} code points by face weight
+ */
+export function renderedText(doc, css, faceWeights, {within} = {}) {
+  const styles = elementStyles(doc, parseCss(css).rules);
+  const roots = new Set(within ? querySelectorAll(doc, within) : []);
+  const text = new Map(faceWeights.map((weight) => [weight, new Set()]));
+
+  const add = (strings, {weights, transforms}) => {
+    const codePoints = strings.flatMap((string) => renderedCodePoints(string, transforms));
+    for (const weight of weights) {
+      const face = text.get(matchFaceWeight(weight, faceWeights));
+      codePoints.forEach((codePoint) => face?.add(codePoint));
+    }
+  };
+
+  const visit = (node, inherited) => {
+    for (const child of node.children ?? []) {
+      if (child.type === 'text' && inherited.counted) add([textContent(child)], inherited);
+      if (child.type !== 'element' || HIDDEN_ELEMENTS.has(child.name.toLowerCase())) continue;
+
+      const name = child.name.toLowerCase();
+      const style = styles.get(child);
+      const cascaded = style?.cascaded ?? {};
+      let weights = inherited.weights;
+      if (cascaded['font-weight']) {
+        weights = weights.map((weight) => resolveWeight(cascaded['font-weight'].value, weight) ?? weight);
+      } else if (BOLD_ELEMENTS.has(name) || BOLDER_ELEMENTS.has(name)) {
+        weights = weights.map((weight) => resolveWeight(BOLD_ELEMENTS.has(name) ? 'bold' : 'bolder', weight));
+      }
+      for (const value of style?.sometimes['font-weight'] ?? []) {
+        weights = [...weights, ...inherited.weights.map((weight) => resolveWeight(value, weight) ?? weight)];
+      }
+      let transforms = cascaded['text-transform'] ? new Set([cascaded['text-transform'].value]) : inherited.transforms;
+      if (style?.sometimes['text-transform'].length) transforms = new Set([...transforms, ...style.sometimes['text-transform']]);
+
+      const state = {weights: [...new Set(weights)], transforms, counted: inherited.counted || roots.has(child)};
+      if (state.counted) {
+        add([...(style?.content ?? []), ...TEXT_ATTRIBUTES.map((attribute) => getAttribute(child, attribute) ?? '')], state);
+      }
+      visit(child, state);
+    }
+  };
+  visit(doc, {weights: [NORMAL_WEIGHT], transforms: new Set(), counted: !within});
+  return text;
+}
+
+/** unicode-range value covering code points: 'U+0020, U+0041-005A'. */
+export function unicodeRange(codePoints) {
+  const ranges = [];
+  for (const codePoint of [...new Set(codePoints)].sort((a, b) => a - b)) {
+    const last = ranges.at(-1);
+    if (last && codePoint === last[1] + 1) last[1] = codePoint;
+    else ranges.push([codePoint, codePoint]);
+  }
+  const hex = (codePoint) => codePoint.toString(16).toUpperCase().padStart(4, '0');
+  return ranges.map(([first, last]) => first === last ? `U+${hex(first)}` : `U+${hex(first)}-${hex(last)}`).join(', ');
+}
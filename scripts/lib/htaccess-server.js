@@ -0,0 +1,414 @@
+/**
+ * Local HTTP server that emulates the production Apache setup.
+ *
+ * Reads dist/.htaccess and applies the directives the site relies on
+ * (mod_rewrite, mod_headers, mod_mime, mod_expires) before handing the
+ * resolved file to serve-handler. Unsupported directives fail loudly, so the
+ * emulation never silently drifts from what Apache would do.
+ *
+ * Like Apache, `Header` without the `always` condition only applies to
+ * successful responses; a missing file is answered with the local
+ * ErrorDocument 404, if any, keeping the 404 status.
+ */
+import {promises as fs} from 'fs';
+import http from 'http';
+import path from 'path';
+import serveHandler from 'serve-handler';
+import {mimeType} from './mime.js';
+
+const MAX_REWRITE_ROUNDS = 10;
+
+const EXPIRES_UNITS = {
+  year: 365 * 24 * 3600,
+  month: 30 * 24 * 3600,
+  week: 7 * 24 * 3600,
+  day: 24 * 3600,
+  hour: 3600,
+  minute: 60,
+  second: 1,
+};
+
+/**
+ * Split a directive line into arguments like Apache does: whitespace
+ * separates, double quotes group and a backslash keeps the next character.
+ */
+export function tokenize(line) {
+  const args = [];
+  let current = '';
+  let inToken = false;
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (c === '\\' && i + 1 < line.length) {
+      current += c + line[++i];
+      inToken = true;
+    } else if (c === '"') {
+      quoted = !quoted;
+      inToken = true;
+    } else if (/\s/.test(c) && !quoted) {
+      if (inToken) args.push(current);
+      current = '';
+      inToken = false;
+    } else {
+      current += c;
+      inToken = true;
+    }
+  }
+  if (inToken) args.push(current);
+  return args;
+}
+
+function parseFlags(arg) {
+  if (!arg) return {};
+  if (!/^\[.*\]$/.test(arg)) throw new Error(`Malformed flags: ${arg}`);
+  const flags = {};
+  for (const flag of arg.slice(1, -1).split(',')) {
+    const [name, value = true] = flag.split('=');
+    flags[name.trim().toUpperCase()] = value;
+  }
+  return flags;
+}
+
+function parseExpires(spec) {
+  const m = spec.match(/^(?:access|now) plus (.+)$/);
+  if (!m) throw new Error(`Unsupported expires spec: ${spec}`);
+  let seconds = 0;
+  for (const [, amount, unit] of m[1].matchAll(/(\d+)\s+(\w+?)s?\b/g)) {
+    if (!EXPIRES_UNITS[unit]) throw new Error(`Unsupported expires unit: ${unit}`);
+    seconds += parseInt(amount, 10) * EXPIRES_UNITS[unit];
+  }
+  return seconds;
+}
+
+/** Parse .htaccess text into the structure used by resolveRequest(). */
+export function parseHtaccess(text) {
+  const config = {
+    addTypes: new Map(),
+    rewriteEngine: false,
+    rewriteBase: '/',
+    rewriteRules: [],
+    headers: [],
+    filesMatch: [],
+    expiresActive: false,
+    expiresByType: new Map(),
+    errorDocuments: new Map(),
+  };
+
+  let pendingConds = [];
+  let filesMatch = null;
+
+  const lines = text.split('\n');
+  for (let lineNo = 0; lineNo < lines.length; lineNo++) {
+    const line = lines[lineNo].trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const fail = (msg) => {
+      throw new Error(`.htaccess line ${lineNo + 1}: ${msg}`);
+    };
+
+    // All modules are assumed to be loaded, so <IfModule> is transparent
+    if (/^<IfModule\s/i.test(line) || /^<\/IfModule>$/i.test(line)) continue;
+
+    const blockStart = line.match(/^<FilesMatch\s+"(.*)">$/i);
+    if (blockStart) {
+      if (filesMatch) fail('nested <FilesMatch>');
+      filesMatch = {pattern: new RegExp(blockStart[1]), headers: []};
+      continue;
+    }
+    if (/^<\/FilesMatch>$/i.test(line)) {
+      if (!filesMatch) fail('unbalanced </FilesMatch>');
+      config.filesMatch.push(filesMatch);
+      filesMatch = null;
+      continue;
+    }
+
+    const [directive, ...args] = tokenize(line);
+    switch (directive) {
+      case 'AddType':
+        for (const ext of args.slice(1)) {
+          config.addTypes.set(ext.replace(/^\./, '').toLowerCase(), args[0]);
+        }
+        break;
+      case 'RewriteEngine':
+        config.rewriteEngine = args[0].toLowerCase() === 'on';
+        break;
+      case 'RewriteBase':
+        config.rewriteBase = args[0];
+        break;
+      case 'RewriteCond':
+        pendingConds.push({testString: args[0], pattern: args[1], flags: parseFlags(args[2])});
+        break;
+      case 'RewriteRule':
+        config.rewriteRules.push({
+          pattern: args[0],
+          substitution: args[1],
+          flags: parseFlags(args[2]),
+          conds: pendingConds,
+        });
+        pendingConds = [];
+        break;
+      case 'Header': {
+        const always = args[0] === 'always';
+        if (['always', 'onsuccess'].includes(args[0])) args.shift();
+        const [action, name, value] = args;
+        if (!['set', 'merge', 'append', 'unset'].includes(action)) {
+          fail(`unsupported Header action "${action}"`);
+        }
+        (filesMatch ? filesMatch.headers : config.headers).push({always, action, name, value});
+        break;
+      }
+      case 'ExpiresActive':
+        config.expiresActive = args[0].toLowerCase() === 'on';
+        break;
+      case 'ExpiresByType':
+        config.expiresByType.set(args[0], parseExpires(args[1]));
+        break;
+      case 'ErrorDocument':
+        if (!/^\d{3}$/.test(args[0]) || !args[1]?.startsWith('/')) {
+          fail('only local ErrorDocument paths (ErrorDocument 404 /404.html) are supported');
+        }
+        config.errorDocuments.set(parseInt(args[0], 10), args[1]);
+        break;
+      default:
+        fail(`unsupported directive "${directive}"`);
+    }
+  }
+
+  if (filesMatch) throw new Error('.htaccess: unterminated <FilesMatch>');
+  if (pendingConds.length > 0) throw new Error('.htaccess: RewriteCond without RewriteRule');
+  return config;
+}
+
+function expand(template, ctx, ruleMatch, condMatch) {
+  return template
+    .replace(/%\{([^}]+)\}/g, (_, name) => {
+      if (name.startsWith('HTTP:')) return ctx.headers[name.slice(5).toLowerCase()] ?? '';
+      switch (name) {
+        case 'HTTP_HOST': return ctx.headers.host ?? '';
+        case 'THE_REQUEST': return ctx.theRequest;
+        case 'REQUEST_URI': return '/' + ctx.path;
+        case 'REQUEST_FILENAME': return path.join(ctx.root, ctx.path);
+        case 'QUERY_STRING': return ctx.query;
+        case 'HTTPS': return 'off';
+        default: throw new Error(`Unsupported server variable %{${name}}`);
+      }
+    })
+    .replace(/\$(\d)/g, (_, n) => ruleMatch?.[n] ?? '')
+    .replace(/%(\d)/g, (_, n) => condMatch?.[n] ?? '');
+}
+
+async function isFile(p) {
+  return fs.stat(p).then((s) => s.isFile(), () => false);
+}
+
+async function isDirectory(p) {
+  return fs.stat(p).then((s) => s.isDirectory(), () => false);
+}
+
+async function evaluateCond(cond, ctx, ruleMatch, lastCondMatch) {
+  const value = expand(cond.testString, ctx, ruleMatch, lastCondMatch);
+  const negated = cond.pattern.startsWith('!');
+  const pattern = negated ? cond.pattern.slice(1) : cond.pattern;
+
+  let match = null;
+  let result;
+  if (pattern === '-f') {
+    result = await isFile(value);
+  } else if (pattern === '-d') {
+    result = await isDirectory(value);
+  } else {
+    match = new RegExp(pattern, cond.flags.NC ? 'i' : '').exec(value);
+    result = match !== null;
+  }
+  return {result: negated ? !result : result, match: negated ? null : match};
+}
+
+/** Evaluate the RewriteConds of a rule; [OR] links a cond with the next one. */
+async function condsMatch(rule, ctx, ruleMatch) {
+  let lastMatch = null;
+  let groupResult = false;
+  for (const cond of rule.conds) {
+    const {result, match} = await evaluateCond(cond, ctx, ruleMatch, lastMatch);
+    if (match) lastMatch = match;
+    groupResult = groupResult || result;
+    if (!cond.flags.OR) {
+      if (!groupResult) return null;
+      groupResult = false;
+    }
+  }
+  return {lastMatch};
+}
+
+/** One pass over the rewrite rules in per-directory context. */
+async function rewritePass(config, ctx) {
+  let type = null;
+  for (const rule of config.rewriteRules) {
+    const ruleMatch = new RegExp(rule.pattern, rule.flags.NC ? 'i' : '').exec(ctx.path);
+    if (!ruleMatch) continue;
+    const conds = await condsMatch(rule, ctx, ruleMatch);
+    if (!conds) continue;
+
+    if (rule.flags.T) type = rule.flags.T;
+    if (rule.substitution !== '-') {
+      const target = expand(rule.substitution, ctx, ruleMatch, conds.lastMatch);
+      if (rule.flags.R || /^https?:\/\//.test(target)) {
+        const status = rule.flags.R === true ? 302 : parseInt(rule.flags.R || '302', 10);
+        return {redirect: {status, location: target}};
+      }
+      const base = config.rewriteBase.replace(/\/?$/, '/');
+      ctx.path = target.startsWith('/') ? target.slice(1) : (base + target).slice(1);
+    }
+    if (rule.flags.L) break;
+  }
+  return {type};
+}
+
+/**
+ * Work out what Apache would answer for a request: a redirect, a 400 for a
+ * path with a malformed escape, or the file to serve with its status and
+ * the headers .htaccess adds to it.
+ * status is the status of the response the request is resolved for; the
+ * error document of a missing file is resolved with 404.
+ *
+ * @returns {Promise<{redirect?: {status: number, location: string},
+ *   badRequest?: string, status?: number, file?: string, headers?: object}>}
+ */
+export async function resolveRequest(config, root, {method = 'GET', url, headers = {}, httpVersion = '1.1'}, status = 200) {
+  const [rawPath, query = ''] = url.split('?');
+  let decodedPath;
+  try {
+    decodedPath = decodeURIComponent(rawPath);
+  } catch (error) {
+    if (!(error instanceof URIError)) throw error;
+    return {badRequest: `Malformed escape in ${rawPath}`};
+  }
+  const ctx = {
+    root,
+    headers: Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])),
+    theRequest: `${method} ${url} HTTP/${httpVersion}`,
+    path: decodedPath.replace(/^\//, ''),
+    query,
+  };
+
+  let type = null;
+  let indexResolved = false;
+  for (let round = 0; round < MAX_REWRITE_ROUNDS; round++) {
+    const before = ctx.path;
+    if (config.rewriteEngine) {
+      const result = await rewritePass(config, ctx);
+      if (result.redirect) return {redirect: result.redirect};
+      type = result.type ?? type;
+    }
+    // mod_dir: a directory request becomes an internal subrequest for its index
+    if (!indexResolved && (ctx.path === '' || ctx.path.endsWith('/')) &&
+        await isDirectory(path.join(root, ctx.path))) {
+      ctx.path += 'index.html';
+      indexResolved = true;
+      continue;
+    }
+    if (ctx.path === before) break;
+  }
+
+  // ErrorDocument: an internal redirect to the error page, which keeps the error status
+  if (status === 200 && config.errorDocuments.has(404) && !(await isFile(path.join(root, ctx.path)))) {
+    return resolveRequest(config, root, {method, url: config.errorDocuments.get(404), headers, httpVersion}, 404);
+  }
+
+  const file = ctx.path;
+  const ext = path.extname(file).slice(1).toLowerCase();
+  const responseHeaders = {};
+
+  // Precedence like Apache: RewriteRule [T=] > AddType > the server's mime.types
+  const resolvedType = type ?? config.addTypes.get(ext) ?? mimeType(file);
+  if (resolvedType) responseHeaders['content-type'] = resolvedType;
+
+  // Headers of the onsuccess (default) and always conditions are kept apart like in Apache
+  const success = status < 300;
+  const conditions = new Map();
+  const applyHeader = ({always, action, name, value}) => {
+    if (!always && !success) return;
+    const key = name.toLowerCase();
+    if (conditions.has(key) && conditions.get(key) !== always) {
+      throw new Error(`Header ${name} is set both with and without "always"; Apache would send it twice`);
+    }
+    conditions.set(key, always);
+    if (action === 'unset') {
+      delete responseHeaders[key];
+    } else if (action === 'set' || !responseHeaders[key]) {
+      responseHeaders[key] = value;
+    } else if (action === 'append') {
+      responseHeaders[key] += `, ${value}`;
+    } else if (!responseHeaders[key].split(/,\s*/).includes(value)) {
+      responseHeaders[key] += `, ${value}`;
+    }
+  };
+
+  if (success && config.expiresActive && config.expiresByType.has(resolvedType)) {
+    const seconds = config.expiresByType.get(resolvedType);
+    responseHeaders['cache-control'] = `max-age=${seconds}`;
+    responseHeaders['expires'] = new Date(Date.now() + seconds * 1000).toUTCString();
+  }
+
+  // mod_headers runs after mod_expires, so Header can override Cache-Control
+  config.headers.forEach(applyHeader);
+  const basename = path.posix.basename(file);
+  for (const block of config.filesMatch) {
+    if (block.pattern.test(basename)) block.headers.forEach(applyHeader);
+  }
+
+  return {status, file, headers: responseHeaders};
+}
+
+/**
+ * Start the emulating server for root (usually dist/).
+ * Resolves to {url, port, close()}; port 0 picks a free port.
+ */
+export async function startServer({root = 'dist', port = 0, host = '127.0.0.1'} = {}) {
+  const absoluteRoot = path.resolve(root);
+  const config = parseHtaccess(await fs.readFile(path.join(absoluteRoot, '.htaccess'), 'utf8'));
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const result = await resolveRequest(config, absoluteRoot, req);
+      if (result.redirect) {
+        res.writeHead(result.redirect.status, {Location: result.redirect.location});
+        res.end();
+        return;
+      }
+      if (result.badRequest) {
+        res.writeHead(400, {'Content-Type': 'text/plain; charset=utf-8'});
+        res.end(`Bad request: ${result.badRequest}\n`);
+        return;
+      }
+
+      // Let serve-handler stream the file, but with the status and headers Apache would send
+      const writeHead = res.writeHead.bind(res);
+      res.writeHead = (status, headers = {}) => {
+        const merged = Object.fromEntries(Object.entries(headers)
+          .filter(([name]) => !(name.toLowerCase() in result.headers)));
+        if (status >= 300) return writeHead(status, merged);
+        return writeHead(result.status === 200 ? status : result.status, {...merged, ...result.headers});
+      };
+      await serveHandler({url: '/' + encodeURI(result.file), headers: req.headers, method: req.method}, res, {
+        public: absoluteRoot,
+        directoryListing: false,
+        cleanUrls: false,
+      });
+    } catch (error) {
+      res.writeHead(500, {'Content-Type': 'text/plain; charset=utf-8'});
+      res.end(`Internal server error: ${error.message}\n`);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const actualPort = server.address().port;
+  return {
+    url: `http://${host}:${actualPort}`,
+    port: actualPort,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
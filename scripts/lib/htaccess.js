@@ -0,0 +1,135 @@
+/**
+ * Generators for the build-time sections of dist/.htaccess.
+ *
+ * src/main/html/.htaccess holds the static directives plus `# {{NAME}}`
+ * placeholder lines; each generator renders the block that replaces one of them.
+ */
+import path from 'path';
+import {ENCODINGS} from './compression.js';
+import {contentType, mimeType} from './mime.js';
+
+/** Replace the `# {{name}}` placeholder line in an .htaccess template. */
+export function fillPlaceholder(htaccess, name, block) {
+  const placeholder = `# {{${name}}}`;
+  if (!htaccess.includes(placeholder)) {
+    throw new Error(`Placeholder "${placeholder}" not found in .htaccess`);
+  }
+  return htaccess.replace(placeholder, block.trimEnd());
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function alternatives(items) {
+  const escaped = items.map(escapeRegExp);
+  return escaped.length === 1 ? escaped[0] : `(?:${escaped.join('|')})`;
+}
+
+/**
+ * Split compressed variant paths (relative to dist/) into their original file
+ * and encoding. Paths that are not a known variant are ignored.
+ */
+export function parseVariants(variantPaths) {
+  const variants = [];
+  for (const variantPath of variantPaths) {
+    const encoding = ENCODINGS.find((e) => variantPath.endsWith(e.extension));
+    if (!encoding) continue;
+    const original = variantPath.slice(0, -encoding.extension.length);
+    const type = mimeType(original);
+    if (!type) {
+      throw new Error(`No MIME type known for compressed file ${variantPath}`);
+    }
+    variants.push({
+      path: variantPath,
+      original,
+      extension: path.extname(original).slice(1).toLowerCase(),
+      type,
+      contentType: contentType(original),
+      encoding,
+    });
+  }
+  return variants;
+}
+
+/**
+ * Render the content negotiation block for the given compressed variants:
+ * one RewriteRule set per MIME type and encoding, with the matching
+ * Content-Type, Content-Encoding and Vary headers. The headers are `always`
+ * set: an error page is served compressed with an error status.
+ */
+export function renderNegotiationRules(variantPaths) {
+  const variants = parseVariants(variantPaths);
+  const lines = [
+    '# Pre-compressed file serving, generated from the variants in dist/',
+    '# Note: woff2 fonts and raster images are already compressed and have no variants',
+  ];
+
+  if (variants.length === 0) {
+    lines.push('# (no compressed variants were produced)');
+    return lines.join('\n') + '\n';
+  }
+
+  const types = [...new Set(variants.map((v) => v.type))].sort();
+  const extensionsOf = (type, encoding) => [...new Set(variants
+    .filter((v) => v.type === type && (!encoding || v.encoding === encoding))
+    .map((v) => v.extension))].sort();
+
+  // Rewrite to the best variant the client accepts: zstd > brotli > gzip
+  for (const encoding of ENCODINGS) {
+    for (const type of types) {
+      const extensions = extensionsOf(type, encoding);
+      if (extensions.length === 0) continue;
+      lines.push(
+        '',
+        `# ${type} → ${encoding.name}`,
+        `RewriteCond %{HTTP:Accept-Encoding} ${encoding.name} [NC]`,
+        `RewriteCond %{REQUEST_FILENAME}${encoding.extension} -f`,
+        `RewriteRule ^(.*\\.${alternatives(extensions)})$ $1${encoding.extension} [L,T=${type}]`,
+      );
+    }
+  }
+
+  const usedEncodings = ENCODINGS.filter((e) => variants.some((v) => v.encoding === e));
+  const encodingExtensions = alternatives(usedEncodings.map((e) => e.extension.slice(1)));
+
+  // Headers for the variants themselves
+  for (const type of types) {
+    const extensions = alternatives(extensionsOf(type));
+    const header = variants.find((v) => v.type === type).contentType;
+    lines.push(
+      '',
+      `<FilesMatch "\\.${extensions}\\.${encodingExtensions}$">`,
+      '    <IfModule mod_headers.c>',
+      `        Header always set Content-Type "${header}"`,
+      '        Header always set Vary "Accept-Encoding"',
+      '    </IfModule>',
+      '</FilesMatch>',
+    );
+  }
+
+  // Content-Encoding headers
+  for (const encoding of usedEncodings) {
+    lines.push(
+      '',
+      `<FilesMatch "\\${encoding.extension}$">`,
+      '    <IfModule mod_headers.c>',
+      `        Header always set Content-Encoding "${encoding.name}"`,
+      '    </IfModule>',
+      '</FilesMatch>',
+    );
+  }
+
+  // The uncompressed originals are negotiated too, so caches must vary on them
+  const originalExtensions = alternatives([...new Set(variants.map((v) => v.extension))].sort());
+  lines.push(
+    '',
+    `<FilesMatch "\\.${originalExtensions}$">`,
+    '    <IfModule mod_headers.c>',
+    '        Header always merge Vary "Accept-Encoding"',
+    '    </IfModule>',
+    '</FilesMatch>',
+  );
+
+  return lines.join('\n') + '\n';
+}
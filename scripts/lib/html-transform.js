@@ -0,0 +1,443 @@
+/**
+ * Selector-based editing of the built pages: parse once, change elements
+ * found by CSS selector, serialize. Replaces regex patching in the build
+ * steps, which silently stops matching when the minifier reorders
+ * attributes or drops quotes.
+ *
+ * The parser is tolerant rather than spec-complete: it handles what
+ * html-minifier-terser writes (omitted optional tags, unquoted attributes),
+ * raw text elements and inline SVG. Untouched markup is serialized as it
+ * was read, attribute values always in double quotes, so the output only
+ * depends on the tree.
+ *
+ * Selectors: type, #id, .class and [attr], [attr=v], [attr^=v], [attr$=v],
+ * [attr*=v], [attr~=v], combined with descendant and child (>)
+ * combinators; comma-separated groups.
+ */
+import {promises as fs} from 'fs';
+
+export class HtmlTransformError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HtmlTransformError';
+  }
+}
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr',
+]);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+const FOREIGN_ELEMENTS = new Set(['svg', 'math']);
+
+const P_CLOSERS = [
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption', 'figure',
+  'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'menu', 'nav', 'ol', 'p',
+  'pre', 'section', 'table', 'ul',
+];
+const HEAD_CONTENT = ['base', 'link', 'meta', 'noscript', 'script', 'style', 'template', 'title'];
+
+/** Start tags that end an open element whose end tag was omitted: open element → closers. */
+const IMPLIED_END = {
+  p: new Set(P_CLOSERS),
+  li: new Set(['li']),
+  dt: new Set(['dt', 'dd']),
+  dd: new Set(['dt', 'dd']),
+  option: new Set(['option', 'optgroup']),
+  tr: new Set(['tr', 'tbody', 'tfoot']),
+  td: new Set(['td', 'th', 'tr', 'tbody', 'tfoot']),
+  th: new Set(['td', 'th', 'tr', 'tbody', 'tfoot']),
+  thead: new Set(['tbody', 'tfoot']),
+  tbody: new Set(['tbody', 'tfoot']),
+};
+
+/** Preferred order of <source> types within a <picture>; other types go last. */
+export const SOURCE_TYPE_ORDER = ['image/avif', 'image/webp'];
+
+// Named character references: Latin-1 and common typography
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'',
+  nbsp: '\u00a0', iexcl: '\u00a1', cent: '\u00a2', pound: '\u00a3', curren: '\u00a4', yen: '\u00a5',
+  brvbar: '\u00a6', sect: '\u00a7', uml: '\u00a8', copy: '\u00a9', ordf: '\u00aa', laquo: '\u00ab', not: '\u00ac',
+  shy: '\u00ad', reg: '\u00ae', macr: '\u00af', deg: '\u00b0', plusmn: '\u00b1', sup2: '\u00b2', sup3: '\u00b3',
+  acute: '\u00b4', micro: '\u00b5', para: '\u00b6', middot: '\u00b7', cedil: '\u00b8', sup1: '\u00b9',
+  ordm: '\u00ba', raquo: '\u00bb', frac14: '\u00bc', frac12: '\u00bd', frac34: '\u00be', iquest: '\u00bf',
+  Agrave: '\u00c0', Aacute: '\u00c1', Acirc: '\u00c2', Atilde: '\u00c3', Auml: '\u00c4', Aring: '\u00c5',
+  AElig: '\u00c6', Ccedil: '\u00c7', Egrave: '\u00c8', Eacute: '\u00c9', Ecirc: '\u00ca', Euml: '\u00cb',
+  Igrave: '\u00cc', Iacute: '\u00cd', Icirc: '\u00ce', Iuml: '\u00cf', ETH: '\u00d0', Ntilde: '\u00d1',
+  Ograve: '\u00d2', Oacute: '\u00d3', Ocirc: '\u00d4', Otilde: '\u00d5', Ouml: '\u00d6', times: '\u00d7',
+  Oslash: '\u00d8', Ugrave: '\u00d9', Uacute: '\u00da', Ucirc: '\u00db', Uuml: '\u00dc', Yacute: '\u00dd',
+  THORN: '\u00de', szlig: '\u00df', agrave: '\u00e0', aacute: '\u00e1', acirc: '\u00e2', atilde: '\u00e3',
+  auml: '\u00e4', aring: '\u00e5', aelig: '\u00e6', ccedil: '\u00e7', egrave: '\u00e8', eacute: '\u00e9',
+  ecirc: '\u00ea', euml: '\u00eb', igrave: '\u00ec', iacute: '\u00ed', icirc: '\u00ee', iuml: '\u00ef',
+  eth: '\u00f0', ntilde: '\u00f1', ograve: '\u00f2', oacute: '\u00f3', ocirc: '\u00f4', otilde: '\u00f5',
+  ouml: '\u00f6', divide: '\u00f7', oslash: '\u00f8', ugrave: '\u00f9', uacute: '\u00fa', ucirc: '\u00fb',
+  uuml: '\u00fc', yacute: '\u00fd', thorn: '\u00fe', yuml: '\u00ff', OElig: '\u0152', oelig: '\u0153',
+  Scaron: '\u0160', scaron: '\u0161', Yuml: '\u0178', fnof: '\u0192', circ: '\u02c6', tilde: '\u02dc',
+  ensp: '\u2002', emsp: '\u2003', thinsp: '\u2009', zwnj: '\u200c', zwj: '\u200d', lrm: '\u200e', rlm: '\u200f',
+  ndash: '\u2013', mdash: '\u2014', lsquo: '\u2018', rsquo: '\u2019', sbquo: '\u201a', ldquo: '\u201c',
+  rdquo: '\u201d', bdquo: '\u201e', dagger: '\u2020', Dagger: '\u2021', bull: '\u2022', hellip: '\u2026',
+  permil: '\u2030', prime: '\u2032', Prime: '\u2033', lsaquo: '\u2039', rsaquo: '\u203a', oline: '\u203e',
+  euro: '\u20ac', trade: '\u2122', larr: '\u2190', uarr: '\u2191', rarr: '\u2192', darr: '\u2193', harr: '\u2194',
+  minus: '\u2212', le: '\u2264', ge: '\u2265', ne: '\u2260', check: '\u2713', hearts: '\u2665', star: '\u2606',
+};
+
+/** Decode character references; unknown names and code points beyond U+10FFFF stay as written. */
+function decodeEntities(value) {
+  return value.replace(/&(?:#(\d+)|#x([\da-f]+)|(\w+));/gi, (entity, dec, hex, name) => {
+    if (dec || hex) {
+      const code = dec ? parseInt(dec, 10) : parseInt(hex, 16);
+      return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return ENTITIES[name] ?? ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+function escapeText(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+const tagName = (node) => node.name.toLowerCase();
+
+/** Attributes of a start tag's inner text (after the name) as [{name, raw}]. */
+function parseAttributes(text) {
+  const attrs = [];
+  const re = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  for (const [, name, double, single, bare] of text.matchAll(re)) {
+    const value = double ?? single ?? bare;
+    attrs.push({name, raw: value === undefined ? null : (double ?? value.replace(/"/g, '&quot;'))});
+  }
+  return attrs;
+}
+
+/**
+ * Parse an HTML document or fragment into a tree of
+ * {type: 'root' | 'element' | 'text' | 'comment' | 'doctype' | 'raw'} nodes.
+ */
+export function parseHtml(html) {
+  const root = {type: 'root', children: []};
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const append = (node) => {
+    node.parent = current();
+    current().children.push(node);
+  };
+  const inForeign = () => stack.some((node) => node.type === 'element' && FOREIGN_ELEMENTS.has(tagName(node)));
+
+  let pos = 0;
+  while (pos < html.length) {
+    const lt = html.indexOf('<', pos);
+    if (lt === -1 || lt > pos) {
+      const end = lt === -1 ? html.length : lt;
+      append({type: 'text', raw: html.slice(pos, end)});
+      pos = end;
+      continue;
+    }
+    if (html.startsWith('<!--', pos)) {
+      const end = html.indexOf('-->', pos + 4);
+      const stop = end === -1 ? html.length : end + 3;
+      append({type: 'comment', raw: html.slice(pos, stop)});
+      pos = stop;
+      continue;
+    }
+    const endTag = html.slice(pos).match(/^<\/([a-zA-Z][^\s/>]*)[^>]*>/);
+    if (endTag) {
+      const name = endTag[1].toLowerCase();
+      const index = stack.findLastIndex((node) => node.type === 'element' && tagName(node) === name);
+      if (index > 0) {
+        stack[index].endTag = true;
+        stack.length = index;
+      } else {
+        append({type: 'raw', raw: endTag[0]});
+      }
+      pos += endTag[0].length;
+      continue;
+    }
+    const startTag = html.slice(pos).match(/^<([a-zA-Z][^\s/>]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/);
+    if (!startTag) {
+      const declaration = html.slice(pos).match(/^<![^>]*>/);
+      const raw = declaration ? declaration[0] : '<';
+      append(declaration ? {type: 'doctype', raw} : {type: 'text', raw});
+      pos += raw.length;
+      continue;
+    }
+    pos += startTag[0].length;
+
+    const name = startTag[1];
+    const lower = name.toLowerCase();
+    let inner = startTag[2];
+    const selfClosing = /\/\s*$/.test(inner);
+    if (selfClosing) inner = inner.replace(/\/\s*$/, '');
+
+    while (current().type === 'element' && !inForeign()) {
+      const open = tagName(current());
+      const impliedEnd = IMPLIED_END[open]?.has(lower) || (open === 'head' && !HEAD_CONTENT.includes(lower));
+      if (!impliedEnd) break;
+      stack.pop();
+    }
+
+    const element = {type: 'element', name, attrs: parseAttributes(inner), children: [], selfClosing, endTag: false};
+    append(element);
+    if (VOID_ELEMENTS.has(lower) || (selfClosing && inForeign()) || (selfClosing && FOREIGN_ELEMENTS.has(lower))) {
+      continue;
+    }
+    if (RAW_TEXT_ELEMENTS.has(lower)) {
+      const close = html.slice(pos).search(new RegExp(`</${lower}\\s*>`, 'i'));
+      const end = close === -1 ? html.length : pos + close;
+      if (end > pos) element.children.push({type: 'text', raw: html.slice(pos, end), parent: element});
+      pos = end;
+      const endMatch = html.slice(pos).match(new RegExp(`^</${lower}\\s*>`, 'i'));
+      if (endMatch) {
+        element.endTag = true;
+        pos += endMatch[0].length;
+      }
+      continue;
+    }
+    stack.push(element);
+  }
+  return root;
+}
+
+/** HTML of a node and its descendants. */
+export function serializeHtml(node) {
+  switch (node.type) {
+    case 'root':
+      return node.children.map(serializeHtml).join('');
+    case 'element': {
+      const attrs = node.attrs.map(({name, raw}) => (raw === null ? ` ${name}` : ` ${name}="${raw}"`)).join('');
+      const open = `<${node.name}${attrs}${node.selfClosing ? '/' : ''}>`;
+      return `${open}${node.children.map(serializeHtml).join('')}${node.endTag ? `</${node.name}>` : ''}`;
+    }
+    default:
+      return node.raw;
+  }
+}
+
+/** Decoded value of an element's attribute, or null. */
+export function getAttribute(element, name) {
+  const attr = element.attrs.find((candidate) => candidate.name.toLowerCase() === name.toLowerCase());
+  return attr ? decodeEntities(attr.raw ?? '') : null;
+}
+
+function writeAttribute(element, name, value) {
+  const raw = value === true ? null : escapeAttribute(value);
+  const attr = element.attrs.find((candidate) => candidate.name.toLowerCase() === name.toLowerCase());
+  if (attr) attr.raw = raw;
+  else element.attrs.push({name, raw});
+}
+
+/** Text content of a node: entities decoded, except in raw text elements like <script>. */
+export function textContent(node) {
+  if (node.type === 'text') {
+    const raw = node.parent?.type === 'element' && ['script', 'style'].includes(tagName(node.parent));
+    return raw ? node.raw : decodeEntities(node.raw);
+  }
+  return (node.children ?? []).map(textContent).join('');
+}
+
+function parseCompound(text, selector) {
+  const compound = {tag: null, id: null, classes: [], attrs: []};
+  const re = /^(?:([a-zA-Z][\w-]*|\*)|#([\w-]+)|\.([\w-]+)|\[\s*([^\s\]~^$*=]+)\s*(?:([~^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\s\]]+))\s*)?\])/;
+  let rest = text;
+  while (rest) {
+    const match = rest.match(re);
+    if (!match) throw new HtmlTransformError(`Unsupported selector "${selector}"`);
+    const [token, tag, id, cls, attr, op, double, single, bare] = match;
+    if (tag) compound.tag = tag === '*' ? null : tag.toLowerCase();
+    if (id) compound.id = id;
+    if (cls) compound.classes.push(cls);
+    if (attr) compound.attrs.push({name: attr, op, value: double ?? single ?? bare});
+    rest = rest.slice(token.length);
+  }
+  return compound;
+}
+
+/** [[{combinator, compound}, …], …]: one list per comma-separated group, left to right. */
+function parseSelector(selector) {
+  const groups = [[]];
+  let combinator = ' ';
+  // Compounds (attribute values may hold spaces, commas and >), combinators and commas
+  for (const [token] of selector.matchAll(/(?:[^\s>,[]|\[(?:"[^"]*"|'[^']*'|[^\]])*\])+|>|,/g)) {
+    if (token === ',') {
+      groups.push([]);
+    } else if (token === '>') {
+      combinator = '>';
+      continue;
+    } else {
+      groups.at(-1).push({combinator, compound: parseCompound(token, selector)});
+    }
+    combinator = ' ';
+  }
+  if (groups.some((parts) => parts.length === 0 || parts[0].combinator === '>')) {
+    throw new HtmlTransformError(`Unsupported selector "${selector}"`);
+  }
+  return groups;
+}
+
+function matchesAttribute(element, {name, op, value}) {
+  const actual = getAttribute(element, name);
+  if (actual === null) return false;
+  switch (op) {
+    case undefined: return true;
+    case '=': return actual === value;
+    case '^=': return actual.startsWith(value);
+    case '$=': return actual.endsWith(value);
+    case '*=': return actual.includes(value);
+    default: return actual.split(/\s+/).includes(value);
+  }
+}
+
+function matchesCompound(element, {tag, id, classes, attrs}) {
+  if (tag && tagName(element) !== tag) return false;
+  if (id && getAttribute(element, 'id') !== id) return false;
+  const classList = (getAttribute(element, 'class') ?? '').split(/\s+/);
+  return classes.every((cls) => classList.includes(cls)) && attrs.every((attr) => matchesAttribute(element, attr));
+}
+
+function matchesParts(element, parts, index) {
+  if (!matchesCompound(element, parts[index].compound)) return false;
+  if (index === 0) return true;
+  let ancestor = element.parent;
+  while (ancestor?.type === 'element') {
+    if (matchesParts(ancestor, parts, index - 1)) return true;
+    if (parts[index].combinator === '>') return false;
+    ancestor = ancestor.parent;
+  }
+  return false;
+}
+
+function* elements(node) {
+  for (const child of node.children ?? []) {
+    if (child.type !== 'element') continue;
+    yield child;
+    yield* elements(child);
+  }
+}
+
+/** All elements below node matching selector, in document order. */
+export function querySelectorAll(node, selector) {
+  const groups = parseSelector(selector);
+  return [...elements(node)].filter((element) => groups.some((parts) => matchesParts(element, parts, parts.length - 1)));
+}
+
+/** Like querySelectorAll, but a selector that matches nothing is an HtmlTransformError. */
+function requireAll(node, selector) {
+  const matches = querySelectorAll(node, selector);
+  if (matches.length === 0) throw new HtmlTransformError(`No element matches "${selector}"`);
+  return matches;
+}
+
+/** Set an attribute on every match (value true: boolean attribute); returns the number of elements. */
+export function setAttribute(doc, selector, name, value) {
+  const matches = requireAll(doc, selector);
+  for (const element of matches) writeAttribute(element, name, value);
+  return matches.length;
+}
+
+/** Replace the content of every match with text (as is in <script> and <style>). */
+export function setText(doc, selector, text) {
+  const matches = requireAll(doc, selector);
+  for (const element of matches) {
+    const raw = ['script', 'style'].includes(tagName(element));
+    if (raw && new RegExp(`</${tagName(element)}`, 'i').test(text)) {
+      throw new HtmlTransformError(`Text for <${element.name}> must not contain its end tag`);
+    }
+    element.children = [{type: 'text', raw: raw ? String(text) : escapeText(text), parent: element}];
+    element.endTag = true;
+  }
+  return matches.length;
+}
+
+/** Replace every match with the nodes of an HTML fragment ('' removes it). */
+export function replaceElement(doc, selector, html) {
+  const matches = requireAll(doc, selector);
+  for (const element of matches) {
+    const {children} = parseHtml(html);
+    const siblings = element.parent.children;
+    for (const child of children) child.parent = element.parent;
+    siblings.splice(siblings.indexOf(element), 1, ...children);
+  }
+  return matches.length;
+}
+
+/** Insert the nodes of an HTML fragment next to every match: offset 0 before it, 1 after it. */
+function insertNextTo(doc, selector, html, offset) {
+  const matches = requireAll(doc, selector);
+  for (const element of matches) {
+    const {children} = parseHtml(html);
+    const siblings = element.parent.children;
+    for (const child of children) child.parent = element.parent;
+    siblings.splice(siblings.indexOf(element) + offset, 0, ...children);
+  }
+  return matches.length;
+}
+
+/** Insert the nodes of an HTML fragment before every match. */
+export function insertBefore(doc, selector, html) {
+  return insertNextTo(doc, selector, html, 0);
+}
+
+/** Insert the nodes of an HTML fragment after every match. */
+export function insertAfter(doc, selector, html) {
+  return insertNextTo(doc, selector, html, 1);
+}
+
+function sourceRank(type) {
+  const index = SOURCE_TYPE_ORDER.indexOf(type);
+  return index === -1 ? SOURCE_TYPE_ORDER.length : index;
+}
+
+/**
+ * Add a <source> with the given attributes to every matching <picture>,
+ * ordered by SOURCE_TYPE_ORDER and always before the <img>. An existing
+ * <source> of the same type and media is updated instead.
+ */
+export function insertSource(doc, pictureSelector, attributes) {
+  const matches = requireAll(doc, pictureSelector);
+  for (const picture of matches) {
+    if (tagName(picture) !== 'picture') {
+      throw new HtmlTransformError(`"${pictureSelector}" matches <${picture.name}>, expected <picture>`);
+    }
+    const sources = picture.children.filter((child) => child.type === 'element' && tagName(child) === 'source');
+    let source = sources.find((candidate) => getAttribute(candidate, 'type') === (attributes.type ?? null)
+      && getAttribute(candidate, 'media') === (attributes.media ?? null));
+    if (!source) {
+      source = {type: 'element', name: 'source', attrs: [], children: [], selfClosing: false, endTag: false, parent: picture};
+      const before = sources.find((candidate) => sourceRank(getAttribute(candidate, 'type')) > sourceRank(attributes.type))
+        ?? picture.children.find((child) => child.type === 'element' && tagName(child) === 'img');
+      const index = before ? picture.children.indexOf(before) : picture.children.length;
+      picture.children.splice(index, 0, source);
+    }
+    for (const [name, value] of Object.entries(attributes)) writeAttribute(source, name, value);
+  }
+  return matches.length;
+}
+
+/**
+ * Set a value in the JSON-LD blocks by key path ('mainEntity.image'):
+ * every block that has the path is updated and re-serialized compactly.
+ */
+export function updateJsonLd(doc, keyPath, value) {
+  const keys = keyPath.split('.');
+  let updated = 0;
+  for (const script of requireAll(doc, 'script[type="application/ld+json"]')) {
+    const data = JSON.parse(textContent(script));
+    const parent = keys.slice(0, -1).reduce((object, key) => object?.[key], data);
+    if (parent === null || typeof parent !== 'object' || !(keys.at(-1) in parent)) continue;
+    parent[keys.at(-1)] = value;
+    script.children = [{type: 'text', raw: JSON.stringify(data).replace(/</g, '\\u003c'), parent: script}];
+    updated++;
+  }
+  if (updated === 0) throw new HtmlTransformError(`No JSON-LD block has "${keyPath}"`);
+  return updated;
+}
+
+/** Parse file, let transform(doc) edit the tree and write it back. */
+export async function transformHtmlFile(file, transform) {
+  const doc = parseHtml(await fs.readFile(file, 'utf8'));
+  await transform(doc);
+  await fs.writeFile(file, serializeHtml(doc));
+}
@@ -0,0 +1,99 @@
+/**
+ * ICO container writer: an ICONDIR header, one ICONDIRENTRY per image and
+ * the image data. Entries are either PNG files (Windows Vista and later,
+ * current browsers) or BMP bitmaps (every ICO reader): a BITMAPINFOHEADER
+ * with doubled height, 32-bit BGRA rows bottom-up and a 1-bit AND mask.
+ */
+
+const ICONDIR_SIZE = 6;
+const ICONDIRENTRY_SIZE = 16;
+const BITMAPINFOHEADER_SIZE = 40;
+const ICON_TYPE = 1;
+
+export class IcoError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IcoError';
+  }
+}
+
+/** Bytes per row of a bitmap with the given bits per pixel, padded to 32 bits. */
+function stride(width, bitsPerPixel) {
+  return Math.ceil((width * bitsPerPixel) / 32) * 4;
+}
+
+/**
+ * BMP entry data for raw RGBA pixels (top-down, 4 bytes per pixel).
+ * Fully transparent pixels are also set in the AND mask for readers that
+ * ignore the alpha channel.
+ */
+export function encodeBmp(width, height, rgba) {
+  if (rgba.length !== width * height * 4) {
+    throw new IcoError(`Expected ${width * height * 4} bytes of RGBA for ${width}x${height}, got ${rgba.length}`);
+  }
+  const xorStride = stride(width, 32);
+  const andStride = stride(width, 1);
+  const header = Buffer.alloc(BITMAPINFOHEADER_SIZE);
+  header.writeUInt32LE(BITMAPINFOHEADER_SIZE, 0);
+  header.writeInt32LE(width, 4);
+  header.writeInt32LE(height * 2, 8); // XOR bitmap + AND mask
+  header.writeUInt16LE(1, 12); // planes
+  header.writeUInt16LE(32, 14); // bits per pixel
+  header.writeUInt32LE((xorStride + andStride) * height, 20); // image size, BI_RGB
+
+  const xor = Buffer.alloc(xorStride * height);
+  const and = Buffer.alloc(andStride * height);
+  for (let y = 0; y < height; y++) {
+    const row = height - 1 - y; // bottom-up
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const o = row * xorStride + x * 4;
+      xor[o] = rgba[i + 2];
+      xor[o + 1] = rgba[i + 1];
+      xor[o + 2] = rgba[i];
+      xor[o + 3] = rgba[i + 3];
+      if (rgba[i + 3] === 0) and[row * andStride + (x >> 3)] |= 0x80 >> (x & 7);
+    }
+  }
+  return Buffer.concat([header, xor, and]);
+}
+
+/**
+ * Build an ICO file.
+ *
+ * @param {Array<{width: number, height: number, png?: Buffer, rgba?: Buffer}>} images
+ *   a PNG-compressed entry when png is given, a BMP entry from raw RGBA otherwise
+ * @returns {Buffer}
+ */
+export function encodeIco(images) {
+  if (images.length === 0) throw new IcoError('An ICO file needs at least one image');
+
+  const entries = images.map(({width, height, png, rgba}) => {
+    if (width < 1 || width > 256 || height < 1 || height > 256) {
+      throw new IcoError(`ICO images must be 1 to 256 px, got ${width}x${height}`);
+    }
+    if (!png && !rgba) throw new IcoError(`No png or rgba data for the ${width}x${height} image`);
+    return {width, height, data: png ?? encodeBmp(width, height, rgba)};
+  });
+
+  const header = Buffer.alloc(ICONDIR_SIZE + ICONDIRENTRY_SIZE * entries.length);
+  header.writeUInt16LE(0, 0); // reserved
+  header.writeUInt16LE(ICON_TYPE, 2);
+  header.writeUInt16LE(entries.length, 4);
+
+  let offset = header.length;
+  entries.forEach(({width, height, data}, index) => {
+    const at = ICONDIR_SIZE + ICONDIRENTRY_SIZE * index;
+    header.writeUInt8(width % 256, at); // 0 means 256
+    header.writeUInt8(height % 256, at + 1);
+    header.writeUInt8(0, at + 2); // no palette
+    header.writeUInt8(0, at + 3); // reserved
+    header.writeUInt16LE(1, at + 4); // planes
+    header.writeUInt16LE(32, at + 6); // bits per pixel
+    header.writeUInt32LE(data.length, at + 8);
+    header.writeUInt32LE(offset, at + 12);
+    offset += data.length;
+  });
+
+  return Buffer.concat([header, ...entries.map((entry) => entry.data)]);
+}
@@ -0,0 +1,78 @@
+/**
+ * Shared raster image handling for the avatar and featured article steps:
+ * source checks, responsive widths and AVIF encoding (kept only where it
+ * beats the WebP).
+ */
+import sharp from 'sharp';
+
+export const AVIF_OPTIONS = {quality: 50, effort: 6};
+
+/** Source formats the image steps accept, as reported by sharp. */
+export const SOURCE_FORMATS = {jpeg: 'JPEG', png: 'PNG', webp: 'WebP'};
+
+export class ImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageError';
+  }
+}
+
+/**
+ * Format and displayed (EXIF-rotated) size of a source image. Throws an
+ * ImageError for anything but JPEG/PNG/WebP or below minWidth x minHeight.
+ *
+ * @param {Buffer} input
+ * @param {{minWidth?: number, minHeight?: number}} [minimum]
+ * @returns {Promise<{format: string, width: number, height: number}>}
+ */
+export async function inspectImage(input, {minWidth = 1, minHeight = 1} = {}) {
+  let metadata;
+  try {
+    metadata = await sharp(input).metadata();
+  } catch {
+    throw new ImageError('not a readable image');
+  }
+  if (!SOURCE_FORMATS[metadata.format]) {
+    throw new ImageError(`unsupported format ${metadata.format}, expected ${Object.values(SOURCE_FORMATS).join(', ')}`);
+  }
+  const {width, height} = metadata.autoOrient ?? metadata;
+  if (width < minWidth || height < minHeight) {
+    throw new ImageError(`${width}x${height} is below the minimum of ${minWidth}x${minHeight}`);
+  }
+  return {format: metadata.format, width, height};
+}
+
+/**
+ * The widths (and matching heights) of a width x height image cropped to
+ * aspectRatio, without upscaling: widths larger than the crop are dropped.
+ *
+ * @returns {{width: number, height: number}[]}
+ */
+export function variantSizes({width, height}, widths, aspectRatio) {
+  const cropWidth = Math.min(width, Math.floor(height * aspectRatio));
+  return widths
+    .filter((candidate) => candidate <= cropWidth)
+    .map((candidate) => ({width: candidate, height: Math.round(candidate / aspectRatio)}));
+}
+
+/** srcset value from [{url, width}]: "/a-400w.jpg 400w, /a-800w.jpg 800w". */
+export function srcset(candidates) {
+  return candidates.map(({url, width}) => `${url} ${width}w`).join(', ');
+}
+
+/**
+ * AVIF version of an image (optionally cropped to width x height), or null
+ * when it is not smaller than the WebP of the same image. A sharp instance
+ * is cloned, so its pipeline (rotation, crop) applies.
+ *
+ * @param {string|Buffer|import('sharp').Sharp} input
+ * @param {number} webpSize bytes of the WebP it competes with
+ * @param {{width: number, height: number}} [resize]
+ * @returns {Promise<Buffer|null>}
+ */
+export async function smallerAvif(input, webpSize, resize) {
+  let image = input instanceof sharp ? input.clone() : sharp(input);
+  if (resize) image = image.resize(resize.width, resize.height, {fit: 'cover'});
+  const avif = await image.avif(AVIF_OPTIONS).toBuffer();
+  return avif.length < webpSize ? avif : null;
+}
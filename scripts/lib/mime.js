@@ -0,0 +1,59 @@
+/**
+ * MIME types for every file type the build emits.
+ * Shared by compression, .htaccess generation and the local test server so
+ * all three agree on what a file is.
+ */
+import path from 'path';
+
+export const MIME_TYPES = {
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.json': 'application/json',
+  '.webmanifest': 'application/manifest+json',
+  '.xml': 'application/xml',
+  '.txt': 'text/plain',
+  '.asc': 'application/pgp-keys',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+};
+
+/** Types that benefit from pre-compression (text formats and uncompressed binaries). */
+const COMPRESSIBLE_TYPES = [
+  /^text\//,
+  /^application\/(json|manifest\+json|xml|pgp-keys)$/,
+  /^image\/(svg\+xml|x-icon)$/,
+];
+
+/** Types that are served with an explicit UTF-8 charset. */
+const CHARSET_TYPES = [
+  /^text\//,
+  /^application\/(json|manifest\+json|xml)$/,
+  /^image\/svg\+xml$/,
+];
+
+/** MIME type of a file by extension, or null if unknown. */
+export function mimeType(filePath) {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()] ?? null;
+}
+
+/** Full Content-Type header value, including charset for text formats. */
+export function contentType(filePath) {
+  const type = mimeType(filePath);
+  if (!type) return null;
+  return CHARSET_TYPES.some((re) => re.test(type)) ? `${type}; charset=utf-8` : type;
+}
+
+/** True if files of this MIME type should get .zst/.br/.gz variants. */
+export function isCompressibleType(type) {
+  return Boolean(type) && COMPRESSIBLE_TYPES.some((re) => re.test(type));
+}
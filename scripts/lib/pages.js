@@ -0,0 +1,105 @@
+/**
+ * Source pages: every .html file under src/main/html, built to the same
+ * path under dist/. A page starts with YAML front matter (PAGE_SCHEMA:
+ * title, description, optional canonical URL) between --- lines, includes
+ * the shared partials of src/main/partials as {{> name}} and uses its front
+ * matter as {{page.title}}, {{page.description}} and {{page.canonical}}.
+ */
+import {promises as fs} from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import {SITE_ORIGIN} from './assets.js';
+import {PAGE_SCHEMA} from './config-schemas.js';
+import {walkFiles} from './files.js';
+import {formatIssues, locateKeys, validate} from './schema.js';
+
+export class PageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PageError';
+  }
+}
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n/;
+const PARTIAL = /\{\{>\s*([\w-]+)\s*\}\}/g;
+const PAGE_FIELD = /\{\{page\.(\w+)\}\}/g;
+const PLACEHOLDER = /\{\{[^{}]*\}\}/;
+
+// A bare & (as in "Maven & Java") is valid HTML; only escape it where it could start a character reference
+function escapeHtml(value) {
+  return value.replace(/&(?=#?\w)/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/** Pages below dir (.html files), as sorted POSIX paths relative to dir. */
+export async function listPages(dir) {
+  return (await walkFiles(dir)).filter((file) => file.endsWith('.html'));
+}
+
+/** Site URL of a page path: 'index.html' → 'https://bmarwell.de/', 'talks/index.html' → '…/talks/'. */
+export function pageUrl(relPath) {
+  return `${SITE_ORIGIN}/${relPath.replace(/(^|\/)index\.html$/, '$1')}`;
+}
+
+/** Partials of dir by name ('head' for head.html), without their trailing newline. */
+export async function loadPartials(dir) {
+  const partials = new Map();
+  for (const file of (await walkFiles(dir)).filter((name) => name.endsWith('.html'))) {
+    partials.set(file.slice(0, -'.html'.length), (await fs.readFile(path.join(dir, file), 'utf8')).trimEnd());
+  }
+  return partials;
+}
+
+/**
+ * Split a page source into its validated front matter and body; file
+ * names the page in errors.
+ *
+ * @returns {{meta: {title: string, description: string, canonical?: string}, body: string}}
+ */
+export function parsePage(source, file) {
+  const match = source.match(FRONT_MATTER);
+  if (!match) throw new PageError(`${file}: missing front matter (--- title, description ---)`);
+  let meta;
+  try {
+    meta = yaml.load(match[1], {schema: yaml.CORE_SCHEMA});
+  } catch (error) {
+    if (error.name !== 'YAMLException') throw error;
+    throw new PageError(`${file}:${(error.mark?.line ?? 0) + 2}: ${error.reason}`);
+  }
+  const issues = validate(meta ?? {}, PAGE_SCHEMA);
+  if (issues.length > 0) {
+    // Lines of the front matter start after the opening ---
+    const lines = locateKeys(match[1]);
+    const located = issues.map((issue) => ({...issue, line: (lines.get(issue.path) ?? 0) + 1}));
+    throw new PageError(`Invalid front matter:\n${formatIssues(file, located)}`);
+  }
+  return {meta, body: source.slice(match[0].length)};
+}
+
+/**
+ * HTML of a parsed page: partials included, {{page.*}} fields filled
+ * (escaped) and the {{NAME}} placeholders replaced by their (trusted) HTML.
+ * Any other {{…}} left in the page is an error.
+ *
+ * @param {{meta: object, body: string}} page from parsePage
+ * @param {{url: string, partials: Map<string, string>, placeholders?: Object<string, string>}} context
+ *   url is the canonical URL unless the front matter sets one
+ */
+export function renderPage({meta, body}, {url, partials, placeholders = {}}) {
+  const include = (html, including) => html.replace(PARTIAL, (tag, name) => {
+    if (!partials.has(name)) throw new PageError(`Unknown partial ${tag}`);
+    if (including.includes(name)) throw new PageError(`Partial ${tag} includes itself`);
+    return include(partials.get(name), [...including, name]);
+  });
+
+  const fields = {...meta, canonical: meta.canonical ?? url};
+  let html = include(body, []).replace(PAGE_FIELD, (tag, name) => {
+    if (typeof fields[name] !== 'string') throw new PageError(`Unknown page field ${tag}`);
+    return escapeHtml(fields[name]);
+  });
+  for (const [name, value] of Object.entries(placeholders)) {
+    html = html.replaceAll(`{{${name}}}`, () => value);
+  }
+  const unknown = html.match(PLACEHOLDER);
+  if (unknown) throw new PageError(`Unknown placeholder ${unknown[0]}`);
+  return html;
+}
@@ -0,0 +1,257 @@
+/**
+ * Just enough OpenPGP (RFC 4880) to check and republish the public keys:
+ * de-armoring with CRC-24, packet framing, v4 fingerprints, expiry dates
+ * from the self-signatures' hashed key-expiration subpackets, and
+ * stripping user IDs (for the Web Key Directory, see wkd.js).
+ *
+ * Signatures are not cryptographically verified; this guards against
+ * publishing the wrong file, not against a forged one.
+ */
+import crypto from 'crypto';
+
+const TAG = {SIGNATURE: 2, PUBLIC_KEY: 6, USER_ID: 13, PUBLIC_SUBKEY: 14, USER_ATTRIBUTE: 17};
+
+// Signature types: certifications of a user id, subkey binding, direct key
+const CERTIFICATIONS = new Set([0x10, 0x11, 0x12, 0x13]);
+const SUBKEY_BINDING = 0x18;
+const DIRECT_KEY = 0x1f;
+
+const SUBPACKET = {CREATION_TIME: 2, KEY_EXPIRATION_TIME: 9, ISSUER: 16, ISSUER_FINGERPRINT: 33};
+
+export class PgpError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PgpError';
+  }
+}
+
+/** CRC-24 as used by the armor checksum (RFC 4880, 6.1). */
+export function crc24(bytes) {
+  let crc = 0xb704ce;
+  for (const byte of bytes) {
+    crc ^= byte << 16;
+    for (let i = 0; i < 8; i++) {
+      crc <<= 1;
+      if (crc & 0x1000000) crc ^= 0x1864cfb;
+    }
+  }
+  return crc & 0xffffff;
+}
+
+/** Decode the first ASCII-armored block in text; text around it is ignored. */
+export function dearmor(text) {
+  const match = text.match(/-----BEGIN PGP ([A-Z ]+)-----\r?\n([\s\S]*?)-----END PGP \1-----/);
+  if (!match) throw new PgpError('No ASCII-armored PGP block found');
+
+  // Armor headers ("Comment: ...") end at the first blank line
+  const lines = match[2].split(/\r?\n/);
+  const blank = lines.findIndex((line) => line.trim() === '');
+  const body = lines.slice(blank + 1).map((line) => line.trim()).filter(Boolean);
+  const checksumLine = body.length && body[body.length - 1].startsWith('=') ? body.pop() : null;
+
+  const bytes = Buffer.from(body.join(''), 'base64');
+  if (checksumLine) {
+    const expected = Buffer.from(checksumLine.slice(1), 'base64').readUIntBE(0, 3);
+    if (crc24(bytes) !== expected) throw new PgpError('Armor checksum mismatch');
+  }
+  return {type: match[1], bytes};
+}
+
+/**
+ * Split binary OpenPGP data into packets.
+ *
+ * @returns {Array<{tag: number, body: Buffer, raw: Buffer}>} raw includes the header
+ */
+export function parsePackets(bytes) {
+  const packets = [];
+  let pos = 0;
+  while (pos < bytes.length) {
+    const start = pos;
+    const header = bytes[pos++];
+    if (!(header & 0x80)) throw new PgpError(`Invalid packet header at offset ${pos - 1}`);
+
+    let tag;
+    let length;
+    if (header & 0x40) {
+      // New format
+      tag = header & 0x3f;
+      const first = bytes[pos++];
+      if (first < 192) {
+        length = first;
+      } else if (first < 224) {
+        length = ((first - 192) << 8) + bytes[pos++] + 192;
+      } else if (first === 255) {
+        length = bytes.readUInt32BE(pos);
+        pos += 4;
+      } else {
+        throw new PgpError('Partial body lengths are not supported in key packets');
+      }
+    } else {
+      // Old format
+      tag = (header >> 2) & 0x0f;
+      const lengthType = header & 0x03;
+      if (lengthType === 3) {
+        length = bytes.length - pos;
+      } else {
+        const size = [1, 2, 4][lengthType];
+        length = bytes.readUIntBE(pos, size);
+        pos += size;
+      }
+    }
+
+    if (pos + length > bytes.length) throw new PgpError(`Truncated packet (tag ${tag})`);
+    packets.push({tag, body: bytes.subarray(pos, pos + length), raw: bytes.subarray(start, pos + length)});
+    pos += length;
+  }
+  return packets;
+}
+
+/** Hex fingerprint (upper case) and creation time of a v4 key packet body. */
+function keyInfo(body) {
+  if (body[0] !== 4) throw new PgpError(`Unsupported key packet version ${body[0]}`);
+  const prefix = Buffer.from([0x99, body.length >> 8, body.length & 0xff]);
+  const fingerprint = crypto.createHash('sha1').update(prefix).update(body).digest('hex').toUpperCase();
+  return {
+    fingerprint,
+    keyId: fingerprint.slice(-16),
+    created: new Date(body.readUInt32BE(1) * 1000),
+    algorithm: body[5],
+  };
+}
+
+function readSubpackets(data) {
+  const subpackets = [];
+  let pos = 0;
+  while (pos < data.length) {
+    const first = data[pos++];
+    let length;
+    if (first < 192) {
+      length = first;
+    } else if (first < 255) {
+      length = ((first - 192) << 8) + data[pos++] + 192;
+    } else {
+      length = data.readUInt32BE(pos);
+      pos += 4;
+    }
+    subpackets.push({type: data[pos] & 0x7f, data: data.subarray(pos + 1, pos + length)});
+    pos += length;
+  }
+  return subpackets;
+}
+
+/** Key ID of the signer from the issuer (fingerprint) subpackets, hashed or not; null if absent. */
+function issuerOf(subpackets) {
+  const fingerprint = subpackets.find((sp) => sp.type === SUBPACKET.ISSUER_FINGERPRINT && sp.data[0] === 4);
+  if (fingerprint) return fingerprint.data.subarray(1).toString('hex').toUpperCase().slice(-16);
+  return subpackets.find((sp) => sp.type === SUBPACKET.ISSUER)?.data.toString('hex').toUpperCase() ?? null;
+}
+
+/** Type, issuer key ID and hashed creation / key-expiration times of a v4 signature. */
+function signatureInfo(body) {
+  if (body[0] !== 4) return null;
+  const hashedLength = body.readUInt16BE(4);
+  const hashed = readSubpackets(body.subarray(6, 6 + hashedLength));
+  const unhashedLength = body.readUInt16BE(6 + hashedLength);
+  const unhashed = readSubpackets(body.subarray(8 + hashedLength, 8 + hashedLength + unhashedLength));
+  const find = (type) => hashed.find((sp) => sp.type === type)?.data.readUInt32BE(0);
+  return {
+    type: body[1],
+    issuer: issuerOf([...hashed, ...unhashed]),
+    created: find(SUBPACKET.CREATION_TIME) ?? 0,
+    keyExpiration: find(SUBPACKET.KEY_EXPIRATION_TIME),
+  };
+}
+
+/**
+ * Expiry from the newest of the primary key's own signatures (third-party
+ * certifications say nothing about it); null if it never expires.
+ */
+function expiryOf(key, signatures, primaryKeyId) {
+  const latest = signatures
+    .filter((sig) => sig.issuer === primaryKeyId)
+    .sort((a, b) => b.created - a.created)[0];
+  if (!latest?.keyExpiration) return null;
+  return new Date(key.created.getTime() + latest.keyExpiration * 1000);
+}
+
+/** Packets of an armored or binary public key, checked to start with the primary key. */
+function keyPackets(input) {
+  let bytes = input;
+  if (typeof input === 'string') {
+    const armor = dearmor(input);
+    if (armor.type !== 'PUBLIC KEY BLOCK') throw new PgpError(`Expected a PUBLIC KEY BLOCK, got ${armor.type}`);
+    bytes = armor.bytes;
+  }
+  const packets = parsePackets(bytes);
+  if (packets[0]?.tag !== TAG.PUBLIC_KEY) throw new PgpError('Key block does not start with a public key');
+  return packets;
+}
+
+/**
+ * Parse a public key, either ASCII-armored (string) or binary (Buffer).
+ *
+ * @returns {{fingerprint: string, keyId: string, created: Date, expires: Date|null,
+ *   userIds: string[], subkeys: Array<{fingerprint: string, keyId: string,
+ *   created: Date, expires: Date|null}>}}
+ */
+export function readPublicKey(input) {
+  const packets = keyPackets(input);
+  const primary = {...keyInfo(packets[0].body), userIds: [], subkeys: []};
+  const primarySignatures = [];
+  let current = null; // the subkey whose binding signatures follow
+
+  for (const {tag, body} of packets.slice(1)) {
+    if (tag === TAG.USER_ID) {
+      primary.userIds.push(body.toString('utf8'));
+      current = null;
+    } else if (tag === TAG.PUBLIC_SUBKEY) {
+      current = {...keyInfo(body), signatures: []};
+      primary.subkeys.push(current);
+    } else if (tag === TAG.SIGNATURE) {
+      const sig = signatureInfo(body);
+      if (!sig) continue;
+      if (current && sig.type === SUBKEY_BINDING) {
+        current.signatures.push(sig);
+      } else if (!current && (CERTIFICATIONS.has(sig.type) || sig.type === DIRECT_KEY)) {
+        primarySignatures.push(sig);
+      }
+    }
+  }
+
+  primary.expires = expiryOf(primary, primarySignatures, primary.keyId);
+  primary.subkeys = primary.subkeys.map(({signatures, ...subkey}) =>
+    ({...subkey, expires: expiryOf(subkey, signatures, primary.keyId)}));
+  return primary;
+}
+
+/**
+ * Binary key with only the user IDs for which keep(userId) is true; user
+ * attributes (photo IDs) are dropped, subkeys are kept. Packets are copied
+ * byte for byte, so signatures stay valid.
+ */
+export function filterUserIds(input, keep) {
+  const kept = [];
+  let keepBlock = true; // the primary key and its direct signatures
+  for (const packet of keyPackets(input)) {
+    if (packet.tag === TAG.USER_ID) {
+      keepBlock = keep(packet.body.toString('utf8'));
+    } else if (packet.tag === TAG.USER_ATTRIBUTE) {
+      keepBlock = false;
+    } else if (packet.tag === TAG.PUBLIC_SUBKEY) {
+      keepBlock = true;
+    }
+    if (keepBlock) kept.push(packet.raw);
+  }
+  return Buffer.concat(kept);
+}
+
+/** "1083EA11…" → "1083 EA11 7629 …" (groups of four, as shown on the site). */
+export function formatFingerprint(hex) {
+  return hex.toUpperCase().match(/.{1,4}/g).join(' ');
+}
+
+/** Compare fingerprints ignoring whitespace and case. */
+export function sameFingerprint(a, b) {
+  const normalize = (fp) => fp.replace(/\s+/g, '').toUpperCase();
+  return normalize(a) === normalize(b);
+}
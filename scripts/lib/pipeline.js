@@ -0,0 +1,228 @@
+/**
+ * Build pipeline runner.
+ *
+ * Each step is a script with declared inputs and outputs (globs relative to
+ * the repository root) and explicit `after` dependencies. Independent steps
+ * run concurrently. A step is skipped when the content hash of its inputs
+ * matches the last successful run; its outputs are then restored from the
+ * cache instead, so `dist/` can still be wiped before every build.
+ *
+ * Inputs may only reference outputs of steps listed (transitively) in `after`,
+ * otherwise their hash would depend on scheduling.
+ */
+import {spawn} from 'child_process';
+import crypto from 'crypto';
+import {promises as fs} from 'fs';
+import os from 'os';
+import path from 'path';
+import {globToRegExp, walkFiles} from './files.js';
+
+/** Inputs every step implicitly depends on. */
+const SHARED_INPUTS = ['scripts/lib/**'];
+
+/**
+ * @typedef {object} Step
+ * @property {string} name
+ * @property {string} script Node script to run, relative to the root.
+ * @property {string[]} [args] Extra arguments for the script.
+ * @property {string[]} [after] Names of steps that must finish first.
+ * @property {string[]} [inputs] Globs whose content determines the cache key.
+ * @property {string[]} [outputs] Globs of files the step produces.
+ * @property {string[]} [env] Environment variables that affect the result.
+ * @property {() => string} [key] Extra cache key material, e.g. the current year.
+ * @property {boolean} [cache] Set to false for steps that must always run.
+ */
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/** Directory part of a glob before its first wildcard. */
+function globBase(pattern) {
+  const wildcard = pattern.search(/[*?{]/);
+  if (wildcard === -1) return pattern;
+  return pattern.slice(0, wildcard).replace(/[^/]*$/, '').replace(/\/$/, '');
+}
+
+/** Resolve globs relative to rootDir into a sorted list of existing files. */
+export async function resolveGlobs(rootDir, patterns) {
+  const files = new Set();
+  for (const pattern of patterns) {
+    const base = globBase(pattern);
+    const absBase = path.join(rootDir, base);
+    const stat = await fs.stat(absBase).catch(() => null);
+    if (!stat) continue;
+    if (stat.isFile()) {
+      files.add(base);
+      continue;
+    }
+    const re = globToRegExp(pattern);
+    for (const file of await walkFiles(absBase)) {
+      const rel = base ? `${base}/${file}` : file;
+      if (re.test(rel)) files.add(rel);
+    }
+  }
+  return [...files].sort();
+}
+
+async function computeKey(rootDir, step, env) {
+  const hash = crypto.createHash('sha256');
+  hash.update(JSON.stringify({script: step.script, args: step.args ?? []}));
+  for (const name of step.env ?? []) {
+    hash.update(`env:${name}=${env[name] ?? ''}\n`);
+  }
+  if (step.key) hash.update(`key:${step.key()}\n`);
+
+  const inputs = await resolveGlobs(rootDir, [step.script, ...SHARED_INPUTS, ...(step.inputs ?? [])]);
+  for (const file of inputs) {
+    hash.update(`${file}\0${sha256(await fs.readFile(path.join(rootDir, file)))}\n`);
+  }
+  return hash.digest('hex');
+}
+
+async function copyFiles(files, fromDir, toDir) {
+  for (const file of files) {
+    const dest = path.join(toDir, file);
+    await fs.mkdir(path.dirname(dest), {recursive: true});
+    await fs.copyFile(path.join(fromDir, file), dest);
+  }
+}
+
+/** Restore a step's outputs from the cache; resolves to false on a cache miss. */
+async function restoreFromCache(rootDir, stepCacheDir, key) {
+  const meta = await fs.readFile(path.join(stepCacheDir, 'meta.json'), 'utf8')
+    .then(JSON.parse, () => null);
+  if (!meta || meta.key !== key) return false;
+  await copyFiles(meta.files, path.join(stepCacheDir, 'files'), rootDir);
+  return true;
+}
+
+/**
+ * Snapshot a step's outputs. Steps that degrade gracefully (e.g. keep a remote
+ * URL when a download fails) are not cached when a literal output is missing,
+ * so the next build tries again.
+ */
+async function saveToCache(rootDir, stepCacheDir, key, step) {
+  const files = await resolveGlobs(rootDir, step.outputs ?? []);
+  await fs.rm(stepCacheDir, {recursive: true, force: true});
+  const missing = (step.outputs ?? [])
+    .filter((pattern) => !/[*?{]/.test(pattern) && !files.includes(pattern));
+  if (missing.length > 0) {
+    console.warn(`⚠️  ${step.name}: not cached, missing ${missing.join(', ')}`);
+    return;
+  }
+  // Check-only steps have no outputs but are still worth caching
+  await fs.mkdir(stepCacheDir, {recursive: true});
+  await copyFiles(files, rootDir, path.join(stepCacheDir, 'files'));
+  await fs.writeFile(path.join(stepCacheDir, 'meta.json'),
+    JSON.stringify({key, files}, null, 2));
+}
+
+function runScript(rootDir, step, env) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [step.script, ...(step.args ?? [])], {
+      cwd: rootDir,
+      env,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    // Buffer output so concurrent steps don't interleave their logs
+    const chunks = [];
+    child.stdout.on('data', (chunk) => chunks.push(chunk));
+    child.stderr.on('data', (chunk) => chunks.push(chunk));
+    child.on('error', (error) => resolve({code: 1, output: error.message}));
+    child.on('close', (code) => resolve({code, output: Buffer.concat(chunks).toString()}));
+  });
+}
+
+/** Fail early on unknown or cyclic dependencies. */
+function validateGraph(steps) {
+  const byName = new Map(steps.map((s) => [s.name, s]));
+  for (const step of steps) {
+    for (const dep of step.after ?? []) {
+      if (!byName.has(dep)) throw new Error(`Step "${step.name}" depends on unknown step "${dep}"`);
+    }
+  }
+  const state = new Map();
+  const visit = (name, trail) => {
+    if (state.get(name) === 'done') return;
+    if (state.get(name) === 'visiting') {
+      throw new Error(`Dependency cycle: ${[...trail, name].join(' → ')}`);
+    }
+    state.set(name, 'visiting');
+    for (const dep of byName.get(name).after ?? []) visit(dep, [...trail, name]);
+    state.set(name, 'done');
+  };
+  steps.forEach((s) => visit(s.name, []));
+}
+
+/**
+ * Run the steps, respecting dependencies and the cache.
+ *
+ * @param {Step[]} steps
+ * @param {{rootDir: string, cacheDir: string, force?: boolean,
+ *   concurrency?: number, env?: object}} options
+ * @returns {Promise<Array<{name: string, status: string, ms: number}>>}
+ *   status is one of 'ran', 'cached', 'failed' or 'skipped'.
+ */
+export async function runPipeline(steps, {rootDir, cacheDir, force = false,
+  concurrency = Math.max(2, os.availableParallelism()), env = process.env}) {
+  validateGraph(steps);
+
+  const childEnv = {
+    ...env,
+    PATH: [path.join(rootDir, 'node_modules/.bin'), env.PATH].join(path.delimiter),
+  };
+  const results = new Map();
+  const pending = new Set(steps);
+  const running = new Map();
+
+  const runStep = async (step) => {
+    const start = performance.now();
+    const stepCacheDir = path.join(cacheDir, step.name);
+    const cacheable = step.cache !== false;
+
+    const key = cacheable ? await computeKey(rootDir, step, env) : null;
+    if (cacheable && !force && await restoreFromCache(rootDir, stepCacheDir, key)) {
+      console.log(`♻️  ${step.name}: inputs unchanged, restored from cache`);
+      return {status: 'cached', ms: performance.now() - start};
+    }
+
+    const {code, output} = await runScript(rootDir, step, childEnv);
+    process.stdout.write(output);
+    if (code !== 0) {
+      console.error(`❌ ${step.name}: exited with code ${code}`);
+      return {status: 'failed', ms: performance.now() - start};
+    }
+    if (cacheable) await saveToCache(rootDir, stepCacheDir, key, step);
+    return {status: 'ran', ms: performance.now() - start};
+  };
+
+  while (pending.size > 0 || running.size > 0) {
+    for (const step of [...pending]) {
+      if (running.size >= concurrency) break;
+      const deps = (step.after ?? []).map((d) => results.get(d));
+      if (deps.some((r) => r && r.status !== 'ran' && r.status !== 'cached')) {
+        results.set(step.name, {status: 'skipped', ms: 0});
+        pending.delete(step);
+      } else if (deps.every(Boolean)) {
+        pending.delete(step);
+        running.set(step.name, runStep(step).then((result) => {
+          results.set(step.name, result);
+          running.delete(step.name);
+        }));
+      }
+    }
+    if (running.size > 0) await Promise.race(running.values());
+  }
+
+  return steps.map((step) => ({name: step.name, ...results.get(step.name)}));
+}
+
+/** Format the per-step timing table printed at the end of a build. */
+export function formatTimings(results, wallMs) {
+  const width = Math.max(...results.map((r) => r.name.length));
+  const lines = results.map((r) =>
+    `  ${r.name.padEnd(width)}  ${r.status.padEnd(7)}  ${Math.round(r.ms).toString().padStart(6)} ms`);
+  lines.push(`  ${'total'.padEnd(width)}  ${''.padEnd(7)}  ${Math.round(wallMs).toString().padStart(6)} ms (wall clock)`);
+  return lines.join('\n');
+}
@@ -0,0 +1,53 @@
+/**
+ * "Connect & Follow" profile cards and the Person JSON-LD sameAs list,
+ * both rendered from src/main/resources/profiles.yml by build-html.js.
+ */
+import {promises as fs} from 'fs';
+import path from 'path';
+
+/** Escape special HTML characters (and keep non-breaking spaces visible as &nbsp;). */
+function esc(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\u00a0/g, '&nbsp;');
+}
+
+function indent(text, spaces) {
+  const pad = ' '.repeat(spaces);
+  return text.trim().split('\n').map((line) => (line ? pad + line : line)).join('\n');
+}
+
+/** Default title attribute: "<title> - <description without final period>". */
+export function tooltipOf(profile) {
+  return profile.tooltip ?? `${profile.title} - ${profile.description.replace(/\.$/, '')}`;
+}
+
+/** All sameAs URLs in card order: each profile URL, followed by its same_as extras. */
+export function sameAsUrls(profiles) {
+  return profiles.flatMap((profile) => [profile.url, ...(profile.same_as ?? [])]);
+}
+
+/** Render one card; the icon is inlined from iconsDir/<id>.svg. */
+async function renderCard(profile, iconsDir) {
+  const icon = await fs.readFile(path.join(iconsDir, `${profile.id}.svg`), 'utf8');
+  return `    <a href="${esc(profile.url)}" id="${esc(profile.id)}" class="card" rel="${esc(profile.rel ?? 'me')}"
+       title="${esc(tooltipOf(profile))}">
+      <div class="card-icon">
+${indent(icon, 8)}
+      </div>
+      <div class="card-content">
+        <span class="card-title">${esc(profile.title)}</span>
+        <span class="card-subtitle">${esc(profile.subtitle)}</span>
+        <p class="card-desc">${esc(profile.description)}</p>
+      </div>
+    </a>`;
+}
+
+/** Render all profile cards, separated by blank lines like the hand-written HTML was. */
+export async function renderProfileCards(profiles, iconsDir) {
+  const cards = await Promise.all(profiles.map((profile) => renderCard(profile, iconsDir)));
+  return cards.join('\n\n');
+}
@@ -0,0 +1,130 @@
+/**
+ * Shared fetch layer for remote build assets (avatar, featured image, feeds).
+ *
+ * Responses are cached on disk keyed by URL and revalidated with
+ * ETag / Last-Modified, so unchanged assets cost a 304 instead of a download.
+ * In offline mode (`--offline` or BUILD_OFFLINE=1) only cached copies are
+ * used; if the network fails or the server answers 5xx or 429, a cached copy
+ * is used with a warning.
+ */
+import crypto from 'crypto';
+import {promises as fs} from 'fs';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import fetch from 'node-fetch';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const REMOTE_CACHE_DIR = path.join(__dirname, '../../.cache/remote');
+
+const MAX_REDIRECTS = 5;
+
+/** Server-side trouble that a cached copy can bridge, unlike a 404. */
+function isTransient(status) {
+  return status >= 500 || status === 429;
+}
+
+export class RemoteAssetError extends Error {
+  constructor(message, {url, status} = {}) {
+    super(message);
+    this.name = 'RemoteAssetError';
+    this.url = url;
+    this.status = status;
+  }
+}
+
+/** True if the build was started with --offline or BUILD_OFFLINE=1. */
+export function isOffline() {
+  return process.argv.includes('--offline') ||
+    ['1', 'true'].includes(String(process.env.BUILD_OFFLINE).toLowerCase());
+}
+
+function cachePaths(cacheDir, url) {
+  const key = crypto.createHash('sha256').update(url).digest('hex');
+  return {
+    meta: path.join(cacheDir, `${key}.json`),
+    body: path.join(cacheDir, `${key}.bin`),
+  };
+}
+
+async function readCache(cacheDir, url) {
+  const paths = cachePaths(cacheDir, url);
+  try {
+    const meta = JSON.parse(await fs.readFile(paths.meta, 'utf8'));
+    return {meta, body: await fs.readFile(paths.body)};
+  } catch {
+    return null;
+  }
+}
+
+async function writeCache(cacheDir, url, meta, body) {
+  const paths = cachePaths(cacheDir, url);
+  await fs.mkdir(cacheDir, {recursive: true});
+  if (body) await fs.writeFile(paths.body, body);
+  await fs.writeFile(paths.meta, JSON.stringify(meta, null, 2));
+}
+
+/**
+ * Fetch url through the on-disk cache.
+ *
+ * @returns {Promise<{body: Buffer, contentType: string|null,
+ *   source: 'network'|'revalidated'|'cache'}>}
+ */
+export async function fetchCached(url, {cacheDir = REMOTE_CACHE_DIR, offline = isOffline()} = {}) {
+  const cached = await readCache(cacheDir, url);
+
+  if (offline) {
+    if (!cached) throw new RemoteAssetError(`Offline and no cached copy of ${url}`, {url});
+    return {body: cached.body, contentType: cached.meta.contentType, source: 'cache'};
+  }
+
+  const headers = {};
+  if (cached?.meta.etag) headers['If-None-Match'] = cached.meta.etag;
+  if (cached?.meta.lastModified) headers['If-Modified-Since'] = cached.meta.lastModified;
+
+  let response;
+  try {
+    response = await fetch(url, {headers, follow: MAX_REDIRECTS});
+  } catch (error) {
+    if (!cached) throw new RemoteAssetError(`Failed to fetch ${url}: ${error.message}`, {url});
+    console.warn(`  ⚠️  ${error.message} — using cached copy of ${url}`);
+    return {body: cached.body, contentType: cached.meta.contentType, source: 'cache'};
+  }
+
+  if (response.status === 304 && cached) {
+    await writeCache(cacheDir, url, {...cached.meta, checkedAt: new Date().toISOString()});
+    return {body: cached.body, contentType: cached.meta.contentType, source: 'revalidated'};
+  }
+  if (isTransient(response.status) && cached) {
+    console.warn(`  ⚠️  HTTP ${response.status} — using cached copy of ${url}`);
+    return {body: cached.body, contentType: cached.meta.contentType, source: 'cache'};
+  }
+  if (!response.ok) {
+    throw new RemoteAssetError(`HTTP ${response.status} for ${url}`, {url, status: response.status});
+  }
+
+  const body = Buffer.from(await response.arrayBuffer());
+  const meta = {
+    url,
+    finalUrl: response.url,
+    etag: response.headers.get('etag'),
+    lastModified: response.headers.get('last-modified'),
+    contentType: response.headers.get('content-type'),
+    checkedAt: new Date().toISOString(),
+  };
+  await writeCache(cacheDir, url, meta, body);
+  return {body, contentType: meta.contentType, source: 'network'};
+}
+
+/**
+ * Load a build asset from a local override file if given, otherwise from url
+ * via the cache. Used for the avatar and featured image.
+ *
+ * @returns {Promise<{body: Buffer, source: string}>}
+ */
+export async function loadAsset({url, file}, options) {
+  if (file) {
+    return {body: await fs.readFile(file), source: `file ${file}`};
+  }
+  const {body, source} = await fetchCached(url, options);
+  return {body, source: `${source} ${url}`};
+}
@@ -0,0 +1,233 @@
+/**
+ * Validation of the YAML site configuration against small JSON-Schema-like
+ * schemas (see config-schemas.js for the schemas themselves).
+ *
+ * Supported keywords: type, properties, required, additionalProperties
+ * (false only), items, enum, minLength, minimum, maximum, format ('url',
+ * 'date', 'color') and if / then / else. A `type: 'string', format: 'date'` field also accepts
+ * Date objects; config files themselves are loaded with the YAML core
+ * schema, which keeps unquoted dates as strings so that e.g. 2024-13-01 is
+ * reported instead of silently rolling over into the next year.
+ *
+ * Issues are reported as {path, message, severity, line}; paths look like
+ * `articles[0].image_url` and lines are looked up in the YAML source.
+ */
+import {promises as fs} from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+
+/**
+ * @typedef {object} Issue
+ * @property {string} path Field path, '' for the document itself.
+ * @property {string} message
+ * @property {'error'|'warning'} severity
+ * @property {number} [line] 1-based line in the YAML file.
+ */
+
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+function joinPath(parent, key) {
+  return parent ? `${parent}.${key}` : key;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function matchesType(value, type, schema) {
+  switch (type) {
+    case 'object': return isObject(value);
+    case 'array': return Array.isArray(value);
+    case 'string': return typeof value === 'string' || (value instanceof Date && schema.format === 'date');
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    default: throw new Error(`Unknown schema type "${type}"`);
+  }
+}
+
+const TYPE_NAMES = {object: 'a mapping', array: 'a list', integer: 'an integer'};
+
+function describeTypes(types) {
+  return types.map((t) => TYPE_NAMES[t] ?? `a ${t}`).join(' or ');
+}
+
+/** True for a valid calendar date in YYYY-MM-DD form. */
+export function isIsoDate(value) {
+  if (value instanceof Date) return !Number.isNaN(value.getTime());
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/** True for an absolute http(s) URL. */
+export function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+const FORMATS = {
+  url: [isHttpUrl, 'must be an absolute http(s) URL'],
+  date: [isIsoDate, 'must be a date in YYYY-MM-DD format'],
+  color: [(value) => /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(value), 'must be a hex colour like #336699'],
+};
+
+/**
+ * Validate value against schema.
+ *
+ * @returns {Issue[]} errors in document order (without line numbers)
+ */
+export function validate(value, schema, at = '') {
+  const issues = [];
+  const error = (where, message) => issues.push({path: where, message, severity: 'error'});
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => matchesType(value, t, schema))) {
+      error(at, `must be ${describeTypes(types)}`);
+      return issues;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    error(at, `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`);
+  }
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    error(at, schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+  }
+  if (schema.format && (typeof value === 'string' || value instanceof Date)) {
+    const [check, message] = FORMATS[schema.format];
+    if (!check(value)) error(at, message);
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    error(at, `must be at least ${schema.minimum}`);
+  }
+  if (typeof value === 'number' && schema.maximum !== undefined && value > schema.maximum) {
+    error(at, `must be at most ${schema.maximum}`);
+  }
+
+  if (isObject(value)) {
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined || value[key] === null) error(joinPath(at, key), 'is required');
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const sub = schema.properties?.[key];
+      if (sub) {
+        if (item !== null) issues.push(...validate(item, sub, joinPath(at, key)));
+      } else if (schema.additionalProperties === false) {
+        error(joinPath(at, key), 'is not a known field');
+      }
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => issues.push(...validate(item, schema.items, `${at}[${index}]`)));
+  }
+
+  if (schema.if) {
+    const branch = validate(value, schema.if, at).length === 0 ? schema.then : schema.else;
+    if (branch) issues.push(...validate(value, branch, at));
+  }
+  return issues;
+}
+
+/**
+ * Map field paths to the 1-based line they are defined on. Understands
+ * block-style mappings and sequences (including block scalars), which is
+ * all our config files use; flow collections map to their parent's line.
+ *
+ * @returns {Map<string, number>}
+ */
+export function locateKeys(text) {
+  const lines = new Map();
+  const frames = [{indent: -1, path: '', kind: 'key', items: 0}];
+  let blockIndent = null;
+
+  text.split('\n').forEach((raw, index) => {
+    const lineNo = index + 1;
+    const indent = raw.search(/\S/);
+    if (blockIndent !== null) {
+      if (indent === -1 || indent > blockIndent) return;
+      blockIndent = null;
+    }
+    if (indent === -1 || raw[indent] === '#' || /^(---|\.\.\.)\s*$/.test(raw)) return;
+
+    let column = indent;
+    let rest = raw.slice(indent);
+    while (/^-(\s|$)/.test(rest)) {
+      while (frames.at(-1).indent > column ||
+        (frames.at(-1).indent === column && frames.at(-1).kind === 'item')) frames.pop();
+      const parent = frames.at(-1);
+      const itemPath = `${parent.path}[${parent.items++}]`;
+      lines.set(itemPath, lineNo);
+      frames.push({indent: column, path: itemPath, kind: 'item', items: 0});
+      const after = rest.slice(1);
+      const skip = after.search(/\S/);
+      if (skip === -1) return;
+      column += 1 + skip;
+      rest = after.slice(skip);
+    }
+
+    const key = rest.match(/^("[^"]*"|'[^']*'|[^\s#:][^:#]*?)\s*:(\s+|$)(.*)$/);
+    if (!key) return;
+    while (frames.at(-1).indent >= column) frames.pop();
+    const name = key[1].replace(/^(["'])(.*)\1$/, '$2');
+    const keyPath = joinPath(frames.at(-1).path, name);
+    lines.set(keyPath, lineNo);
+    frames.push({indent: column, path: keyPath, kind: 'key', items: 0});
+    if (/^[|>][-+0-9]*\s*(#.*)?$/.test(key[3])) blockIndent = column;
+  });
+  return lines;
+}
+
+/** Line of path, or of its nearest located ancestor. */
+function lineOf(lines, fieldPath) {
+  let current = fieldPath;
+  while (current) {
+    if (lines.has(current)) return lines.get(current);
+    const parent = current.replace(/(\.[^.[\]]+|\[\d+\])$/, '');
+    if (parent === current) break;
+    current = parent;
+  }
+  return 1;
+}
+
+/**
+ * Load and validate one config file. Semantic checks (check) only run when
+ * the file matches its schema, so they can rely on its shape.
+ *
+ * @param {string} file
+ * @param {{schema: object, check?: (cfg: any) => Issue[]}} definition
+ * @returns {Promise<{config: any, issues: Issue[]}>}
+ */
+export async function validateConfigFile(file, {schema, check}) {
+  const text = await fs.readFile(file, 'utf8');
+  let config;
+  try {
+    config = yaml.load(text, {schema: yaml.CORE_SCHEMA});
+  } catch (error) {
+    if (error.name !== 'YAMLException') throw error;
+    return {
+      config: undefined,
+      issues: [{path: '', message: error.reason, severity: 'error', line: (error.mark?.line ?? 0) + 1}],
+    };
+  }
+
+  let issues = validate(config, schema);
+  if (issues.length === 0 && check) issues = check(config);
+  const lines = locateKeys(text);
+  return {config, issues: issues.map((issue) => ({...issue, line: lineOf(lines, issue.path)}))};
+}
+
+/** Format issues as `file:line: path: message`, one per line. */
+export function formatIssues(file, issues, rootDir = process.cwd()) {
+  const name = path.relative(rootDir, file) || file;
+  return issues.map(({path: where, message, severity, line}) =>
+    `${severity === 'error' ? '❌' : '⚠️ '} ${name}:${line}: ${where ? `${where}: ` : ''}${message}`).join('\n');
+}
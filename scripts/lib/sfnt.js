@@ -0,0 +1,388 @@
+/**
+ * The font binaries of the fonts step: WOFF in (the @fontsource sources),
+ * TrueType subsets out as WOFF2.
+ *
+ * Subsetting keeps the TrueType outlines (and any hinting) of the kept
+ * glyphs and drops the layout tables; kerning is carried over as a kern
+ * table, which browsers apply when there is no GPOS. WOFF2 is written with
+ * untransformed tables, so it is a Brotli stream of the plain sfnt tables.
+ */
+import zlib from 'zlib';
+
+export class FontError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FontError';
+  }
+}
+
+/** Tables kept unchanged in a subset; the rest of the source is dropped or rebuilt. */
+const COPIED_TABLES = ['OS/2', 'cvt ', 'fpgm', 'gasp', 'head', 'hhea', 'maxp', 'name', 'prep'];
+
+/** WOFF2 known table tags, by their 6-bit index. */
+const WOFF2_TAGS = [
+  'cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'cvt ', 'fpgm', 'glyf', 'loca', 'prep', 'CFF ',
+  'VORG', 'EBDT', 'EBLC', 'gasp', 'hdmx', 'kern', 'LTSH', 'PCLT', 'VDMX', 'vhea', 'vmtx', 'BASE', 'GDEF', 'GPOS',
+  'GSUB', 'EBSC', 'JSTF', 'MATH', 'CBDT', 'CBLC', 'COLR', 'CPAL', 'SVG ', 'sbix', 'acnt', 'avar', 'bdat', 'bloc',
+  'bsln', 'cvar', 'fdsc', 'feat', 'fmtx', 'fvar', 'gvar', 'hsty', 'just', 'lcar', 'mort', 'morx', 'opbd', 'prop',
+  'trak', 'Zapf', 'Silf', 'Glat', 'Gloc', 'Feat', 'Sill',
+];
+
+// A kern subtable's length is a uint16
+const MAX_KERN_PAIRS = Math.floor((0xFFFF - 14) / 6);
+
+const pad4 = (length) => (length + 3) & ~3;
+const readTag = (buffer, offset) => buffer.toString('latin1', offset, offset + 4);
+
+function checksum(buffer) {
+  const padded = Buffer.concat([buffer, Buffer.alloc(pad4(buffer.length) - buffer.length)]);
+  let sum = 0;
+  for (let offset = 0; offset < padded.length; offset += 4) sum = (sum + padded.readUInt32BE(offset)) >>> 0;
+  return sum;
+}
+
+/** Flavor (sfnt version) and tables of a WOFF 1.0 file. */
+export function decodeWoff(buffer) {
+  if (readTag(buffer, 0) !== 'wOFF') throw new FontError('Not a WOFF file');
+  const tables = new Map();
+  for (let index = 0; index < buffer.readUInt16BE(12); index++) {
+    const entry = 44 + index * 20;
+    const offset = buffer.readUInt32BE(entry + 4);
+    const compLength = buffer.readUInt32BE(entry + 8);
+    const origLength = buffer.readUInt32BE(entry + 12);
+    const data = buffer.subarray(offset, offset + compLength);
+    tables.set(readTag(buffer, entry), compLength < origLength ? zlib.inflateSync(data) : Buffer.from(data));
+  }
+  return {flavor: buffer.readUInt32BE(4), tables};
+}
+
+/** Flavor and tables of an sfnt (TrueType/OpenType) file. */
+export function decodeSfnt(buffer) {
+  const tables = new Map();
+  for (let index = 0; index < buffer.readUInt16BE(4); index++) {
+    const entry = 12 + index * 16;
+    const offset = buffer.readUInt32BE(entry + 8);
+    tables.set(readTag(buffer, entry), buffer.subarray(offset, offset + buffer.readUInt32BE(entry + 12)));
+  }
+  return {flavor: buffer.readUInt32BE(0), tables};
+}
+
+/** sfnt file of the tables, sorted by tag, with table checksums and head.checkSumAdjustment. */
+export function encodeSfnt({flavor, tables}) {
+  const tags = [...tables.keys()].sort();
+  const entrySelector = Math.floor(Math.log2(tags.length));
+  const searchRange = 2 ** entrySelector * 16;
+  const header = Buffer.alloc(12 + tags.length * 16);
+  header.writeUInt32BE(flavor, 0);
+  header.writeUInt16BE(tags.length, 4);
+  header.writeUInt16BE(searchRange, 6);
+  header.writeUInt16BE(entrySelector, 8);
+  header.writeUInt16BE(tags.length * 16 - searchRange, 10);
+
+  const chunks = [header];
+  let offset = header.length;
+  let headOffset = null;
+  tags.forEach((tag, index) => {
+    let data = tables.get(tag);
+    if (tag === 'head') {
+      data = Buffer.from(data);
+      data.writeUInt32BE(0, 8);
+      headOffset = offset;
+    }
+    const entry = 12 + index * 16;
+    header.write(tag, entry, 'latin1');
+    header.writeUInt32BE(checksum(data), entry + 4);
+    header.writeUInt32BE(offset, entry + 8);
+    header.writeUInt32BE(data.length, entry + 12);
+    chunks.push(data, Buffer.alloc(pad4(data.length) - data.length));
+    offset += pad4(data.length);
+  });
+  const font = Buffer.concat(chunks);
+  if (headOffset !== null) font.writeUInt32BE((0xB1B0AFBA - checksum(font)) >>> 0, headOffset + 8);
+  return font;
+}
+
+function uintBase128(value) {
+  const bytes = [value & 0x7F];
+  for (let rest = value >>> 7; rest > 0; rest >>>= 7) bytes.unshift(0x80 | (rest & 0x7F));
+  return bytes;
+}
+
+function readUintBase128(buffer, offset) {
+  let value = 0;
+  for (let index = 0; index < 5; index++) {
+    const byte = buffer[offset + index];
+    value = value * 128 + (byte & 0x7F);
+    if (!(byte & 0x80)) return {value, next: offset + index + 1};
+  }
+  throw new FontError('Invalid UIntBase128 in WOFF2 table directory');
+}
+
+/** WOFF2 table order: sorted by tag, except that loca directly follows glyf. */
+function woff2Order(tags) {
+  const sorted = [...tags].sort().filter((tag) => tag !== 'loca');
+  if (tags.includes('loca')) sorted.splice(sorted.indexOf('glyf') + 1, 0, 'loca');
+  return sorted;
+}
+
+/** WOFF2 file of an sfnt's tables, all with the null transform. */
+export function encodeWoff2({flavor, tables}) {
+  const tags = woff2Order([...tables.keys()]);
+  const directory = [];
+  for (const tag of tags) {
+    const known = WOFF2_TAGS.indexOf(tag);
+    // Transform version 3 is the null transform for glyf and loca, 0 for every other table
+    const version = tag === 'glyf' || tag === 'loca' ? 3 : 0;
+    directory.push((known === -1 ? 63 : known) | (version << 6));
+    if (known === -1) directory.push(...Buffer.from(tag, 'latin1'));
+    directory.push(...uintBase128(tables.get(tag).length));
+  }
+  const data = Buffer.concat(tags.map((tag) => tables.get(tag)));
+  const compressed = zlib.brotliCompressSync(data, {
+    params: {
+      [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_FONT,
+      [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+      [zlib.constants.BROTLI_PARAM_SIZE_HINT]: data.length,
+    },
+  });
+
+  const header = Buffer.alloc(48);
+  const length = pad4(header.length + directory.length + compressed.length);
+  header.write('wOF2', 0, 'latin1');
+  header.writeUInt32BE(flavor, 4);
+  header.writeUInt32BE(length, 8);
+  header.writeUInt16BE(tags.length, 12);
+  header.writeUInt32BE(12 + 16 * tags.length + tags.reduce((sum, tag) => sum + pad4(tables.get(tag).length), 0), 16);
+  header.writeUInt32BE(compressed.length, 20);
+  header.writeUInt16BE(1, 24);
+  return Buffer.concat([header, Buffer.from(directory), compressed], length);
+}
+
+/** Flavor and tables of a WOFF2 file written without table transforms (as encodeWoff2 does). */
+export function decodeWoff2(buffer) {
+  if (readTag(buffer, 0) !== 'wOF2') throw new FontError('Not a WOFF2 file');
+  if (buffer.readUInt32BE(8) !== buffer.length) throw new FontError('WOFF2 length does not match the file size');
+  let offset = 48;
+  const entries = [];
+  for (let index = 0; index < buffer.readUInt16BE(12); index++) {
+    const flags = buffer[offset++];
+    let tag = WOFF2_TAGS[flags & 0x3F];
+    if ((flags & 0x3F) === 63) {
+      tag = readTag(buffer, offset);
+      offset += 4;
+    }
+    const version = flags >> 6;
+    if (version !== ((tag === 'glyf' || tag === 'loca') ? 3 : 0)) throw new FontError(`Transformed ${tag} table is not supported`);
+    const {value, next} = readUintBase128(buffer, offset);
+    entries.push({tag, length: value});
+    offset = next;
+  }
+  const data = zlib.brotliDecompressSync(buffer.subarray(offset, offset + buffer.readUInt32BE(20)));
+  const tables = new Map();
+  let position = 0;
+  for (const {tag, length} of entries) {
+    tables.set(tag, data.subarray(position, position + length));
+    position += length;
+  }
+  if (position !== data.length) throw new FontError('WOFF2 table lengths do not match the font data');
+  return {flavor: buffer.readUInt32BE(4), tables};
+}
+
+/** Glyph data of every glyph of a TrueType font, from its loca and glyf tables. */
+function readGlyphs(tables) {
+  const longOffsets = tables.get('head').readInt16BE(50) === 1;
+  const numGlyphs = tables.get('maxp').readUInt16BE(4);
+  const loca = tables.get('loca');
+  const glyf = tables.get('glyf');
+  const offset = (index) => (longOffsets ? loca.readUInt32BE(index * 4) : loca.readUInt16BE(index * 2) * 2);
+  return Array.from({length: numGlyphs}, (_, index) => glyf.subarray(offset(index), offset(index + 1)));
+}
+
+/** Byte positions of the component glyph ids of a composite glyph. */
+function componentOffsets(glyph) {
+  if (glyph.length === 0 || glyph.readInt16BE(0) >= 0) return [];
+  const offsets = [];
+  let offset = 10;
+  let flags;
+  do {
+    flags = glyph.readUInt16BE(offset);
+    offsets.push(offset + 2);
+    offset += 4 + (flags & 0x0001 ? 4 : 2);
+    if (flags & 0x0008) offset += 2;
+    else if (flags & 0x0040) offset += 4;
+    else if (flags & 0x0080) offset += 8;
+  } while (flags & 0x0020);
+  return offsets;
+}
+
+/** Horizontal metrics of every glyph as [advanceWidth, leftSideBearing]. */
+function readMetrics(tables, numGlyphs) {
+  const hmtx = tables.get('hmtx');
+  const numberOfHMetrics = tables.get('hhea').readUInt16BE(34);
+  return Array.from({length: numGlyphs}, (_, index) => {
+    if (index < numberOfHMetrics) return [hmtx.readUInt16BE(index * 4), hmtx.readInt16BE(index * 4 + 2)];
+    const lsb = hmtx.readInt16BE(numberOfHMetrics * 4 + (index - numberOfHMetrics) * 2);
+    return [hmtx.readUInt16BE((numberOfHMetrics - 1) * 4), lsb];
+  });
+}
+
+/** cmap with a format 4 subtable for the Unicode and Windows Unicode BMP encodings. */
+function buildCmap(mapping) {
+  const segments = [];
+  for (const [codePoint, glyph] of [...mapping].sort(([a], [b]) => a - b)) {
+    const last = segments.at(-1);
+    if (last && codePoint === last.end + 1 && glyph - codePoint === last.delta) last.end = codePoint;
+    else segments.push({start: codePoint, end: codePoint, delta: glyph - codePoint});
+  }
+  segments.push({start: 0xFFFF, end: 0xFFFF, delta: 1});
+
+  const segCount = segments.length;
+  const entrySelector = Math.floor(Math.log2(segCount));
+  const searchRange = 2 ** entrySelector * 2;
+  const subtable = Buffer.alloc(16 + segCount * 8);
+  subtable.writeUInt16BE(4, 0);
+  subtable.writeUInt16BE(subtable.length, 2);
+  subtable.writeUInt16BE(segCount * 2, 6);
+  subtable.writeUInt16BE(searchRange, 8);
+  subtable.writeUInt16BE(entrySelector, 10);
+  subtable.writeUInt16BE(segCount * 2 - searchRange, 12);
+  segments.forEach(({start, end, delta}, index) => {
+    subtable.writeUInt16BE(end, 14 + index * 2);
+    subtable.writeUInt16BE(start, 16 + segCount * 2 + index * 2);
+    subtable.writeUInt16BE((delta + 0x10000) & 0xFFFF, 16 + segCount * 4 + index * 2);
+  });
+
+  const header = Buffer.alloc(20);
+  header.writeUInt16BE(2, 2);
+  header.writeUInt16BE(0, 4);
+  header.writeUInt16BE(3, 6);
+  header.writeUInt32BE(20, 8);
+  header.writeUInt16BE(3, 12);
+  header.writeUInt16BE(1, 14);
+  header.writeUInt32BE(20, 16);
+  return Buffer.concat([header, subtable]);
+}
+
+/** kern table (version 0, one format 0 subtable) of [left, right, value] pairs. */
+function buildKern(pairs) {
+  const kept = pairs.length > MAX_KERN_PAIRS
+    ? [...pairs].sort((a, b) => Math.abs(b[2]) - Math.abs(a[2])).slice(0, MAX_KERN_PAIRS)
+    : pairs;
+  kept.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const entrySelector = Math.floor(Math.log2(Math.max(kept.length, 1)));
+  const searchRange = 2 ** entrySelector * 6;
+  const table = Buffer.alloc(18 + kept.length * 6);
+  table.writeUInt16BE(1, 2);
+  table.writeUInt16BE(14 + kept.length * 6, 6);
+  table.writeUInt16BE(0x0001, 8);
+  table.writeUInt16BE(kept.length, 10);
+  table.writeUInt16BE(searchRange, 12);
+  table.writeUInt16BE(entrySelector, 14);
+  table.writeUInt16BE(Math.max(kept.length * 6 - searchRange, 0), 16);
+  kept.forEach(([left, right, value], index) => {
+    table.writeUInt16BE(left, 18 + index * 6);
+    table.writeUInt16BE(right, 20 + index * 6);
+    table.writeInt16BE(value, 22 + index * 6);
+  });
+  return table;
+}
+
+/**
+ * Subset a TrueType font to the glyphs of the given code points (plus
+ * .notdef and composite components). Throws a FontError listing the code
+ * points the font has no glyph for.
+ *
+ * @param {{flavor: number, tables: Map<string, Buffer>}} font from decodeWoff
+ * @param {Iterable<number>} codePoints
+ * @param {{glyphIndex: (codePoint: number) => number,
+ *   kerning?: (left: number, right: number) => number}} lookup glyph id of
+ *   a code point (0 if missing) and kerning of two glyph ids of the source
+ * @returns {{flavor: number, tables: Map<string, Buffer>}}
+ */
+export function subsetTrueType({flavor, tables}, codePoints, {glyphIndex, kerning}) {
+  if (!tables.has('glyf')) throw new FontError('Only TrueType (glyf) fonts can be subset');
+  const mapping = new Map();
+  const missing = [];
+  for (const codePoint of codePoints) {
+    const glyph = glyphIndex(codePoint);
+    if (glyph) mapping.set(codePoint, glyph);
+    else missing.push(codePoint);
+  }
+  if (missing.length > 0) {
+    const list = missing.map((codePoint) => `U+${codePoint.toString(16).toUpperCase().padStart(4, '0')} "${String.fromCodePoint(codePoint)}"`);
+    throw new FontError(`No glyph for ${list.join(', ')}`);
+  }
+  if ([...mapping.keys()].some((codePoint) => codePoint > 0xFFFF)) {
+    throw new FontError('Code points beyond the BMP are not supported');
+  }
+
+  const glyphs = readGlyphs(tables);
+  const keep = new Set([0, ...mapping.values()]);
+  const pending = [...keep];
+  while (pending.length > 0) {
+    const glyph = glyphs[pending.pop()];
+    for (const offset of componentOffsets(glyph)) {
+      const component = glyph.readUInt16BE(offset);
+      if (!keep.has(component)) {
+        keep.add(component);
+        pending.push(component);
+      }
+    }
+  }
+  const order = [...keep].sort((a, b) => a - b);
+  const newIndex = new Map(order.map((old, index) => [old, index]));
+
+  const glyfChunks = [];
+  const loca = Buffer.alloc((order.length + 1) * 4);
+  let offset = 0;
+  order.forEach((old, index) => {
+    const glyph = Buffer.from(glyphs[old]);
+    for (const position of componentOffsets(glyph)) {
+      glyph.writeUInt16BE(newIndex.get(glyph.readUInt16BE(position)), position);
+    }
+    loca.writeUInt32BE(offset, index * 4);
+    glyfChunks.push(glyph, Buffer.alloc(pad4(glyph.length) - glyph.length));
+    offset += pad4(glyph.length);
+  });
+  loca.writeUInt32BE(offset, order.length * 4);
+
+  const metrics = readMetrics(tables, glyphs.length);
+  const hmtx = Buffer.alloc(order.length * 4);
+  order.forEach((old, index) => {
+    hmtx.writeUInt16BE(metrics[old][0], index * 4);
+    hmtx.writeInt16BE(metrics[old][1], index * 4 + 2);
+  });
+
+  const subset = new Map();
+  for (const tag of COPIED_TABLES) {
+    if (tables.has(tag)) subset.set(tag, Buffer.from(tables.get(tag)));
+  }
+  subset.get('head').writeInt16BE(1, 50);
+  subset.get('maxp').writeUInt16BE(order.length, 4);
+  subset.get('hhea').writeUInt16BE(order.length, 34);
+  const os2 = subset.get('OS/2');
+  if (os2) {
+    os2.writeUInt16BE(Math.min(...mapping.keys()), 64);
+    os2.writeUInt16BE(Math.max(...mapping.keys()), 66);
+  }
+  const post = Buffer.from(tables.get('post').subarray(0, 32));
+  post.writeUInt32BE(0x00030000, 0);
+
+  subset.set('glyf', Buffer.concat(glyfChunks));
+  subset.set('loca', loca);
+  subset.set('hmtx', hmtx);
+  subset.set('cmap', buildCmap(new Map([...mapping].map(([codePoint, old]) => [codePoint, newIndex.get(old)]))));
+  subset.set('post', post);
+
+  if (kerning) {
+    const pairs = [];
+    for (const left of order) {
+      for (const right of order) {
+        const value = kerning(left, right);
+        if (value) pairs.push([newIndex.get(left), newIndex.get(right), value]);
+      }
+    }
+    if (pairs.length > 0) subset.set('kern', buildKern(pairs));
+  }
+  return {flavor, tables: subset};
+}
@@ -0,0 +1,179 @@
+/**
+ * Open Graph / Twitter preview cards (1200x630): an SVG with the text as
+ * opentype.js glyph paths and the photos as data URIs, so sharp renders it
+ * without any system fonts. Used by generate-social-cards.js, which also
+ * points the page's og:image / twitter:image meta tags at the result.
+ */
+import {getAttribute, querySelectorAll, setAttribute, textContent} from './html-transform.js';
+
+export const CARD_WIDTH = 1200;
+export const CARD_HEIGHT = 630;
+
+const MARGIN = 72;
+const AVATAR_SIZE = 300;
+
+/** Split text into lines no wider than maxWidth; the last allowed line ends in an ellipsis if cut. */
+export function wrapText(font, text, fontSize, maxWidth, maxLines = Infinity) {
+  const width = (str) => font.getAdvanceWidth(str, fontSize);
+  const lines = [];
+  let line = '';
+  const words = text.trim().split(/\s+/);
+  for (const word of words) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (!line || width(candidate) <= maxWidth) {
+      line = candidate;
+      continue;
+    }
+    lines.push(line);
+    line = word;
+    if (lines.length === maxLines) {
+      let last = lines.pop();
+      while (last.includes(' ') && width(`${last}…`) > maxWidth) last = last.replace(/\s+\S+$/, '');
+      lines.push(`${last.replace(/[\s,.;:–-]+$/, '')}…`);
+      return lines;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+/** Glyph paths of lines of text, first baseline at y. */
+function textPaths(font, lines, {x, y, fontSize, lineHeight = 1.2, fill}) {
+  return lines.map((line, index) => {
+    const d = font.getPath(line, x, y + index * fontSize * lineHeight, fontSize).toPathData(1);
+    return `<path d="${d}" fill="${fill}"/>`;
+  }).join('\n  ');
+}
+
+function dataUri(image) {
+  return `data:${image.type};base64,${image.data.toString('base64')}`;
+}
+
+function background(colors) {
+  return `<defs>
+    <linearGradient id="bg" x1="0%" y1="0%" x2="100%" y2="100%">
+      <stop offset="0%" stop-color="${colors.background}"/>
+      <stop offset="100%" stop-color="${colors.background_to ?? colors.background}"/>
+    </linearGradient>
+  </defs>
+  <rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="url(#bg)"/>`;
+}
+
+/**
+ * The profile card: avatar in a circle on the left, name and tagline on
+ * the right and the domain at the bottom, on the brand gradient.
+ *
+ * @param {{regular: object, bold: object}} fonts opentype.js fonts
+ * @param {{name: string, tagline: string, domain: string,
+ *   avatar?: {type: string, data: Buffer}}} content avatar must be square
+ * @param {{background: string, background_to?: string, text: string}} colors
+ */
+export function renderProfileCardSvg(fonts, {name, tagline, domain, avatar}, colors) {
+  const avatarX = MARGIN;
+  const avatarY = (CARD_HEIGHT - AVATAR_SIZE) / 2;
+  const textX = avatar ? avatarX + AVATAR_SIZE + MARGIN : MARGIN;
+  const textWidth = CARD_WIDTH - textX - MARGIN;
+
+  const nameLines = wrapText(fonts.bold, name, 76, textWidth, 2);
+  const taglineLines = wrapText(fonts.regular, tagline, 40, textWidth, 3);
+  const nameHeight = nameLines.length * 76 * 1.15;
+  const blockHeight = nameHeight + 24 + taglineLines.length * 40 * 1.3;
+  const top = (CARD_HEIGHT - blockHeight) / 2;
+
+  const avatarSvg = avatar ? `
+  <clipPath id="avatar"><circle cx="${avatarX + AVATAR_SIZE / 2}" cy="${avatarY + AVATAR_SIZE / 2}" r="${AVATAR_SIZE / 2}"/></clipPath>
+  <circle cx="${avatarX + AVATAR_SIZE / 2}" cy="${avatarY + AVATAR_SIZE / 2}" r="${AVATAR_SIZE / 2 + 8}" fill="${colors.text}" fill-opacity="0.85"/>
+  <image x="${avatarX}" y="${avatarY}" width="${AVATAR_SIZE}" height="${AVATAR_SIZE}" clip-path="url(#avatar)" xlink:href="${dataUri(avatar)}"/>` : '';
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}">
+  ${background(colors)}${avatarSvg}
+  ${textPaths(fonts.bold, nameLines, {x: textX, y: top + 76 * 0.8, fontSize: 76, lineHeight: 1.15, fill: colors.text})}
+  ${textPaths(fonts.regular, taglineLines, {x: textX, y: top + nameHeight + 24 + 40 * 0.8, fontSize: 40, lineHeight: 1.3, fill: colors.text})}
+  ${textPaths(fonts.regular, [domain], {x: textX, y: CARD_HEIGHT - MARGIN + 10, fontSize: 30, fill: colors.text})}
+</svg>
+`;
+}
+
+/**
+ * The featured article card: the article image as a cover background,
+ * darkened towards the bottom, with label and title over it and a brand
+ * stripe along the bottom edge.
+ *
+ * @param {{title: string, label: string, image?: {type: string, data: Buffer}}} content
+ *   image must already be cropped to the card size
+ */
+export function renderArticleCardSvg(fonts, {title, label, image}, colors) {
+  const stripe = 16;
+  const titleLines = wrapText(fonts.bold, title, 64, CARD_WIDTH - 2 * MARGIN, 3);
+  const titleTop = CARD_HEIGHT - stripe - MARGIN - (titleLines.length - 1) * 64 * 1.15;
+
+  const backdrop = image
+    ? `<image width="${CARD_WIDTH}" height="${CARD_HEIGHT}" xlink:href="${dataUri(image)}"/>
+  <defs>
+    <linearGradient id="shade" x1="0%" y1="0%" x2="0%" y2="100%">
+      <stop offset="20%" stop-color="#000000" stop-opacity="0"/>
+      <stop offset="100%" stop-color="#000000" stop-opacity="0.8"/>
+    </linearGradient>
+  </defs>
+  <rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="url(#shade)"/>`
+    : background(colors);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}">
+  ${backdrop}
+  ${textPaths(fonts.regular, [label], {x: MARGIN, y: titleTop - 64 - 8, fontSize: 32, fill: '#ffffff'})}
+  ${textPaths(fonts.bold, titleLines, {x: MARGIN, y: titleTop, fontSize: 64, lineHeight: 1.15, fill: '#ffffff'})}
+  <rect y="${CARD_HEIGHT - stripe}" width="${CARD_WIDTH}" height="${stripe}" fill="${colors.background}"/>
+</svg>
+`;
+}
+
+/** The <meta> with property or name key, or undefined. */
+function metaTag(doc, key) {
+  return querySelectorAll(doc, `meta[property="${key}"], meta[name="${key}"]`)[0];
+}
+
+/** Name and tagline from og:title ("Name | Role | Role") of a parsed page. */
+export function profileOf(doc) {
+  const title = metaTag(doc, 'og:title');
+  const [name, ...roles] = (title ? getAttribute(title, 'content') : '').split(' | ').map((part) => part.trim());
+  return {name, tagline: roles.join(' · ')};
+}
+
+/** URL of the widest srcset candidate of an <img>, or its src without a srcset. */
+function widestImage(img) {
+  const candidates = (getAttribute(img, 'srcset') ?? '').split(',')
+    .map((candidate) => candidate.trim().split(/\s+/))
+    .filter(([url, descriptor]) => url && /^\d+w$/.test(descriptor ?? ''))
+    .map(([url, descriptor]) => ({url, width: parseInt(descriptor, 10)}));
+  if (candidates.length === 0) return getAttribute(img, 'src');
+  return candidates.reduce((widest, candidate) => (candidate.width > widest.width ? candidate : widest)).url;
+}
+
+/** Headline and (widest) image URL of the first featured article card, or null without one. */
+export function featuredArticleOf(doc) {
+  const [card] = querySelectorAll(doc, 'article.card--featured');
+  if (!card) return null;
+  const [headline] = querySelectorAll(card, '[itemprop="headline"]');
+  const title = headline ? textContent(headline).trim() : '';
+  const [img] = querySelectorAll(card, 'img');
+  return title ? {title, image: img ? widestImage(img) : null} : null;
+}
+
+/**
+ * Point og:image and twitter:image of a parsed page at image (an absolute
+ * URL) and set its dimensions and type; twitter:card becomes
+ * summary_large_image. A missing <meta> is an HtmlTransformError.
+ */
+export function setSocialImage(doc, {url, width, height, type}) {
+  const values = {
+    'og:image': url,
+    'og:image:width': String(width),
+    'og:image:height': String(height),
+    'og:image:type': type,
+    'twitter:image': url,
+    'twitter:card': 'summary_large_image',
+  };
+  for (const [key, value] of Object.entries(values)) {
+    setAttribute(doc, `meta[property="${key}"], meta[name="${key}"]`, 'content', value);
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * site.webmanifest (W3C Web Application Manifest) built from the metadata
+ * of the built index.html, the favicon icons and the profile cards, plus a
+ * validator for the members this site uses.
+ */
+import {SITE_ORIGIN} from './assets.js';
+import {manifestIcons} from './favicon.js';
+import {getAttribute, parseHtml, querySelectorAll, textContent} from './html-transform.js';
+
+export const WEB_MANIFEST_FILE = 'site.webmanifest';
+
+/**
+ * App shortcuts to profile cards. Shortcut URLs must be within the scope
+ * of the manifest, so each one is a redirect on this site (see .htaccess)
+ * to the profile URL.
+ */
+export const SHORTCUTS = [
+  {profile: 'blog', url: '/blog'},
+  {profile: 'talks', url: '/talks'},
+];
+
+export const CATEGORIES = ['business', 'social'];
+
+const DISPLAY_MODES = ['fullscreen', 'standalone', 'minimal-ui', 'browser'];
+const ICON_PURPOSES = ['any', 'maskable', 'monochrome'];
+const DIRECTIONS = ['ltr', 'rtl', 'auto'];
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Name, description, language and colours from a page: the <title> up to
+ * the first " | ", the meta description, <html lang>, the theme-color for
+ * light mode (or without media) and the --primary-bg custom property.
+ */
+export function siteMetadata(html) {
+  const doc = parseHtml(html);
+  const meta = (name) => querySelectorAll(doc, `meta[name="${name}"]`);
+  const themeColors = meta('theme-color');
+  const themeColor = themeColors.find((tag) => /light/.test(getAttribute(tag, 'media') ?? '')) ??
+    themeColors.find((tag) => !getAttribute(tag, 'media'));
+  const [title] = querySelectorAll(doc, 'title');
+  const [root] = querySelectorAll(doc, 'html');
+  const css = querySelectorAll(doc, 'style').map(textContent).join('\n');
+  return {
+    title: title ? textContent(title).split(' | ')[0].trim() : null,
+    description: meta('description').map((tag) => getAttribute(tag, 'content'))[0] ?? null,
+    lang: root ? getAttribute(root, 'lang') : null,
+    themeColor: themeColor ? getAttribute(themeColor, 'content') : null,
+    backgroundColor: css.match(/--primary-bg:\s*(#[0-9a-f]{3,6})\b/i)?.[1] ?? null,
+  };
+}
+
+/**
+ * The manifest for the site root.
+ *
+ * @param {ReturnType<typeof siteMetadata>} metadata
+ * @param {{shortName: string, profiles: Array<{id: string, title: string, description: string}>}} options
+ */
+export function buildWebManifest(metadata, {shortName, profiles}) {
+  const shortcuts = SHORTCUTS.map(({profile: id, url}) => {
+    const profile = profiles.find((p) => p.id === id);
+    if (!profile) throw new Error(`Shortcut to unknown profile "${id}"`);
+    return {name: profile.title, description: profile.description, url};
+  });
+  return {
+    id: '/',
+    name: metadata.title,
+    short_name: shortName,
+    description: metadata.description,
+    lang: metadata.lang,
+    dir: 'ltr',
+    start_url: '/',
+    scope: '/',
+    display: 'standalone',
+    categories: CATEGORIES,
+    icons: [
+      {src: '/favicon.svg', sizes: 'any', type: 'image/svg+xml'},
+      ...manifestIcons(),
+    ],
+    shortcuts,
+    theme_color: metadata.themeColor,
+    background_color: metadata.backgroundColor,
+  };
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/** URL resolved against the manifest URL, or null when it is not a valid URL. */
+function resolve(url, manifestUrl) {
+  try {
+    return new URL(url, manifestUrl);
+  } catch {
+    return null;
+  }
+}
+
+/** Whether url is within scope (same origin, path prefix), as in the spec. */
+function withinScope(url, scope) {
+  return url.origin === scope.origin && url.pathname.startsWith(scope.pathname);
+}
+
+function checkIcons(icons, at, issues) {
+  if (!Array.isArray(icons)) {
+    issues.push(`${at}: must be an array`);
+    return;
+  }
+  icons.forEach((icon, index) => {
+    const where = `${at}[${index}]`;
+    if (!isNonEmptyString(icon.src)) issues.push(`${where}.src: is required`);
+    if (icon.sizes !== undefined && !/^(?:any|\d+x\d+)(?: (?:any|\d+x\d+))*$/.test(icon.sizes)) {
+      issues.push(`${where}.sizes: must be "any" or WIDTHxHEIGHT values separated by spaces`);
+    }
+    if (icon.type !== undefined && !/^[a-z]+\/[\w.+-]+$/.test(icon.type)) {
+      issues.push(`${where}.type: must be a MIME type`);
+    }
+    if (icon.purpose !== undefined && !String(icon.purpose).split(/\s+/).every((p) => ICON_PURPOSES.includes(p))) {
+      issues.push(`${where}.purpose: must be a space-separated list of ${ICON_PURPOSES.join(', ')}`);
+    }
+  });
+}
+
+/**
+ * Check a manifest against the Web Application Manifest spec: member types
+ * and values, and the URL rules (start_url within scope, id and start_url
+ * same-origin, shortcuts within scope).
+ *
+ * @returns {string[]} issues as "member: message", empty when valid
+ */
+export function validateWebManifest(manifest, manifestUrl = `${SITE_ORIGIN}/${WEB_MANIFEST_FILE}`) {
+  const issues = [];
+  if (!isNonEmptyString(manifest.name) && !isNonEmptyString(manifest.short_name)) {
+    issues.push('name: name or short_name is required');
+  }
+  for (const member of ['name', 'short_name', 'description']) {
+    if (manifest[member] !== undefined && !isNonEmptyString(manifest[member])) {
+      issues.push(`${member}: must be a non-empty string`);
+    }
+  }
+  if (manifest.lang !== undefined && !/^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i.test(manifest.lang)) {
+    issues.push('lang: must be a language tag like "en" or "en-GB"');
+  }
+  if (manifest.dir !== undefined && !DIRECTIONS.includes(manifest.dir)) {
+    issues.push(`dir: must be one of ${DIRECTIONS.join(', ')}`);
+  }
+  if (manifest.display !== undefined && !DISPLAY_MODES.includes(manifest.display)) {
+    issues.push(`display: must be one of ${DISPLAY_MODES.join(', ')}`);
+  }
+  for (const member of ['theme_color', 'background_color']) {
+    if (manifest[member] !== undefined && !HEX_COLOR.test(manifest[member] ?? '')) {
+      issues.push(`${member}: must be a hex colour`);
+    }
+  }
+  if (manifest.categories !== undefined &&
+    !(Array.isArray(manifest.categories) && manifest.categories.every((c) => /^[a-z]+$/.test(c)))) {
+    issues.push('categories: must be an array of lower-case strings');
+  }
+
+  const startUrl = resolve(manifest.start_url ?? '.', manifestUrl);
+  const scope = resolve(manifest.scope ?? '.', startUrl ?? manifestUrl);
+  if (!startUrl || startUrl.origin !== new URL(manifestUrl).origin) {
+    issues.push('start_url: must be a URL of the same origin as the manifest');
+  } else if (scope && !withinScope(startUrl, scope)) {
+    issues.push('start_url: must be within scope');
+  }
+  if (manifest.id !== undefined) {
+    const id = resolve(manifest.id, startUrl ?? manifestUrl);
+    if (!id || (startUrl && id.origin !== startUrl.origin)) issues.push('id: must be same-origin with start_url');
+  }
+
+  if (manifest.icons !== undefined) checkIcons(manifest.icons, 'icons', issues);
+  (manifest.shortcuts ?? []).forEach((shortcut, index) => {
+    const at = `shortcuts[${index}]`;
+    if (!isNonEmptyString(shortcut.name)) issues.push(`${at}.name: is required`);
+    const url = isNonEmptyString(shortcut.url) ? resolve(shortcut.url, manifestUrl) : null;
+    if (!url) {
+      issues.push(`${at}.url: is required`);
+    } else if (scope && !withinScope(url, scope)) {
+      issues.push(`${at}.url: must be within scope, or browsers ignore the shortcut`);
+    }
+    if (shortcut.icons !== undefined) checkIcons(shortcut.icons, `${at}.icons`, issues);
+  });
+  return issues;
+}
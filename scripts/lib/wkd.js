@@ -0,0 +1,68 @@
+/**
+ * OpenPGP Web Key Directory, direct method
+ * (draft-koch-openpgp-webkey-service): keys are served from
+ * https://<domain>/.well-known/openpgpkey/hu/<hash>, where hash is the
+ * z-base-32 encoded SHA-1 of the lower-cased local part of the address.
+ */
+import crypto from 'crypto';
+import {filterUserIds, readPublicKey} from './pgp.js';
+
+export const WKD_DIR = '.well-known/openpgpkey';
+
+const ZBASE32_ALPHABET = 'ybndrfg8ejkmcpqxot1uwisza345h769';
+
+/** z-base-32 encoding (RFC 6189, 5.1.6), without padding. */
+export function zbase32(bytes) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += ZBASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += ZBASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+/** WKD hash of the local part of an address ("Joe.Doe" → "iy9q119eutrkn8s1mk4r39qejnbu3n5q"). */
+export function wkdHash(localPart) {
+  // Only ASCII is lower-cased, as GnuPG does
+  const lower = localPart.replace(/[A-Z]/g, (c) => c.toLowerCase());
+  return zbase32(crypto.createHash('sha1').update(lower, 'utf8').digest());
+}
+
+/** The e-mail address of a user ID like "Name <local@domain>", or null. */
+export function addressOf(userId) {
+  const match = userId.match(/<([^<>\s]+@[^<>\s]+)>/) ?? userId.match(/^\s*([^<>\s]+@[^<>\s]+)\s*$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * WKD files for all user IDs of the given keys under domain. Each file holds
+ * the binary key reduced to the matching user ID; several keys for the same
+ * address are concatenated.
+ *
+ * @param {Array<string|Buffer>} keys armored or binary public keys
+ * @returns {Array<{path: string, address: string, bytes: Buffer}>} paths relative to the site root
+ */
+export function wkdFiles(keys, domain) {
+  const byHash = new Map();
+  for (const key of keys) {
+    for (const userId of readPublicKey(key).userIds) {
+      const address = addressOf(userId);
+      const at = address?.lastIndexOf('@');
+      if (!address || address.slice(at + 1).toLowerCase() !== domain.toLowerCase()) continue;
+
+      const hash = wkdHash(address.slice(0, at));
+      const bytes = filterUserIds(key, (uid) => addressOf(uid)?.toLowerCase() === address.toLowerCase());
+      const entry = byHash.get(hash) ?? {path: `${WKD_DIR}/hu/${hash}`, address: address.toLowerCase(), parts: []};
+      entry.parts.push(bytes);
+      byHash.set(hash, entry);
+    }
+  }
+  return [...byHash.values()].map(({parts, ...entry}) => ({...entry, bytes: Buffer.concat(parts)}));
+}
@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { PageError, listPages, loadPartials, pageUrl, parsePage, renderPage } from './lib/pages.js';
+
+const PAGE = `---
+title: Talks & Q&A <3
+description: Conference talks
+---
+<html><head>{{> head}}</head><body>{{CARDS}}</body></html>
+`;
+
+describe('pageUrl', () => {
+  it('should map index.html files to their directory', () => {
+    expect(pageUrl('index.html')).toBe('https://bmarwell.de/');
+    expect(pageUrl('talks/index.html')).toBe('https://bmarwell.de/talks/');
+    expect(pageUrl('imprint.html')).toBe('https://bmarwell.de/imprint.html');
+  });
+});
+
+describe('parsePage', () => {
+  it('should split front matter and body', () => {
+    const { meta, body } = parsePage(PAGE, 'talks.html');
+    expect(meta).toEqual({ title: 'Talks & Q&A <3', description: 'Conference talks' });
+    expect(body).toMatch(/^<html>/);
+  });
+
+  it('should report missing and invalid front matter with its line', () => {
+    expect(() => parsePage('<html></html>', 'a.html')).toThrow('a.html: missing front matter');
+    expect(() => parsePage('---\ntitle: A\ncanonical: /a\n---\n', 'a.html')).toThrow(PageError);
+    expect(() => parsePage('---\ntitle: A\ncanonical: /a\n---\n', 'a.html'))
+      .toThrow(/a\.html:1: description: is required\n.*a\.html:3: canonical: must be an absolute http\(s\) URL/);
+    expect(() => parsePage('---\ntitle: [\n---\n', 'a.html')).toThrow(PageError);
+  });
+});
+
+describe('renderPage', () => {
+  const partials = new Map([
+    ['head', '<title>{{page.title}}</title>{{> canonical}}'],
+    ['canonical', '<link rel="canonical" href="{{page.canonical}}">'],
+  ]);
+
+  it('should include partials and fill page fields and placeholders', () => {
+    const html = renderPage(parsePage(PAGE, 'talks.html'), {
+      url: 'https://bmarwell.de/talks.html', partials, placeholders: { CARDS: '<p>$&</p>' },
+    });
+    expect(html).toBe('<html><head><title>Talks & Q&amp;A &lt;3</title><link rel="canonical" href="https://bmarwell.de/talks.html">'
+      + '</head><body><p>$&</p></body></html>\n');
+  });
+
+  it('should prefer the canonical URL of the front matter', () => {
+    const page = parsePage('---\ntitle: A\ndescription: B\ncanonical: https://bmarwell.de/\n---\n{{> canonical}}', 'a.html');
+    expect(renderPage(page, { url: 'https://bmarwell.de/a.html', partials })).toBe('<link rel="canonical" href="https://bmarwell.de/">');
+  });
+
+  it('should reject unknown partials, fields and placeholders and include loops', () => {
+    const render = (body, more = new Map()) => () =>
+      renderPage({ meta: { title: 'A', description: 'B' }, body }, { url: 'https://bmarwell.de/', partials: new Map([...partials, ...more]) });
+    expect(render('{{> footer}}')).toThrow('Unknown partial {{> footer}}');
+    expect(render('{{page.author}}')).toThrow('Unknown page field {{page.author}}');
+    expect(render('{{CARDS}}')).toThrow('Unknown placeholder {{CARDS}}');
+    expect(render('{{> loop}}', new Map([['loop', '{{> loop}}']]))).toThrow('Partial {{> loop}} includes itself');
+  });
+});
+
+describe('listPages / loadPartials', () => {
+  let tmpDir;
+
+  beforeAll(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pages-test-'));
+    for (const file of ['index.html', 'talks/index.html', 'robots.txt', 'partials/head.html']) {
+      await fs.mkdir(path.dirname(path.join(tmpDir, file)), { recursive: true });
+      await fs.writeFile(path.join(tmpDir, file), '<meta charset="UTF-8">\n');
+    }
+  });
+
+  afterAll(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should list the pages of a directory tree', async () => {
+    expect(await listPages(tmpDir)).toEqual(['index.html', 'partials/head.html', 'talks/index.html']);
+  });
+
+  it('should load partials by name without the trailing newline', async () => {
+    expect(await loadPartials(path.join(tmpDir, 'partials'))).toEqual(new Map([['head', '<meta charset="UTF-8">']]));
+  });
+});
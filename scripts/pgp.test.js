@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { promises as fs } from 'fs';
+import {
+  crc24, dearmor, formatFingerprint, parsePackets, readPublicKey, sameFingerprint,
+} from './lib/pgp.js';
+
+const SRC_DIR = 'src/main/html';
+
+async function key(name) {
+  return readPublicKey(await fs.readFile(`${SRC_DIR}/${name}`, 'utf8'));
+}
+
+describe('armor and packets', () => {
+  it('should compute CRC-24', () => {
+    expect(crc24(Buffer.alloc(0))).toBe(0xb704ce);
+    // CRC-24/OPENPGP check value from the CRC catalogue
+    expect(crc24(Buffer.from('123456789'))).toBe(0x21cf02);
+  });
+
+  it('should reject a corrupted armor checksum', async () => {
+    const armored = await fs.readFile(`${SRC_DIR}/bmarwell-apache.asc`, 'utf8');
+    expect(() => dearmor(armored.replace(/^=.{4}$/m, '=AAAA'))).toThrow(/checksum/);
+    expect(() => dearmor('no key here')).toThrow(/No ASCII-armored/);
+  });
+
+  it('should parse old- and new-format packet headers', () => {
+    const packets = parsePackets(Buffer.from([
+      0xb4, 0x02, 0x68, 0x69, // old format, tag 13, one-octet length
+      0xcd, 0xc0, 0x00, ...Buffer.alloc(192), // new format, tag 13, two-octet length 192
+    ]));
+    expect(packets.map((p) => [p.tag, p.body.length])).toEqual([[13, 2], [13, 192]]);
+    expect(() => parsePackets(Buffer.from([0xb4, 0x05, 0x00]))).toThrow(/Truncated/);
+  });
+});
+
+describe('readPublicKey', () => {
+  it('should compute the v4 fingerprints of the published keys', async () => {
+    expect((await key('bmarwell-apache.asc')).fingerprint).toBe('1083EA117629CBDBF77FD6060E593F2ED433A5AD');
+    expect((await key('bmarwell-personal.asc')).fingerprint).toBe('331C8E5FF20D3A48C8E181A931605D40DD2A99F4');
+  });
+
+  it('should read user ids, subkeys and expiry dates', async () => {
+    const apache = await key('bmarwell-apache.asc');
+    expect(apache.userIds).toEqual(['Benjamin Marwell <bmarwell@apache.org>']);
+    expect(apache.created.toISOString()).toBe('2020-11-20T12:59:18.000Z');
+    expect(apache.expires.toISOString()).toBe('2027-11-19T14:19:16.000Z');
+
+    const personal = await key('bmarwell-personal.asc');
+    expect(personal.subkeys).toEqual([expect.objectContaining({
+      fingerprint: 'DB015E6B1024D805129C5D64825FDF7EC5B29A57',
+      keyId: '825FDF7EC5B29A57',
+    })]);
+    expect(personal.subkeys[0].expires.toISOString()).toBe('2025-05-15T14:14:59.000Z');
+  });
+
+  it('should ignore third-party certifications for the expiry date', async () => {
+    const packets = parsePackets(dearmor(await fs.readFile(`${SRC_DIR}/bmarwell-apache.asc`, 'utf8')).bytes);
+    const subpacket = (type, data) => [data.length + 1, type, ...data];
+    const uint32 = (value) => [value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+    // v4 positive certification (0x13) by another key, newer than the self-signatures; no signature MPIs
+    const certification = (hashed) => {
+      const unhashed = subpacket(16, Buffer.from('0123456789ABCDEF', 'hex'));
+      const body = [4, 0x13, 1, 8, 0, hashed.length, ...hashed, 0, unhashed.length, ...unhashed, 0, 0];
+      return Buffer.from([0xc2, body.length, ...body]);
+    };
+    const now = subpacket(2, uint32(Math.floor(Date.now() / 1000)));
+    const thirdParty = [certification(now), certification([...now, ...subpacket(9, uint32(86400))])];
+
+    // After the user ID and its self-signature, before the first subkey
+    const subkey = packets.findIndex((packet) => packet.tag === 14);
+    const key = readPublicKey(Buffer.concat([
+      ...packets.slice(0, subkey).map((packet) => packet.raw),
+      ...thirdParty,
+      ...packets.slice(subkey).map((packet) => packet.raw),
+    ]));
+    expect(key.expires.toISOString()).toBe('2027-11-19T14:19:16.000Z');
+  });
+
+  it('should match the fingerprints shown in index.html', async () => {
+    const html = await fs.readFile(`${SRC_DIR}/index.html`, 'utf8');
+    for (const [id, file] of [['apache-pgp-fingerprint', 'bmarwell-apache.asc'], ['personal-pgp-fingerprint', 'bmarwell-personal.asc']]) {
+      const shown = html.match(new RegExp(`<code id="${id}"[^>]*>([^<]*)</code>`))[1];
+      expect(sameFingerprint(shown, (await key(file)).fingerprint), id).toBe(true);
+    }
+  });
+
+  it('should format fingerprints in groups of four', () => {
+    expect(formatFingerprint('1083ea117629cbdbf77fd6060e593f2ed433a5ad'))
+      .toBe('1083 EA11 7629 CBDB F77F D606 0E59 3F2E D433 A5AD');
+  });
+});
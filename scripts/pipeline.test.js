@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { resolveGlobs, runPipeline } from './lib/pipeline.js';
+
+// Logs +name / -name around a short sleep; 'copy' upper-cases in.txt into
+// out/result.txt, 'fail' exits 1
+const STEP_SCRIPT = `import fs from 'fs';
+const [name, mode] = process.argv.slice(2);
+fs.appendFileSync('log.txt', \`+\${name}\\n\`);
+await new Promise((resolve) => setTimeout(resolve, 100));
+if (mode === 'copy') {
+  fs.mkdirSync('out', { recursive: true });
+  fs.writeFileSync('out/result.txt', fs.readFileSync('in.txt', 'utf8').toUpperCase());
+}
+fs.appendFileSync('log.txt', \`-\${name}\\n\`);
+if (mode === 'fail') process.exit(1);
+`;
+
+let rootDir;
+let cacheDir;
+
+const step = (name, options = {}) => ({ name, script: 'step.mjs', args: [name, options.mode ?? ''], ...options });
+const run = (steps, options = {}) => runPipeline(steps, { rootDir, cacheDir, concurrency: 4, env: {}, ...options });
+const statuses = (results) => Object.fromEntries(results.map((result) => [result.name, result.status]));
+const log = async () => (await fs.readFile(path.join(rootDir, 'log.txt'), 'utf8').catch(() => '')).split('\n').filter(Boolean);
+
+/** Most steps running at the same time according to the log. */
+function maxOverlap(lines) {
+  let current = 0;
+  let max = 0;
+  for (const line of lines) {
+    current += line.startsWith('+') ? 1 : -1;
+    max = Math.max(max, current);
+  }
+  return max;
+}
+
+beforeEach(async () => {
+  rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pipeline-'));
+  cacheDir = path.join(rootDir, '.cache');
+  await fs.writeFile(path.join(rootDir, 'step.mjs'), STEP_SCRIPT);
+  await fs.writeFile(path.join(rootDir, 'in.txt'), 'hello');
+  // The runner reports cache hits and failures on the console
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  vi.restoreAllMocks();
+  await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+describe('runPipeline graph', () => {
+  it('should run each step after the steps it depends on', async () => {
+    const results = await run([step('c', { after: ['b'] }), step('b', { after: ['a'] }), step('a')]);
+    expect(statuses(results)).toEqual({ c: 'ran', b: 'ran', a: 'ran' });
+    expect(await log()).toEqual(['+a', '-a', '+b', '-b', '+c', '-c']);
+  });
+
+  it('should reject unknown dependencies and cycles before running anything', async () => {
+    await expect(run([step('a', { after: ['missing'] })])).rejects.toThrow('Step "a" depends on unknown step "missing"');
+    await expect(run([step('a', { after: ['b'] }), step('b', { after: ['a'] })]))
+      .rejects.toThrow('Dependency cycle: a → b → a');
+    expect(await log()).toEqual([]);
+  });
+
+  it('should skip the dependents of a failed step but run independent ones', async () => {
+    const results = await run([
+      step('broken', { mode: 'fail' }),
+      step('child', { after: ['broken'] }),
+      step('grandchild', { after: ['child'] }),
+      step('other'),
+    ]);
+    expect(statuses(results)).toEqual({ broken: 'failed', child: 'skipped', grandchild: 'skipped', other: 'ran' });
+    expect((await log()).filter((line) => line.startsWith('+')).sort()).toEqual(['+broken', '+other']);
+  });
+
+  it('should not run more steps at once than the concurrency limit', async () => {
+    const steps = ['a', 'b', 'c', 'd'].map((name) => step(name, { cache: false }));
+    await run(steps, { concurrency: 1 });
+    expect(maxOverlap(await log())).toBe(1);
+
+    await fs.rm(path.join(rootDir, 'log.txt'));
+    await run(steps, { concurrency: 2 });
+    const lines = await log();
+    expect(lines).toHaveLength(8);
+    expect(maxOverlap(lines)).toBeLessThanOrEqual(2);
+  });
+});
+
+describe('runPipeline cache', () => {
+  const copy = (options = {}) => step('copy', { mode: 'copy', inputs: ['in.txt'], outputs: ['out/**'], ...options });
+  const result = () => fs.readFile(path.join(rootDir, 'out/result.txt'), 'utf8');
+
+  it('should restore the outputs when the inputs are unchanged', async () => {
+    expect(statuses(await run([copy()]))).toEqual({ copy: 'ran' });
+    await fs.rm(path.join(rootDir, 'out'), { recursive: true });
+
+    expect(statuses(await run([copy()]))).toEqual({ copy: 'cached' });
+    expect(await result()).toBe('HELLO');
+    expect(await log()).toEqual(['+copy', '-copy']);
+  });
+
+  it('should run again when an input changes or the cache is forced', async () => {
+    await run([copy()]);
+    await fs.writeFile(path.join(rootDir, 'in.txt'), 'changed');
+    expect(statuses(await run([copy()]))).toEqual({ copy: 'ran' });
+    expect(await result()).toBe('CHANGED');
+
+    expect(statuses(await run([copy()], { force: true }))).toEqual({ copy: 'ran' });
+    expect(statuses(await run([copy({ cache: false })]))).toEqual({ copy: 'ran' });
+  });
+
+  it('should key the cache on the declared environment variables and key()', async () => {
+    const dated = copy({ env: ['BUILD_DATE'] });
+    expect(statuses(await run([dated], { env: { BUILD_DATE: '2024-01-01' } }))).toEqual({ copy: 'ran' });
+    expect(statuses(await run([dated], { env: { BUILD_DATE: '2024-01-01', OTHER: 'x' } }))).toEqual({ copy: 'cached' });
+    expect(statuses(await run([dated], { env: { BUILD_DATE: '2024-01-02' } }))).toEqual({ copy: 'ran' });
+
+    expect(statuses(await run([copy({ key: () => '2025' })]))).toEqual({ copy: 'ran' });
+    expect(statuses(await run([copy({ key: () => '2025' })]))).toEqual({ copy: 'cached' });
+    expect(statuses(await run([copy({ key: () => '2026' })]))).toEqual({ copy: 'ran' });
+  });
+
+  it('should not cache a step whose literal output is missing', async () => {
+    const missing = copy({ outputs: ['out/result.txt', 'out/other.txt'] });
+    expect(statuses(await run([missing]))).toEqual({ copy: 'ran' });
+    expect(statuses(await run([missing]))).toEqual({ copy: 'ran' });
+  });
+});
+
+describe('resolveGlobs', () => {
+  it('should resolve files, directories and brace globs to sorted existing paths', async () => {
+    for (const file of ['dist/a.html', 'dist/fonts/b.woff2', 'dist/fonts/c.woff']) {
+      await fs.mkdir(path.join(rootDir, path.dirname(file)), { recursive: true });
+      await fs.writeFile(path.join(rootDir, file), '');
+    }
+    expect(await resolveGlobs(rootDir, ['dist/**/*.{html,woff2}', 'in.txt', 'missing/**']))
+      .toEqual(['dist/a.html', 'dist/fonts/b.woff2', 'in.txt']);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { CONFIG_FILES } from './lib/config-schemas.js';
+import { validate } from './lib/schema.js';
+import { renderProfileCards, sameAsUrls, tooltipOf } from './lib/profiles.js';
+
+const ICONS_DIR = 'src/main/resources/icons';
+
+const github = {
+  id: 'github',
+  url: 'https://github.com/bmarwell',
+  title: 'GitHub',
+  subtitle: '@bmarwell',
+  description: 'Code & "things"\u00a0here.',
+};
+
+describe('renderProfileCards', () => {
+  it('should render an escaped card with the inlined icon and rel="me"', async () => {
+    const html = await renderProfileCards([github], ICONS_DIR);
+    expect(html).toContain('<a href="https://github.com/bmarwell" id="github" class="card" rel="me"');
+    expect(html).toContain('title="GitHub - Code &amp; &quot;things&quot;&nbsp;here"');
+    expect(html).toContain('<svg viewBox="0 0 24 24" fill="#333" aria-label="GitHub icon">');
+    expect(html).toContain('<p class="card-desc">Code &amp; &quot;things&quot;&nbsp;here.</p>');
+  });
+
+  it('should keep an explicit tooltip and rel', async () => {
+    const html = await renderProfileCards([{ ...github, tooltip: 'Custom', rel: 'me author' }], ICONS_DIR);
+    expect(html).toContain('rel="me author"');
+    expect(html).toContain('title="Custom"');
+    expect(tooltipOf({ title: 'A', description: 'B.' })).toBe('A - B');
+  });
+});
+
+describe('sameAsUrls', () => {
+  const profiles = [github, { ...github, id: 'mb', url: 'https://musicbrainz.org/user/x', same_as: ['https://musicbrainz.org/artist/y'] }];
+
+  it('should list profile URLs followed by their extras', () => {
+    expect(sameAsUrls(profiles)).toEqual([
+      'https://github.com/bmarwell', 'https://musicbrainz.org/user/x', 'https://musicbrainz.org/artist/y',
+    ]);
+  });
+});
+
+describe('profiles.yml schema', () => {
+  const { schema } = CONFIG_FILES.profiles;
+
+  it('should reject duplicate URLs and missing icons', () => {
+    const check = CONFIG_FILES.profiles.check;
+    const issues = check({ profiles: [github, { ...github, id: 'no-such-icon' }] });
+    expect(issues.map((i) => `${i.path}: ${i.message}`)).toEqual([
+      'profiles[1].id: icon icons/no-such-icon.svg not found',
+      'profiles[1].url: https://github.com/bmarwell is already listed at profiles[0].url',
+    ]);
+  });
+
+  it('should require the card fields', () => {
+    expect(validate({ profiles: [{ id: 'x', url: 'https://x' }] }, schema).map((i) => i.path))
+      .toEqual(['profiles[0].title', 'profiles[0].subtitle', 'profiles[0].description']);
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fetchCached, loadAsset } from './lib/remote.js';
+
+const LAST_MODIFIED = 'Wed, 01 May 2024 10:00:00 GMT';
+
+let server;
+let baseUrl;
+let cacheDir;
+let requests;
+
+beforeAll(async () => {
+  // Local stand-in for GitHub / the blog
+  server = http.createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers });
+    switch (req.url) {
+      case '/etag.png':
+        if (req.headers['if-none-match'] === '"v1"') {
+          res.writeHead(304);
+          res.end();
+        } else {
+          res.writeHead(200, { 'Content-Type': 'image/png', ETag: '"v1"' });
+          res.end('etag-body');
+        }
+        break;
+      case '/last-modified.jpg':
+        if (req.headers['if-modified-since'] === LAST_MODIFIED) {
+          res.writeHead(304);
+          res.end();
+        } else {
+          res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Last-Modified': LAST_MODIFIED });
+          res.end('last-modified-body');
+        }
+        break;
+      case '/redirect':
+        res.writeHead(302, { Location: '/etag.png' });
+        res.end();
+        break;
+      default:
+        res.writeHead(404);
+        res.end('not found');
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(async () => {
+  requests = [];
+  cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'remote-cache-'));
+});
+
+afterEach(async () => {
+  await fs.rm(cacheDir, { recursive: true, force: true });
+});
+
+describe('fetchCached', () => {
+  it('should download and then revalidate with ETag', async () => {
+    const first = await fetchCached(`${baseUrl}/etag.png`, { cacheDir, offline: false });
+    expect(first.source).toBe('network');
+    expect(first.body.toString()).toBe('etag-body');
+
+    const second = await fetchCached(`${baseUrl}/etag.png`, { cacheDir, offline: false });
+    expect(second.source).toBe('revalidated');
+    expect(second.body.toString()).toBe('etag-body');
+    expect(requests[1].headers['if-none-match']).toBe('"v1"');
+  });
+
+  it('should revalidate with Last-Modified', async () => {
+    await fetchCached(`${baseUrl}/last-modified.jpg`, { cacheDir, offline: false });
+    const second = await fetchCached(`${baseUrl}/last-modified.jpg`, { cacheDir, offline: false });
+    expect(second.source).toBe('revalidated');
+    expect(requests[1].headers['if-modified-since']).toBe(LAST_MODIFIED);
+  });
+
+  it('should follow redirects and cache under the original URL', async () => {
+    const result = await fetchCached(`${baseUrl}/redirect`, { cacheDir, offline: false });
+    expect(result.body.toString()).toBe('etag-body');
+
+    const offline = await fetchCached(`${baseUrl}/redirect`, { cacheDir, offline: true });
+    expect(offline.body.toString()).toBe('etag-body');
+  });
+
+  it('should fail on 404', async () => {
+    await expect(fetchCached(`${baseUrl}/missing.png`, { cacheDir, offline: false }))
+      .rejects.toMatchObject({ status: 404 });
+  });
+
+  it('should only use the cache when offline', async () => {
+    await fetchCached(`${baseUrl}/etag.png`, { cacheDir, offline: false });
+    requests = [];
+
+    const result = await fetchCached(`${baseUrl}/etag.png`, { cacheDir, offline: true });
+    expect(result.source).toBe('cache');
+    expect(requests).toHaveLength(0);
+  });
+
+  it('should fail offline without a cached copy', async () => {
+    await expect(fetchCached(`${baseUrl}/etag.png`, { cacheDir, offline: true }))
+      .rejects.toThrow(/no cached copy/);
+  });
+
+  it('should fall back to the cache when the network fails', async () => {
+    const flaky = http.createServer((req, res) => res.end('flaky-body'));
+    await new Promise((resolve) => flaky.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${flaky.address().port}/flaky.png`;
+
+    await fetchCached(url, { cacheDir, offline: false });
+    await new Promise((resolve) => flaky.close(resolve));
+
+    const result = await fetchCached(url, { cacheDir, offline: false });
+    expect(result.source).toBe('cache');
+    expect(result.body.toString()).toBe('flaky-body');
+  });
+
+  it('should fall back to the cache on a server error, but not without a cached copy', async () => {
+    let status = 200;
+    const failing = http.createServer((req, res) => {
+      res.writeHead(status);
+      res.end('failing-body');
+    });
+    await new Promise((resolve) => failing.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${failing.address().port}/failing.png`;
+
+    try {
+      await fetchCached(url, { cacheDir, offline: false });
+      for (status of [503, 429]) {
+        const result = await fetchCached(url, { cacheDir, offline: false });
+        expect(result.source).toBe('cache');
+        expect(result.body.toString()).toBe('failing-body');
+      }
+      await expect(fetchCached(`${url}?uncached`, { cacheDir, offline: false }))
+        .rejects.toMatchObject({ name: 'RemoteAssetError', status: 429 });
+    } finally {
+      await new Promise((resolve) => failing.close(resolve));
+    }
+  });
+});
+
+describe('loadAsset', () => {
+  it('should prefer a local override file', async () => {
+    const file = path.join(cacheDir, 'override.jpg');
+    await fs.writeFile(file, 'local-body');
+
+    const result = await loadAsset({ url: `${baseUrl}/missing.png`, file }, { cacheDir });
+    expect(result.body.toString()).toBe('local-body');
+    expect(requests).toHaveLength(0);
+  });
+});
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * Compare two build manifests and show which files grew or shrank.
+ *
+ * Usage: node scripts/report.js [--markdown] [--offline] <base> [<head>]
+ *   base, head  dist-manifest.json files or URLs; head defaults to the
+ *               working tree's dist/dist-manifest.json
+ *   --markdown  Markdown table (e.g. for a pull-request comment) instead
+ *               of a terminal table
+ *   --offline   use the cached copy of a URL instead of fetching it
+ *               (also BUILD_OFFLINE=1)
+ *
+ * Example: bun run report https://bmarwell.de/dist-manifest.json
+ */
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {diffManifests, loadManifest, MANIFEST_FILE, renderMarkdown, renderTable} from './lib/dist-manifest.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_HEAD = path.join(__dirname, '../dist', MANIFEST_FILE);
+
+function describe(source, manifest) {
+  const commit = manifest.commit ? ` @ ${manifest.commit.slice(0, 10)}` : '';
+  return `${source} (${manifest.date}${commit})`;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const markdown = args.includes('--markdown');
+  const [baseSource, headSource = DEFAULT_HEAD] = args.filter((arg) => !arg.startsWith('--'));
+  if (!baseSource) {
+    throw new Error('Usage: report.js [--markdown] [--offline] <base manifest> [<head manifest>]');
+  }
+
+  const [base, head] = await Promise.all([loadManifest(baseSource), loadManifest(headSource)]);
+  const diff = diffManifests(base, head);
+
+  if (markdown) {
+    process.stdout.write(renderMarkdown(diff));
+  } else {
+    console.log(`\n📊 ${describe(baseSource, base)}\n → ${describe(headSource, head)}\n`);
+    process.stdout.write(renderTable(diff));
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Report failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { CONFIG_FILES, FEATURED_ARTICLE_SCHEMA } from './lib/config-schemas.js';
+import { locateKeys, validate, validateConfigFile } from './lib/schema.js';
+
+const featured = CONFIG_FILES.featuredArticle;
+
+let tmpDir;
+
+beforeEach(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'schema-'));
+});
+
+afterEach(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+async function check(yamlText) {
+  const file = path.join(tmpDir, 'featured-article.yml');
+  await fs.writeFile(file, yamlText);
+  const { issues } = await validateConfigFile(file, featured);
+  return issues.map(({ path: field, line, severity, message }) => ({ field, line, severity, message }));
+}
+
+describe('validate', () => {
+  it('should report types, required fields, unknown fields and formats', () => {
+    const schema = {
+      type: 'object',
+      required: ['a', 'b'],
+      additionalProperties: false,
+      properties: { a: { type: 'integer', minimum: 1 }, b: { type: 'string', format: 'url' }, c: { type: 'array', items: { type: 'string', format: 'date' } } },
+    };
+    expect(validate({ a: 0, b: 'ftp://x', c: ['2024-02-30', new Date('2024-02-01')], d: 1 }, schema)).toEqual([
+      { path: 'a', message: 'must be at least 1', severity: 'error' },
+      { path: 'b', message: 'must be an absolute http(s) URL', severity: 'error' },
+      { path: 'c[0]', message: 'must be a date in YYYY-MM-DD format', severity: 'error' },
+      { path: 'd', message: 'is not a known field', severity: 'error' },
+    ]);
+    expect(validate({ a: 'x' }, schema).map((i) => `${i.path}: ${i.message}`))
+      .toEqual(['b: is required', 'a: must be an integer']);
+  });
+
+  it('should check maximum and colour formats', () => {
+    const schema = { type: 'object', properties: { n: { type: 'number', maximum: 1 }, c: { type: 'string', format: 'color' } } };
+    expect(validate({ n: 1, c: '#336699' }, schema)).toEqual([]);
+    expect(validate({ n: 1.5, c: 'blue' }, schema).map((i) => `${i.path}: ${i.message}`))
+      .toEqual(['n: must be at most 1', 'c: must be a hex colour like #336699']);
+  });
+
+  it('should apply if/then/else', () => {
+    const schema = { if: { required: ['x'] }, then: { required: ['y'] }, else: { required: ['z'] } };
+    expect(validate({ x: 1 }, schema).map((i) => i.path)).toEqual(['y']);
+    expect(validate({}, schema).map((i) => i.path)).toEqual(['z']);
+  });
+});
+
+describe('locateKeys', () => {
+  it('should map nested keys and list items to lines', () => {
+    const lines = locateKeys([
+      '# comment',
+      'max_cards: 2',
+      'articles:',
+      '  - title: a',
+      '    abstract: >',
+      '      folded: not a key',
+      '    series:',
+      '      url: x',
+      '- title: compact',
+      '  url: y',
+    ].join('\n'));
+    expect(Object.fromEntries(lines)).toEqual({
+      'max_cards': 2,
+      'articles': 3,
+      'articles[0]': 4,
+      'articles[0].title': 4,
+      'articles[0].abstract': 5,
+      'articles[0].series': 7,
+      'articles[0].series.url': 8,
+      'articles[1]': 9,
+      'articles[1].title': 9,
+      'articles[1].url': 10,
+    });
+  });
+});
+
+describe('featured-article.yml', () => {
+  it('should accept the checked-in config', async () => {
+    const { issues } = await validateConfigFile(featured.file, featured);
+    expect(issues.filter((i) => i.severity === 'error')).toEqual([]);
+  });
+
+  it('should accept the single-article format', () => {
+    expect(validate({
+      enabled: false, title: 't', url: 'https://blog.bmarwell.de/x.html', abstract: 'a', image_url: 'https://x/y.jpg',
+    }, FEATURED_ARTICLE_SCHEMA)).toEqual([]);
+  });
+
+  it('should report field errors with their line', async () => {
+    expect(await check([
+      'articles:',
+      '  - title: "Ok"',
+      '    url: "https://blog.bmarwell.de/2024/05/23/post.html"',
+      '    abstract: Text',
+      '    image_url: "blog.bmarwell.de/image.jpg"',
+      '    date_published: 2024-13-01',
+      '  - title: "Missing fields"',
+      '    subtitle: "typo"',
+    ].join('\n'))).toEqual([
+      { field: 'articles[0].image_url', line: 5, severity: 'error', message: 'must be an absolute http(s) URL' },
+      { field: 'articles[0].date_published', line: 6, severity: 'error', message: 'must be a date in YYYY-MM-DD format' },
+      { field: 'articles[1].subtitle', line: 8, severity: 'error', message: 'is not a known field' },
+      { field: 'articles[1].url', line: 7, severity: 'error', message: 'is required' },
+      { field: 'articles[1].abstract', line: 7, severity: 'error', message: 'is required' },
+      { field: 'articles[1].image_url', line: 7, severity: 'error', message: 'is required' },
+    ]);
+  });
+
+  it('should only require card fields without a feed', async () => {
+    expect(await check('articles:\n  - feed:\n      url: "https://blog.bmarwell.de/feed.xml"\n')).toEqual([]);
+    expect(await check('articles:\n  - feed:\n      tag: maven\n')).toEqual([
+      { field: 'articles[0].feed.file', line: 2, severity: 'error', message: 'is required' },
+    ]);
+  });
+
+  it('should warn when date_published disagrees with the URL', async () => {
+    expect(await check([
+      'title: "Post"',
+      'url: "https://blog.bmarwell.de/2024/05/23/post.html"',
+      'abstract: Text',
+      'image_url: "https://blog.bmarwell.de/image.jpg"',
+      'date_published: "2024-05-24"',
+    ].join('\n'))).toEqual([{
+      field: 'date_published', line: 5, severity: 'warning', message: '2024-05-24 disagrees with 2024-05-23 parsed from the URL',
+    }]);
+  });
+
+  it('should report YAML syntax errors with their line', async () => {
+    const [issue] = await check('articles:\n  - title: "unterminated\n');
+    expect(issue).toMatchObject({ field: '', severity: 'error' });
+    expect(issue.line).toBeGreaterThan(1);
+  });
+});
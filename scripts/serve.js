@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+/**
+ * Serve dist/ locally with the production .htaccess rules applied
+ * (pre-compressed variants incl. zstd, redirects, cache headers).
+ *
+ * Usage: node scripts/serve.js [port]
+ */
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {startServer} from './lib/htaccess-server.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DIST_DIR = path.join(__dirname, '../dist');
+const PORT = parseInt(process.argv[2] ?? process.env.PORT ?? '8080', 10);
+
+startServer({root: DIST_DIR, port: PORT})
+  .then(({url}) => {
+    console.log(`\n🌐 Serving ${DIST_DIR} at ${url} (emulating .htaccess)\n`);
+  })
+  .catch((error) => {
+    console.error('❌ Server failed to start:', error.message);
+    process.exit(1);
+  });
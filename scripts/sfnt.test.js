@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { promises as fs } from 'fs';
+import opentype from 'opentype.js';
+import { FontError, decodeWoff, decodeWoff2, encodeSfnt, encodeWoff2, subsetTrueType } from './lib/sfnt.js';
+
+const SOURCE = 'node_modules/@fontsource/roboto/files/roboto-latin-400-normal.woff';
+
+const parse = (buffer) => opentype.parse(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+const codePoints = (text) => [...text].map((char) => char.codePointAt(0));
+
+let woff;
+let source;
+let lookup;
+
+beforeAll(async () => {
+  woff = await fs.readFile(SOURCE);
+  source = parse(woff);
+  const lookups = source.position.getKerningTables('latn');
+  lookup = {
+    glyphIndex: (codePoint) => source.charToGlyphIndex(String.fromCodePoint(codePoint)),
+    kerning: (left, right) => lookups.reduce((sum, table) => sum + source.position.getKerningValue([table], left, right), 0),
+  };
+});
+
+describe('subsetTrueType', () => {
+  it('should keep the outlines, metrics and kerning of the requested characters', () => {
+    const font = parse(encodeSfnt(subsetTrueType(decodeWoff(woff), codePoints('AVTo ©'), lookup)));
+    expect(font.numGlyphs).toBe(7);
+    for (const char of 'AVTo ©') {
+      const glyph = font.charToGlyph(char);
+      expect(glyph.index, char).toBeGreaterThan(0);
+      expect(glyph.advanceWidth).toBe(source.charToGlyph(char).advanceWidth);
+      expect(glyph.getPath(0, 0, 72).toPathData()).toBe(source.charToGlyph(char).getPath(0, 0, 72).toPathData());
+    }
+    const kerning = (left, right) => font.getKerningValue(font.charToGlyph(left), font.charToGlyph(right));
+    expect(kerning('A', 'V')).toBe(lookup.kerning(source.charToGlyphIndex('A'), source.charToGlyphIndex('V')));
+    expect(kerning('A', 'V')).toBeLessThan(0);
+    expect(font.charToGlyphIndex('B')).toBe(0);
+  });
+
+  it('should name the characters the font has no glyph for', () => {
+    expect(() => subsetTrueType(decodeWoff(woff), codePoints('a→'), lookup)).toThrow(FontError);
+    expect(() => subsetTrueType(decodeWoff(woff), codePoints('a→'), lookup)).toThrow('U+2192 "→"');
+  });
+});
+
+describe('sfnt and WOFF2 encoding', () => {
+  it('should set head.checkSumAdjustment so the file sums to the magic number', () => {
+    const sfnt = encodeSfnt(decodeWoff(woff));
+    let sum = 0;
+    for (let offset = 0; offset < sfnt.length; offset += 4) sum = (sum + sfnt.readUInt32BE(offset)) >>> 0;
+    expect(sum).toBe(0xB1B0AFBA);
+  });
+
+  it('should read back the tables it wrote', () => {
+    const font = subsetTrueType(decodeWoff(woff), codePoints('Hello'), lookup);
+    const woff2 = encodeWoff2(font);
+    expect(woff2.toString('latin1', 0, 4)).toBe('wOF2');
+    expect(woff2.length % 4).toBe(0);
+    const decoded = decodeWoff2(woff2);
+    expect(decoded.flavor).toBe(font.flavor);
+    expect([...decoded.tables.keys()].sort()).toEqual([...font.tables.keys()].sort());
+    for (const [tag, data] of font.tables) expect(decoded.tables.get(tag).equals(data), tag).toBe(true);
+  });
+
+  it('should reject other files and transformed tables', async () => {
+    expect(() => decodeWoff2(woff)).toThrow('Not a WOFF2 file');
+    const fontsource = await fs.readFile(SOURCE.replace(/\.woff$/, '.woff2'));
+    expect(() => decodeWoff2(fontsource)).toThrow('Transformed glyf table is not supported');
+  });
+});
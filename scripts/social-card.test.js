@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import opentype from 'opentype.js';
+import sharp from 'sharp';
+import {
+  CARD_HEIGHT, CARD_WIDTH, featuredArticleOf, profileOf, renderArticleCardSvg, renderProfileCardSvg, setSocialImage,
+  wrapText,
+} from './lib/social-card.js';
+import { parseHtml, serializeHtml } from './lib/html-transform.js';
+
+const FONTS_DIR = 'node_modules/@fontsource/roboto/files';
+const COLORS = { background: '#336699', background_to: '#4477aa', text: '#ffffff' };
+
+let fonts;
+
+beforeAll(async () => {
+  fonts = {
+    regular: await opentype.load(`${FONTS_DIR}/roboto-latin-400-normal.woff`),
+    bold: await opentype.load(`${FONTS_DIR}/roboto-latin-700-normal.woff`),
+  };
+});
+
+describe('wrapText', () => {
+  it('should break lines at the maximum width', () => {
+    const lines = wrapText(fonts.regular, 'Apache Maven PMC · DevSecOps Engineer · Java Expert', 40, 600);
+    expect(lines.length).toBeGreaterThan(1);
+    expect(lines.join(' ')).toBe('Apache Maven PMC · DevSecOps Engineer · Java Expert');
+    for (const line of lines) {
+      expect(fonts.regular.getAdvanceWidth(line, 40)).toBeLessThanOrEqual(600);
+    }
+  });
+
+  it('should end the last allowed line with an ellipsis', () => {
+    const lines = wrapText(fonts.bold, 'one two three four five six seven eight nine ten', 64, 300, 2);
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toMatch(/…$/);
+    expect(fonts.bold.getAdvanceWidth(lines[1], 64)).toBeLessThanOrEqual(300);
+  });
+});
+
+describe('card rendering', () => {
+  it('should render both cards at 1200x630', async () => {
+    const avatar = { type: 'image/png', data: await sharp({ create: { width: 300, height: 300, channels: 3, background: '#ff0000' } }).png().toBuffer() };
+    const profile = renderProfileCardSvg(fonts, { name: 'Jane Doe', tagline: 'Engineer', domain: 'example.com', avatar }, COLORS);
+    const article = renderArticleCardSvg(fonts, { title: 'A title', label: 'From the Blog' }, COLORS);
+
+    for (const svg of [profile, article]) {
+      expect(svg).not.toContain('<text');
+      const { width, height } = await sharp(Buffer.from(svg)).metadata();
+      expect([width, height]).toEqual([CARD_WIDTH, CARD_HEIGHT]);
+    }
+    expect(profile).toContain('xlink:href="data:image/png;base64,');
+
+    // The avatar is drawn inside its circle
+    const { data, info } = await sharp(Buffer.from(profile)).raw().toBuffer({ resolveWithObject: true });
+    const at = (x, y) => [...data.subarray((y * info.width + x) * info.channels, (y * info.width + x) * info.channels + 3)];
+    expect(at(72 + 150, 315)).toEqual([255, 0, 0]);
+  });
+});
+
+describe('page metadata', () => {
+  const html = () => parseHtml('<meta property="og:title" content="Jane Doe | Maintainer | Speaker">'
+    + '<meta property="og:image" content="https://example.com/avatar.jpg"><meta property="og:image:width" content="460">'
+    + '<meta property="og:image:height" content="460"><meta property="og:image:type" content="image/png">'
+    + '<meta name="twitter:card" content="summary"><meta name="twitter:image" content="https://example.com/avatar.jpg">'
+    + '<article class="card card--featured" itemscope><img src="/blog/featured-article.jpg" alt="">'
+    + '<span class="card-title" itemprop="headline">Tips &amp; tricks</span></article>');
+
+  it('should read the profile and the featured article', () => {
+    expect(profileOf(html())).toEqual({ name: 'Jane Doe', tagline: 'Maintainer · Speaker' });
+    expect(featuredArticleOf(html())).toEqual({ title: 'Tips & tricks', image: '/blog/featured-article.jpg' });
+    expect(featuredArticleOf(parseHtml('<main></main>'))).toBeNull();
+  });
+
+  it('should find the featured article whatever the order of classes and attributes', () => {
+    const minified = parseHtml('<article itemscope class="card--featured card"><img alt="" src=/blog/b.jpg>'
+      + '<h3 itemprop=headline class=card-title>B</h3></article>');
+    expect(featuredArticleOf(minified)).toEqual({ title: 'B', image: '/blog/b.jpg' });
+  });
+
+  it('should take the widest srcset candidate of the featured image', () => {
+    const responsive = '<article class="card card--featured"><img src="/blog/a-800w.jpg" '
+      + 'srcset="/blog/a-400w.jpg 400w, /blog/a-1200w.jpg 1200w, /blog/a-800w.jpg 800w" alt="">'
+      + '<span itemprop="headline">A</span></article>';
+    expect(featuredArticleOf(parseHtml(responsive)).image).toBe('/blog/a-1200w.jpg');
+  });
+
+  it('should point the image meta tags at the card', () => {
+    const doc = html();
+    setSocialImage(doc, { url: 'https://example.com/social/profile.jpg', width: 1200, height: 630, type: 'image/jpeg' });
+    const updated = serializeHtml(doc);
+    expect(updated).toContain('<meta property="og:image" content="https://example.com/social/profile.jpg">');
+    expect(updated).toContain('<meta property="og:image:width" content="1200">');
+    expect(updated).toContain('<meta property="og:image:height" content="630">');
+    expect(updated).toContain('<meta property="og:image:type" content="image/jpeg">');
+    expect(updated).toContain('<meta name="twitter:card" content="summary_large_image">');
+    expect(updated).toContain('<meta name="twitter:image" content="https://example.com/social/profile.jpg">');
+    expect(() => setSocialImage(parseHtml('<title>x</title>'), { url: 'x', width: 1, height: 1, type: 'image/jpeg' }))
+      .toThrow('No element matches "meta[property="og:image"], meta[name="og:image"]"');
+  });
+});
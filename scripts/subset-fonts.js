@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * Subset the Roboto faces of the built pages to the characters the pages
+ * render with them.
+ *
+ * For each @font-face of the pages' inline stylesheets, writes one
+ * dist/fonts/roboto-subset-<weight>-<style>.woff2 for all pages and points
+ * the face's src and unicode-range at it; faces without text are removed.
+ * Each page preloads the faces its header uses. Build fails if a rendered
+ * character is missing from its subset.
+ */
+import {promises as fs} from 'fs';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import opentype from 'opentype.js';
+import {walkFiles} from './lib/files.js';
+import {formatFontFace, parseCss, renderedText, resolveWeight, unicodeRange} from './lib/fonts.js';
+import {
+  HtmlTransformError, insertBefore, parseHtml, querySelectorAll, serializeHtml, setText, textContent,
+} from './lib/html-transform.js';
+import {FontError, decodeWoff, decodeWoff2, encodeSfnt, encodeWoff2, subsetTrueType} from './lib/sfnt.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FONT_SOURCE = path.join(__dirname, '../node_modules/@fontsource/roboto/files');
+const DIST_DIR = path.join(__dirname, '../dist');
+const FONT_DEST = path.join(DIST_DIR, 'fonts');
+const FAMILY = 'Roboto';
+// Text rendered on first paint; its faces are preloaded
+const ABOVE_THE_FOLD = 'header';
+
+// The WOFF (not WOFF2) sources, which opentype.js and decodeWoff read
+const sourceFile = (weight, style) => path.join(FONT_SOURCE, `roboto-latin-${weight}-${style}.woff`);
+const subsetName = (weight, style) => `roboto-subset-${weight}-${style}.woff2`;
+const faceKey = ({weight, style}) => `${weight}-${style}`;
+const formatCodePoints = (codePoints) => [...codePoints]
+  .map((codePoint) => `U+${codePoint.toString(16).toUpperCase().padStart(4, '0')} "${String.fromCodePoint(codePoint)}"`)
+  .join(', ');
+
+/** Subset WOFF2 of the source face with the glyphs (and kerning) for codePoints. */
+async function subsetFace(weight, style, codePoints) {
+  const buffer = await fs.readFile(sourceFile(weight, style));
+  const source = opentype.parse(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+  const lookups = source.position.getKerningTables('latn');
+  const subset = subsetTrueType(decodeWoff(buffer), codePoints, {
+    glyphIndex: (codePoint) => source.charToGlyphIndex(String.fromCodePoint(codePoint)),
+    kerning: (left, right) => lookups.reduce((sum, lookup) => sum + source.position.getKerningValue([lookup], left, right), 0),
+  });
+  return encodeWoff2(subset);
+}
+
+/** Read the written WOFF2 back and fail on code points it has no glyph for. */
+function verifySubset(label, woff2, codePoints) {
+  const sfnt = encodeSfnt(decodeWoff2(woff2));
+  const font = opentype.parse(sfnt.buffer.slice(sfnt.byteOffset, sfnt.byteOffset + sfnt.byteLength));
+  const missing = [...codePoints].filter((codePoint) => font.charToGlyphIndex(String.fromCodePoint(codePoint)) === 0);
+  if (missing.length > 0) {
+    throw new FontError(`${label}: characters outside the subset: ${formatCodePoints(missing)}`);
+  }
+}
+
+/** A built page with its stylesheet and @font-face rules; null for pages without a <style>. */
+async function readPage(file) {
+  const doc = parseHtml(await fs.readFile(file, 'utf8'));
+  const styles = querySelectorAll(doc, 'style');
+  if (styles.length === 0) return null;
+  if (styles.length > 1) {
+    throw new HtmlTransformError(`${path.relative(DIST_DIR, file)}: expected one <style>, found ${styles.length}`);
+  }
+  const css = textContent(styles[0]);
+  const faces = parseCss(css).fontFaces.map((face) => ({
+    ...face,
+    family: (face.declarations.get('font-family') ?? '').replace(/^(["'])(.*)\1$/, '$2'),
+    weight: resolveWeight(face.declarations.get('font-weight') ?? 'normal'),
+    style: face.declarations.get('font-style') ?? 'normal',
+  }));
+  const other = faces.find((face) => face.family !== FAMILY);
+  if (other) throw new FontError(`No source font for @font-face "${other.family}"`);
+  return {file, doc, css, faces};
+}
+
+/** Point each face of a page at its subset (or drop it) and preload the faces of its header. */
+function rewritePage({doc, css, faces}, subsets) {
+  const aboveTheFold = renderedText(doc, css, faces.map((face) => face.weight), {within: ABOVE_THE_FOLD});
+  let rewritten = css;
+  const preloads = [];
+  // Last face first, so the positions of the others stay valid
+  for (const face of [...faces].sort((a, b) => b.start - a.start)) {
+    const subset = subsets.get(faceKey(face));
+    let block = '';
+    if (subset) {
+      const declarations = new Map(face.declarations);
+      declarations.set('src', `url('${subset.url}') format('woff2')`);
+      declarations.set('unicode-range', unicodeRange(subset.codePoints));
+      block = formatFontFace(declarations);
+      if (aboveTheFold.get(face.weight).size > 0) preloads.unshift(subset.url);
+    }
+    rewritten = rewritten.slice(0, face.start) + block + rewritten.slice(face.end);
+  }
+
+  setText(doc, 'style', rewritten);
+  for (const href of preloads) {
+    insertBefore(doc, 'style', `<link rel="preload" href="${href}" as="font" type="font/woff2" crossorigin>`);
+  }
+  return preloads;
+}
+
+async function main() {
+  console.log('\n🔤 Subsetting fonts to the page text...');
+  const files = (await walkFiles(DIST_DIR)).filter((file) => file.endsWith('.html'));
+  const pages = (await Promise.all(files.map((file) => readPage(path.join(DIST_DIR, file))))).filter(Boolean);
+
+  // One subset per face, with the characters of every page
+  const faces = new Map();
+  for (const page of pages) {
+    const text = renderedText(page.doc, page.css, page.faces.map((face) => face.weight));
+    for (const face of page.faces) {
+      const entry = faces.get(faceKey(face)) ?? {face, codePoints: new Set()};
+      text.get(face.weight).forEach((codePoint) => entry.codePoints.add(codePoint));
+      faces.set(faceKey(face), entry);
+    }
+  }
+
+  await fs.rm(FONT_DEST, {recursive: true, force: true});
+  await fs.mkdir(FONT_DEST, {recursive: true});
+  const subsets = new Map();
+  for (const [key, {face, codePoints}] of faces) {
+    const label = `${face.family} ${face.weight} ${face.style}`;
+    if (codePoints.size === 0) {
+      console.log(`ℹ️  ${label}: no text, @font-face removed`);
+      continue;
+    }
+    const woff2 = await subsetFace(face.weight, face.style, codePoints);
+    verifySubset(label, woff2, codePoints);
+    const name = subsetName(face.weight, face.style);
+    await fs.writeFile(path.join(FONT_DEST, name), woff2);
+    subsets.set(key, {url: `/fonts/${name}`, codePoints});
+    console.log(`✓ ${name} - ${codePoints.size} characters, ${woff2.length} bytes`);
+  }
+
+  for (const page of pages) {
+    const preloads = rewritePage(page, subsets);
+    await fs.writeFile(page.file, serializeHtml(page.doc));
+    const name = path.relative(DIST_DIR, page.file);
+    console.log(`✓ ${name}${preloads.length > 0 ? `, preloading ${preloads.join(', ')}` : ''}`);
+  }
+  console.log('\n✅ Fonts ready!\n');
+}
+
+main().catch((error) => {
+  console.error('❌ Font subsetting failed:', error.message);
+  if (error.code === 'ENOENT') console.error('   Make sure @fontsource/roboto is installed: bun install');
+  process.exit(1);
+});
@@ -1,23 +1,57 @@
 import { describe, it, expect, beforeAll, afterAll } from 'vitest';
-import { spawn } from 'child_process';
-import { setTimeout } from 'timers/promises';
+import { promises as fs } from 'fs';
+import crypto from 'crypto';
+import http from 'http';
+import path from 'path';
+import yaml from 'js-yaml';
+import opentype from 'opentype.js';
+import sharp from 'sharp';
+import { STABLE } from './lib/assets.js';
+import { checkBudgets } from './lib/budgets.js';
+import { loadConfig } from './lib/config-schemas.js';
+import { hashSource, inlineBlocks } from './lib/csp.js';
+import { matchesAny, walkFiles } from './lib/files.js';
+import { parseCss, renderedText, resolveWeight } from './lib/fonts.js';
+import { startServer } from './lib/htaccess-server.js';
+import { getAttribute, parseHtml, querySelectorAll, textContent } from './lib/html-transform.js';
+import { listPages, pageUrl, parsePage } from './lib/pages.js';
+import { decodeWoff2, encodeSfnt } from './lib/sfnt.js';
+import { validateWebManifest } from './lib/webmanifest.js';
 
-const BASE_URL = 'http://localhost:8080';
-let serverProcess;
+let BASE_URL;
+let server;
 
 beforeAll(async () => {
-  serverProcess = spawn('bunx', ['http-server', 'dist', '-p', '8080', '-c-1', '--brotli', '--gzip'], {
-    stdio: 'ignore'
-  });
-  await setTimeout(2000);
+  server = await startServer({ root: 'dist' });
+  BASE_URL = server.url;
 });
 
-afterAll(() => {
-  if (serverProcess) {
-    serverProcess.kill();
+afterAll(async () => {
+  if (server) {
+    await server.close();
   }
 });
 
+/** Raw request without fetch's transparent decompression and forbidden-header rules. */
+function request(path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get(`${BASE_URL}${path}`, { headers }, (response) => {
+      response.resume();
+      response.on('end', () => resolve(response));
+    }).on('error', reject);
+  });
+}
+
+/** URL path of a fingerprinted asset: '/fonts/a.woff2' → '/fonts/a.1a2b3c4d.woff2'. */
+async function hashed(file) {
+  const dir = path.posix.dirname(file);
+  const ext = path.posix.extname(file);
+  const pattern = new RegExp(`^${path.posix.basename(file, ext)}\\.[0-9a-f]{8}\\${ext}$`);
+  const name = (await fs.readdir(`dist${dir}`)).find((entry) => pattern.test(entry));
+  if (!name) throw new Error(`No fingerprinted ${file} in dist/`);
+  return path.posix.join(dir, name);
+}
+
 describe('Content-Type Headers', () => {
   it('should serve HTML with correct content-type', async () => {
     const response = await fetch(`${BASE_URL}/`);
@@ -30,27 +64,58 @@ describe('Content-Type Headers', () => {
   });
 
   it('should serve WebP images with correct content-type', async () => {
-    const response = await fetch(`${BASE_URL}/avatar-460w.webp`);
+    const response = await fetch(`${BASE_URL}${await hashed('/avatar-460w.webp')}`);
     expect(response.headers.get('content-type')).toMatch(/image\/webp/);
   });
 
+  it('should serve AVIF images with correct content-type', async () => {
+    // AVIF is only kept where it beats WebP, so there may be none
+    const avifs = (await walkFiles('dist')).filter((file) => file.endsWith('.avif'));
+    if (avifs.length === 0) {
+      const html = await fs.readFile('dist/index.html', 'utf8');
+      expect(querySelectorAll(parseHtml(html), 'source[type="image/avif"]')).toEqual([]);
+    }
+    for (const file of avifs) {
+      const response = await fetch(`${BASE_URL}/${file}`);
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-type')).toMatch(/image\/avif/);
+      expect(response.headers.get('expires')).toBeTruthy();
+    }
+  });
+
   it('should serve JPEG images with correct content-type', async () => {
-    const response = await fetch(`${BASE_URL}/avatar-460w.jpg`);
+    const response = await fetch(`${BASE_URL}${await hashed('/avatar-460w.jpg')}`);
     expect(response.headers.get('content-type')).toMatch(/image\/jpeg/);
   });
 
   it('should serve PNG favicons with correct content-type', async () => {
-    const response = await fetch(`${BASE_URL}/favicon-32x32.png`);
+    const response = await fetch(`${BASE_URL}${await hashed('/favicon-32x32.png')}`);
     expect(response.headers.get('content-type')).toMatch(/image\/png/);
   });
 
   it('should serve SVG favicon with correct content-type', async () => {
-    const response = await fetch(`${BASE_URL}/favicon.svg`);
+    const response = await fetch(`${BASE_URL}${await hashed('/favicon.svg')}`);
     expect(response.headers.get('content-type')).toMatch(/image\/svg\+xml/);
   });
 
+  it('should let SVG images use their inline dark-mode style', async () => {
+    const response = await fetch(`${BASE_URL}${await hashed('/favicon.svg')}`);
+    expect(await response.text()).toContain('prefers-color-scheme:dark');
+    expect(response.headers.get('content-security-policy')).toBe("default-src 'none'; style-src 'unsafe-inline'");
+  });
+
+  it('should serve favicon.ico as an ICO container with 16, 32 and 48 px images', async () => {
+    const response = await fetch(`${BASE_URL}/favicon.ico`);
+    expect(response.headers.get('content-type')).toMatch(/image\/x-icon/);
+    const ico = Buffer.from(await response.arrayBuffer());
+    expect(ico.readUInt16LE(0)).toBe(0);
+    expect(ico.readUInt16LE(2)).toBe(1);
+    const sizes = Array.from({ length: ico.readUInt16LE(4) }, (_, index) => ico[6 + 16 * index]);
+    expect(sizes).toEqual([16, 32, 48]);
+  });
+
   it('should serve WOFF2 fonts with correct content-type', async () => {
-    const response = await fetch(`${BASE_URL}/fonts/roboto-latin-400-normal.woff2`);
+    const response = await fetch(`${BASE_URL}${await hashed('/fonts/roboto-subset-400-normal.woff2')}`);
     expect(response.headers.get('content-type')).toMatch(/font\/woff2|application\/font-woff2/);
   });
 });
@@ -64,8 +129,17 @@ describe('Compression', () => {
     expect(['br', 'gzip']).toContain(encoding);
   });
 
+  it('should serve compressed sitemap and manifest when requested', async () => {
+    for (const file of ['sitemap.xml', 'site.webmanifest']) {
+      const response = await fetch(`${BASE_URL}/${file}`, {
+        headers: { 'Accept-Encoding': 'gzip' }
+      });
+      expect(response.headers.get('content-encoding')).toBe('gzip');
+    }
+  });
+
   it('should not double-compress already compressed fonts', async () => {
-    const response = await fetch(`${BASE_URL}/fonts/roboto-latin-400-normal.woff2`);
+    const response = await fetch(`${BASE_URL}${await hashed('/fonts/roboto-subset-400-normal.woff2')}`);
     expect(response.headers.get('content-encoding')).toBeNull();
   });
 });
@@ -94,6 +168,62 @@ describe('HTML Content', () => {
     expect(html).toContain('@type');
   });
 
+  it('should list every profile card in sameAs and vice versa', async () => {
+    const response = await fetch(`${BASE_URL}/`);
+    const html = await response.text();
+    const { profiles } = yaml.load(await fs.readFile('src/main/resources/profiles.yml', 'utf8'));
+    const extras = profiles.flatMap((p) => p.same_as ?? []);
+
+    const cardUrls = [...html.matchAll(/<a href="([^"]+)" id="[^"]+" class="card" rel="[^"]*\bme\b[^"]*"/g)]
+      .map((m) => m[1]);
+    const ldJson = JSON.parse(html.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/)[1]);
+    const sameAs = ldJson.mainEntity.sameAs;
+
+    expect(cardUrls).toHaveLength(profiles.length);
+    for (const url of cardUrls) {
+      expect(sameAs, url).toContain(url);
+    }
+    for (const url of sameAs) {
+      expect([...cardUrls, ...extras], url).toContain(url);
+    }
+  });
+
+  it('should show the PGP key expiry dates', async () => {
+    const response = await fetch(`${BASE_URL}/`);
+    const html = await response.text();
+    expect(html).toMatch(/id="apache-pgp-fingerprint"[^>]*>[^<]*<\/code><span class="pgp-expiry">Expire[sd] <time datetime="\d{4}-\d{2}-\d{2}">/);
+  });
+
+  it('should reference only existing, fingerprinted assets', async () => {
+    const html = await fs.readFile('dist/index.html', 'utf8');
+    const manifest = JSON.parse(await fs.readFile('dist/site.webmanifest', 'utf8'));
+    const assetPattern = /(?:https:\/\/bmarwell\.de)?(\/[\w./-]+\.(?:png|jpe?g|webp|avif|svg|woff2|ico))\b/g;
+    const references = new Set([
+      ...[...html.matchAll(assetPattern)].map((m) => m[1]),
+      ...manifest.icons.map((icon) => icon.src),
+    ]);
+    expect(references.size).toBeGreaterThan(5);
+
+    for (const reference of references) {
+      await expect(fs.access(`dist${reference}`), reference).resolves.toBeUndefined();
+      if (!matchesAny(reference.slice(1), STABLE)) {
+        expect(reference).toMatch(/\.[0-9a-f]{8}\.\w+$/);
+      }
+    }
+  });
+
+  it('should link the favicon variants from favicon.yml', async () => {
+    const html = await fs.readFile('dist/index.html', 'utf8');
+    const { light, dark, pinned_tab: pinnedTab } = yaml.load(await fs.readFile('src/main/resources/favicon.yml', 'utf8'));
+    expect(html).toMatch(/<link rel="?mask-icon"? href="?\/safari-pinned-tab\.[0-9a-f]{8}\.svg"?/);
+    expect(html).toContain(`color="${pinnedTab}"`);
+    expect(html).toContain(`content="${light.background}" media="(prefers-color-scheme: light)"`);
+    expect(html).toContain(`content="${dark.background}" media="(prefers-color-scheme: dark)"`);
+
+    const manifest = JSON.parse(await fs.readFile('dist/site.webmanifest', 'utf8'));
+    expect(manifest.icons.filter((icon) => icon.purpose === 'maskable')).toHaveLength(1);
+  });
+
   it('should use local fonts', async () => {
     const response = await fetch(`${BASE_URL}/`);
     const html = await response.text();
@@ -101,11 +231,40 @@ describe('HTML Content', () => {
     expect(html).toContain('@font-face');
   });
 
+  it('should subset each font face to the characters rendered with it', async () => {
+    const doc = parseHtml(await fs.readFile('dist/index.html', 'utf8'));
+    const css = textContent(querySelectorAll(doc, 'style')[0]);
+    const faces = parseCss(css).fontFaces.map(({ declarations }) => ({
+      weight: resolveWeight(declarations.get('font-weight')),
+      url: declarations.get('src').match(/url\('([^']+)'\)/)[1],
+    }));
+    expect(faces.length).toBeGreaterThan(0);
+    const text = renderedText(doc, css, faces.map((face) => face.weight));
+    for (const { weight, url } of faces) {
+      expect(url).toMatch(/^\/fonts\/roboto-subset-\d+-normal\.[0-9a-f]{8}\.woff2$/);
+      const sfnt = encodeSfnt(decodeWoff2(await fs.readFile(`dist${url}`)));
+      const font = opentype.parse(sfnt.buffer.slice(sfnt.byteOffset, sfnt.byteOffset + sfnt.byteLength));
+      const missing = [...text.get(weight)].filter((codePoint) => font.charToGlyphIndex(String.fromCodePoint(codePoint)) === 0);
+      expect(missing, `weight ${weight}`).toEqual([]);
+    }
+  });
+
+  it('should preload the fonts of the header', async () => {
+    const doc = parseHtml(await fs.readFile('dist/index.html', 'utf8'));
+    const preloads = querySelectorAll(doc, 'link[rel=preload][as=font]');
+    expect(preloads.length).toBeGreaterThan(0);
+    for (const link of preloads) {
+      expect(getAttribute(link, 'type')).toBe('font/woff2');
+      expect(getAttribute(link, 'crossorigin')).not.toBeNull();
+      expect(textContent(querySelectorAll(doc, 'style')[0])).toContain(`url('${getAttribute(link, 'href')}')`);
+    }
+  });
+
   it('should use local avatar', async () => {
     const response = await fetch(`${BASE_URL}/`);
     const html = await response.text();
     expect(html).not.toContain('github.com/bmarwell.png');
-    expect(html).toContain('avatar.webp');
+    expect(html).toMatch(/\/avatar-150w\.[0-9a-f]{8}\.webp 150w/);
   });
 
   it('should have og:image dimensions set', async () => {
@@ -121,15 +280,333 @@ describe('HTML Content', () => {
     expect(parseInt(heightMatch[1])).toBeGreaterThan(0);
   });
 
+  it('should share the generated social card with its real dimensions', async () => {
+    const html = await fs.readFile('dist/index.html', 'utf8');
+    const image = html.match(/property="og:image" content="https:\/\/bmarwell\.de(\/social\/profile\.jpg)"/)?.[1];
+    expect(image).toBeTruthy();
+    expect(html).toContain(`name="twitter:image" content="https://bmarwell.de${image}"`);
+    expect(html).toContain('name="twitter:card" content="summary_large_image"');
+
+    const { width, height, format } = await sharp(`dist${image}`).metadata();
+    expect(format).toBe('jpeg');
+    expect(html).toContain(`property="og:image:width" content="${width}"`);
+    expect(html).toContain(`property="og:image:height" content="${height}"`);
+    expect([width, height]).toEqual([1200, 630]);
+    if (html.includes('card--featured')) {
+      const card = await sharp('dist/social/featured-article.jpg').metadata();
+      expect([card.width, card.height]).toEqual([1200, 630]);
+    }
+  });
+
   it('should serve featured article JPEG', async () => {
-    const response = await fetch(`${BASE_URL}/blog/featured-article.jpg`);
+    const response = await fetch(`${BASE_URL}${await hashed('/blog/featured-article-800w.jpg')}`);
     expect(response.status).toBe(200);
     expect(response.headers.get('content-type')).toMatch(/image\/jpeg/);
   });
 
   it('should serve featured article WebP', async () => {
-    const response = await fetch(`${BASE_URL}/blog/featured-article.webp`);
+    const response = await fetch(`${BASE_URL}${await hashed('/blog/featured-article-800w.webp')}`);
     expect(response.status).toBe(200);
     expect(response.headers.get('content-type')).toMatch(/image\/webp/);
   });
+
+  it('should size the featured image variants to their srcset widths', async () => {
+    const html = await fs.readFile('dist/index.html', 'utf8');
+    const img = html.match(/<img [^>]*itemprop="image"[^>]*>/)[0];
+    const [, width, height] = img.match(/width="(\d+)" height="(\d+)"/);
+    expect(Number(width) / Number(height)).toBeCloseTo(40 / 21, 2);
+    expect(img).toMatch(/ sizes="[^"]+"/);
+
+    const srcsets = [...html.matchAll(/srcset="([^"]*\/blog\/featured-article-[^"]*)"/g)].map((match) => match[1]);
+    expect(srcsets.length).toBeGreaterThanOrEqual(2);
+    for (const value of srcsets) {
+      for (const [url, descriptor] of value.split(', ').map((candidate) => candidate.split(' '))) {
+        const metadata = await sharp(`dist${url}`).metadata();
+        expect(`${metadata.width}w`).toBe(descriptor);
+        expect(metadata.height).toBe(Math.round(metadata.width * 21 / 40));
+        if (url.endsWith('.jpg')) expect(metadata.isProgressive).toBe(true);
+      }
+    }
+  });
+
+  it('should offer AVIF, if any, then WebP in every picture', async () => {
+    const pictures = querySelectorAll(parseHtml(await fs.readFile('dist/index.html', 'utf8')), 'picture');
+    expect(pictures.length).toBeGreaterThan(0);
+    for (const picture of pictures) {
+      const types = querySelectorAll(picture, 'source').map((source) => getAttribute(source, 'type'));
+      expect(types).toEqual(types.includes('image/avif') ? ['image/avif', 'image/webp'] : ['image/webp']);
+    }
+  });
+
+  it('should offer every responsive avatar variant in the header picture', async () => {
+    const doc = parseHtml(await fs.readFile('dist/index.html', 'utf8'));
+    const picture = querySelectorAll(doc, 'header picture')[0];
+    const srcsets = [...querySelectorAll(picture, 'source'), ...querySelectorAll(picture, 'img')]
+      .map((element) => getAttribute(element, 'srcset'));
+    const variants = srcsets.flatMap((srcset) => srcset.split(', ').map((candidate) => candidate.split(' ')));
+    const avatars = (await fs.readdir('dist')).filter((file) => /^avatar-\d+w\./.test(file));
+    expect(variants.map(([url]) => url.slice(1)).sort()).toEqual(avatars.sort());
+    for (const [url, descriptor] of variants) {
+      const { width } = await sharp(`dist${url}`).metadata();
+      expect(descriptor, url).toBe(`${width}w`);
+    }
+    // AVIF is all or nothing: one <source> per format
+    const types = avatars.some((file) => file.endsWith('.avif')) ? ['image/avif', 'image/webp'] : ['image/webp'];
+    expect(querySelectorAll(picture, 'source').map((source) => getAttribute(source, 'type'))).toEqual(types);
+    for (const source of querySelectorAll(picture, 'source')) expect(getAttribute(source, 'sizes')).toBe('100px');
+  });
+});
+
+describe('Pages', () => {
+  /** Every source page with its front matter, the path it is served at and whether it is noindex. */
+  async function sourcePages() {
+    const pages = [];
+    for (const file of await listPages('src/main/html')) {
+      const { meta } = parsePage(await fs.readFile(`src/main/html/${file}`, 'utf8'), file);
+      const canonical = meta.canonical ?? pageUrl(file);
+      const robots = querySelectorAll(parseHtml(await fs.readFile(`dist/${file}`, 'utf8')), 'meta[name=robots]');
+      const noindex = robots.some((element) => getAttribute(element, 'content').includes('noindex'));
+      pages.push({ file, meta, canonical, noindex, path: new URL(pageUrl(file)).pathname });
+    }
+    return pages;
+  }
+
+  it('should build every page with the title, description and canonical URL of its front matter', async () => {
+    for (const { file, meta, canonical } of await sourcePages()) {
+      const doc = parseHtml(await fs.readFile(`dist/${file}`, 'utf8'));
+      expect(textContent(querySelectorAll(doc, 'title')[0]), file).toBe(meta.title);
+      expect(getAttribute(querySelectorAll(doc, 'meta[name=description]')[0], 'content'), file).toBe(meta.description);
+      expect(getAttribute(querySelectorAll(doc, 'link[rel=canonical]')[0], 'href'), file).toBe(canonical);
+      expect(querySelectorAll(doc, 'footer #copyright-year').map(textContent), file).toEqual([String(new Date().getFullYear())]);
+    }
+  });
+
+  it('should serve every page compressed, with its inline code allowed by the policy', async () => {
+    for (const { file, path: urlPath } of await sourcePages()) {
+      const response = await request(urlPath, { 'Accept-Encoding': 'br, gzip' });
+      expect(response.statusCode, file).toBe(200);
+      expect(['br', 'gzip'], file).toContain(response.headers['content-encoding']);
+      expect(response.headers['content-type'], file).toMatch(/^text\/html/);
+
+      const policy = response.headers['content-security-policy'];
+      const { scripts, styles } = inlineBlocks(await fs.readFile(`dist/${file}`, 'utf8'));
+      for (const block of [...scripts, ...styles]) expect(policy, file).toContain(hashSource(block));
+    }
+  });
+
+  it('should list every page but the noindex ones in the sitemap', async () => {
+    const sitemap = await fs.readFile('dist/sitemap.xml', 'utf8');
+    const locs = [...sitemap.matchAll(/<loc>([^<]+)<\/loc>/g)].map(([, loc]) => loc);
+    const indexed = (await sourcePages()).filter((page) => !page.noindex);
+    const canonicals = [...new Set(indexed.map((page) => page.canonical))];
+    expect(locs.sort()).toEqual(canonicals.sort());
+  });
+
+  it('should build a noindex error page for every ErrorDocument', async () => {
+    const htaccess = await fs.readFile('dist/.htaccess', 'utf8');
+    const errorDocuments = [...htaccess.matchAll(/^ErrorDocument (\d{3}) \/(\S+)$/gm)];
+    expect(errorDocuments.map(([, status]) => status)).toEqual(['404', '410', '500']);
+    const pages = await sourcePages();
+    for (const [, status, file] of errorDocuments) {
+      const page = pages.find((candidate) => candidate.file === file);
+      expect(page, status).toBeDefined();
+      expect(page.noindex, file).toBe(true);
+      const doc = parseHtml(await fs.readFile(`dist/${file}`, 'utf8'));
+      expect(querySelectorAll(doc, 'header h1').map(textContent), file).toEqual(['Benjamin Marwell']);
+    }
+  });
+
+  it('should copy every static file', async () => {
+    const sources = (await walkFiles('src/main/html')).filter((file) => !file.endsWith('.html'));
+    for (const file of sources) {
+      await expect(fs.access(`dist/${file}`), file).resolves.toBeUndefined();
+    }
+  });
+});
+
+describe('Build manifest', () => {
+  it('should describe every deployed file with its variants', async () => {
+    const { files } = JSON.parse(await fs.readFile('dist/dist-manifest.json', 'utf8'));
+    const listed = new Set(Object.keys(files));
+    for (const [file, entry] of Object.entries(files)) {
+      const content = await fs.readFile(`dist/${file}`);
+      expect(entry.raw, file).toBe(content.length);
+      expect(entry.sha256, file).toBe(crypto.createHash('sha256').update(content).digest('hex'));
+    }
+    expect(files['index.html'].brotli).toBe((await fs.stat('dist/index.html.br')).size);
+
+    const served = (await fs.readdir('dist', { recursive: true, withFileTypes: true }))
+      .filter((entry) => entry.isFile())
+      .map((entry) => path.relative('dist', path.join(entry.parentPath, entry.name)))
+      .filter((file) => file !== 'dist-manifest.json' && !/\.(zst|br|gz)$/.test(file));
+    expect(served.filter((file) => !listed.has(file))).toEqual([]);
+  });
+});
+
+describe('Web app manifest', () => {
+  it('should be a valid Web Application Manifest', async () => {
+    const response = await fetch(`${BASE_URL}/site.webmanifest`);
+    expect(response.headers.get('content-type')).toMatch(/application\/manifest\+json/);
+    expect(validateWebManifest(await response.json())).toEqual([]);
+  });
+
+  it('should redirect each shortcut to its profile', async () => {
+    const { shortcuts } = JSON.parse(await fs.readFile('dist/site.webmanifest', 'utf8'));
+    const { profiles } = yaml.load(await fs.readFile('src/main/resources/profiles.yml', 'utf8'));
+    expect(shortcuts.length).toBeGreaterThan(0);
+    for (const shortcut of shortcuts) {
+      const response = await request(shortcut.url);
+      expect(response.statusCode, shortcut.url).toBe(302);
+      expect(profiles.find((p) => p.title === shortcut.name)?.url, shortcut.url).toBe(response.headers.location);
+    }
+  });
+});
+
+describe('Performance budgets', () => {
+  // Generated but linked from no page: a standalone copy of favicon.ico's largest image
+  const EXPECTED_ORPHANS = ['favicon-48x48.*.png'];
+
+  it('should stay within every budget in budgets.yml', async () => {
+    const { results, orphans } = await checkBudgets('dist', await loadConfig('budgets'));
+    expect(orphans.filter((file) => !matchesAny(file, EXPECTED_ORPHANS))).toEqual([]);
+
+    const exceeded = results
+      .filter((result) => !result.ok)
+      .map((result) => `${result.name}: ${result.actual} > ${result.limit} ${result.unit} (${result.files.map((f) => f.file).join(', ')})`);
+    expect(exceeded).toEqual([]);
+  });
+});
+
+describe('Production .htaccess rules', () => {
+  it('should serve zstd HTML when requested', async () => {
+    const response = await request('/', { 'Accept-Encoding': 'zstd' });
+    expect(response.statusCode).toBe(200);
+    expect(response.headers['content-encoding']).toBe('zstd');
+    expect(response.headers['content-type']).toBe('text/html; charset=utf-8');
+    expect(response.headers['vary']).toContain('Accept-Encoding');
+  });
+
+  it('should prefer zstd over brotli and gzip', async () => {
+    const response = await request('/', { 'Accept-Encoding': 'gzip, br, zstd' });
+    expect(response.headers['content-encoding']).toBe('zstd');
+  });
+
+  it('should answer unknown paths with the custom 404 page', async () => {
+    const page = await fs.readFile('dist/404.html', 'utf8');
+    for (const urlPath of ['/wp-admin/', '/administrator/index.php', '/no/such/page.html']) {
+      const response = await fetch(`${BASE_URL}${urlPath}`);
+      expect(response.status, urlPath).toBe(404);
+      expect(response.headers.get('content-type'), urlPath).toBe('text/html; charset=utf-8');
+      expect(response.headers.get('content-security-policy'), urlPath).toMatch(/^default-src 'none'; /);
+      expect(await response.text(), urlPath).toBe(page);
+    }
+  });
+
+  it('should answer a malformed percent-escape with 400 like Apache', async () => {
+    const response = await request('/%E0%A4%A');
+    expect(response.statusCode).toBe(400);
+  });
+
+  it('should serve the 404 page compressed', async () => {
+    const response = await request('/wp-admin/', { 'Accept-Encoding': 'br, gzip' });
+    expect(response.statusCode).toBe(404);
+    expect(['br', 'gzip']).toContain(response.headers['content-encoding']);
+    expect(response.headers['vary']).toContain('Accept-Encoding');
+  });
+
+  it('should redirect index.html in a subdirectory to that directory', async () => {
+    const response = await request('/talks/index.html');
+    expect(response.statusCode).toBe(301);
+    expect(response.headers.location).toBe('https://bmarwell.de/talks/');
+  });
+
+  it('should keep the content-type of compressed PGP keys', async () => {
+    const response = await request('/bmarwell-apache.asc', { 'Accept-Encoding': 'br' });
+    expect(response.headers['content-encoding']).toBe('br');
+    expect(response.headers['content-type']).toMatch(/^application\/pgp-keys/);
+  });
+
+  it('should serve the Web Key Directory policy with CORS, only next to a key', async () => {
+    const keys = await fs.readdir('dist/.well-known/openpgpkey/hu').catch(() => []);
+    const response = await request('/.well-known/openpgpkey/policy');
+    if (keys.length === 0) {
+      expect(response.statusCode).toBe(404);
+      return;
+    }
+    expect(response.statusCode).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/plain/);
+    expect(response.headers['access-control-allow-origin']).toBe('*');
+  });
+
+  it('should send security headers', async () => {
+    const response = await request('/');
+    expect(response.headers['content-security-policy']).toMatch(/^default-src 'none'; /);
+    expect(response.headers['referrer-policy']).toBe('strict-origin-when-cross-origin');
+    expect(response.headers['permissions-policy']).toContain('camera=()');
+    expect(response.headers['x-content-type-options']).toBe('nosniff');
+  });
+
+  it('should allow every inline block of index.html in the Content-Security-Policy', async () => {
+    const policy = (await request('/')).headers['content-security-policy'];
+    const sources = (name) => policy.split(/;\s*/).find((d) => d.startsWith(`${name} `)).split(' ').slice(1);
+    const hash = (text) => `'sha256-${crypto.createHash('sha256').update(text).digest('base64')}'`;
+    const html = await fs.readFile('dist/index.html', 'utf8');
+
+    const scripts = [...html.matchAll(/<script(?![^>]*\ssrc=)[^>]*>([\s\S]*?)<\/script>/g)].map((m) => m[1]);
+    const styles = [...html.matchAll(/<style[^>]*>([\s\S]*?)<\/style>/g)].map((m) => m[1]);
+    const styleAttributes = [...html.matchAll(/\sstyle="([^"]*)"/g)].map((m) => m[1]);
+    expect(scripts.length).toBeGreaterThan(0);
+    expect(styles.length).toBeGreaterThan(0);
+
+    for (const script of scripts) expect(sources('script-src'), script.slice(0, 60)).toContain(hash(script));
+    for (const style of [...styles, ...styleAttributes]) {
+      expect(sources('style-src'), style.slice(0, 60)).toContain(hash(style));
+    }
+    expect(sources('img-src')).toEqual(["'self'", 'https://stats.bmarwell.de']);
+  });
+
+  it('should serve identity encoding without Accept-Encoding', async () => {
+    const response = await request('/');
+    expect(response.headers['content-encoding']).toBeUndefined();
+    expect(response.headers['content-type']).toMatch(/text\/html/);
+  });
+
+  it('should redirect www to the apex domain', async () => {
+    const response = await request('/bmarwell-apache.asc', { Host: 'www.bmarwell.de' });
+    expect(response.statusCode).toBe(301);
+    expect(response.headers['location']).toBe('https://bmarwell.de/bmarwell-apache.asc');
+  });
+
+  it('should redirect /index.html to /', async () => {
+    const response = await request('/index.html');
+    expect(response.statusCode).toBe(301);
+    expect(response.headers['location']).toBe('https://bmarwell.de/');
+  });
+
+  it('should send short cache headers for HTML', async () => {
+    const response = await request('/', { 'Accept-Encoding': 'br' });
+    expect(response.headers['cache-control']).toBe('max-age=3600');
+    expect(response.headers['expires']).toBeTruthy();
+  });
+
+  it('should send long cache headers for fonts and images', async () => {
+    for (const file of ['/fonts/roboto-subset-400-normal.woff2', '/favicon-32x32.png']) {
+      const response = await request(await hashed(file));
+      expect(response.headers['cache-control'], file).toBe('max-age=31536000, immutable');
+    }
+  });
+
+  it('should keep stable URLs cacheable but not immutable', async () => {
+    for (const file of ['/favicon.ico', '/apple-touch-icon.png', '/social/profile.jpg']) {
+      const response = await request(file);
+      expect(response.statusCode, file).toBe(200);
+      expect(response.headers['cache-control'] ?? '', file).not.toContain('immutable');
+    }
+  });
+
+  it('should mark compressed variants of hashed assets immutable', async () => {
+    const response = await request(await hashed('/favicon.svg'), { 'Accept-Encoding': 'br' });
+    expect(response.headers['content-encoding']).toBe('br');
+    expect(response.headers['cache-control']).toBe('max-age=31536000, immutable');
+  });
 });
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+/**
+ * Validate the site configuration (src/main/resources/*.yml) against the
+ * schemas in lib/config-schemas.js. Prints one `file:line: field: message`
+ * line per problem and exits non-zero if any error was found; warnings
+ * (e.g. date_published disagreeing with the URL) do not fail.
+ */
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {CONFIG_FILES} from './lib/config-schemas.js';
+import {formatIssues, validateConfigFile} from './lib/schema.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.join(__dirname, '..');
+
+async function main() {
+  console.log('\n🔎 Validating configuration...');
+
+  let errors = 0;
+  let warnings = 0;
+  for (const {file, ...definition} of Object.values(CONFIG_FILES)) {
+    const {issues} = await validateConfigFile(file, definition);
+    if (issues.length === 0) {
+      console.log(`  ✓ ${path.relative(ROOT_DIR, file)}`);
+      continue;
+    }
+    console.log(formatIssues(file, issues, ROOT_DIR).replace(/^/gm, '  '));
+    errors += issues.filter((issue) => issue.severity === 'error').length;
+    warnings += issues.filter((issue) => issue.severity === 'warning').length;
+  }
+
+  if (errors > 0) {
+    throw new Error(`${errors} error(s), ${warnings} warning(s)`);
+  }
+  console.log(`✅ Configuration valid${warnings ? ` (${warnings} warning(s))` : ''}!\n`);
+}
+
+main().catch((error) => {
+  console.error('❌ Validation failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * Verify the published PGP keys against the fingerprints shown on the page.
+ *
+ * For every card linking to a .asc file, the v4 fingerprint computed from
+ * the key (lib/pgp.js) must match the card's `#…-pgp-fingerprint` text and
+ * the JSON-LD identifier pointing at the same file, otherwise the build
+ * fails. Keys and subkeys expiring within PGP_EXPIRY_WARN_DAYS (default 90)
+ * of the build date print a warning, and the primary key's expiry date is
+ * rendered on its card.
+ */
+import {promises as fs} from 'fs';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {resolveBuildDate} from './lib/featured.js';
+import {
+  getAttribute, HtmlTransformError, insertAfter, querySelectorAll, textContent, transformHtmlFile,
+} from './lib/html-transform.js';
+import {formatFingerprint, readPublicKey, sameFingerprint} from './lib/pgp.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DIST_DIR = path.join(__dirname, '../dist');
+const HTML_FILE = path.join(DIST_DIR, 'index.html');
+const WARN_DAYS = parseInt(process.env.PGP_EXPIRY_WARN_DAYS || '90', 10);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Cards linking to a key file, with the fingerprint they display. */
+function findKeyCards(doc) {
+  return querySelectorAll(doc, 'a[href^="/"][href$=".asc"]').map((card) => {
+    const file = getAttribute(card, 'href').slice(1);
+    const [code] = querySelectorAll(card, 'code[id$="pgp-fingerprint"]');
+    if (!code) throw new HtmlTransformError(`Card for ${file} has no #…-pgp-fingerprint element`);
+    return {file, id: getAttribute(code, 'id'), shown: textContent(code).trim()};
+  });
+}
+
+/** PGP fingerprints from the JSON-LD identifiers, keyed by key file name. */
+function jsonLdFingerprints(doc) {
+  const [script] = querySelectorAll(doc, 'script[type="application/ld+json"]');
+  if (!script) return new Map();
+  const data = JSON.parse(textContent(script));
+  const person = data.mainEntity ?? data;
+  return new Map([].concat(person.identifier ?? [])
+    .filter((id) => id.propertyID === 'PGP Fingerprint' && id.url)
+    .map((id) => [path.posix.basename(new URL(id.url).pathname), id.value]));
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/** Warning text if date is past or within the window, else null. */
+function expiryWarning(label, expires, now) {
+  if (!expires) return null;
+  const days = Math.floor((expires - now) / DAY_MS);
+  if (days < 0) return `${label} expired on ${isoDate(expires)}`;
+  if (days <= WARN_DAYS) return `${label} expires on ${isoDate(expires)} (in ${days} days)`;
+  return null;
+}
+
+function expiryHtml(expires, now) {
+  const date = isoDate(expires);
+  const verb = expires < now ? 'Expired' : 'Expires';
+  return `<span class="pgp-expiry">${verb} <time datetime="${date}">${date}</time></span>`;
+}
+
+/**
+ * Check every key card of doc and add the primary key's expiry date after
+ * its fingerprint; returns the number of cards.
+ */
+async function verifyKeys(doc, now) {
+  const cards = findKeyCards(doc);
+  if (cards.length === 0) throw new Error('No PGP key cards found in index.html');
+  const ldFingerprints = jsonLdFingerprints(doc);
+
+  const errors = [];
+  for (const card of cards) {
+    const key = readPublicKey(await fs.readFile(path.join(DIST_DIR, card.file), 'utf8'));
+    const actual = formatFingerprint(key.fingerprint);
+    const mismatches = [];
+
+    if (!sameFingerprint(card.shown, key.fingerprint)) {
+      mismatches.push(`#${card.id} shows ${card.shown}, but ${card.file} has ${actual}`);
+    }
+    const ld = ldFingerprints.get(card.file);
+    if (ld && !sameFingerprint(ld, key.fingerprint)) {
+      mismatches.push(`JSON-LD identifier for ${card.file} is ${ld}, but the key has ${actual}`);
+    }
+    console.log(`  ${mismatches.length ? '❌' : '✓'} ${card.file}: ${actual} (${key.userIds.join(', ')})`);
+    errors.push(...mismatches);
+
+    for (const [label, expires] of [
+      [`${card.file} primary key`, key.expires],
+      ...key.subkeys.map((sub) => [`${card.file} subkey ${sub.keyId}`, sub.expires]),
+    ]) {
+      const warning = expiryWarning(label, expires, now);
+      if (warning) console.warn(`  ⚠️  ${warning}`);
+    }
+
+    if (key.expires) insertAfter(doc, `#${card.id}`, expiryHtml(key.expires, now));
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Fingerprint mismatch:\n${errors.map((e) => `  - ${e}`).join('\n')}`);
+  }
+
+  return cards.length;
+}
+
+async function main() {
+  console.log('\n🔐 Verifying PGP keys...');
+
+  const now = new Date(`${resolveBuildDate()}T00:00:00Z`);
+  let verified = 0;
+  // Nothing is written back if a fingerprint does not match
+  await transformHtmlFile(HTML_FILE, async (doc) => {
+    verified = await verifyKeys(doc, now);
+  });
+  console.log(`✅ ${verified} PGP keys verified!\n`);
+}
+
+main().catch((error) => {
+  console.error('❌ PGP key verification failed:', error.message);
+  process.exit(1);
+});
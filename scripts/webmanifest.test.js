@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { buildWebManifest, siteMetadata, validateWebManifest } from './lib/webmanifest.js';
+
+const HTML = `<!doctype html><html lang=en prefix="og: https://ogp.me/ns#"><head><meta charset=UTF-8>
+<title>Benjamin Marwell | Apache Maven PMC | DevSecOps Engineer</title>
+<meta name="description" content="Apache Maven PMC member &amp; DevSecOps Engineer.">
+<meta name="theme-color" content="#1f3d5c" media="(prefers-color-scheme: dark)">
+<meta name="theme-color" content="#336699" media="(prefers-color-scheme: light)">
+<style>:root{--primary-bg:#f5f5f5;--accent:#369}</style></head></html>`;
+
+const PROFILES = [
+  { id: 'blog', title: 'Technical Blog', description: 'Deep dives.' },
+  { id: 'talks', title: 'Conference Talks', description: 'Presentations.' },
+];
+
+describe('siteMetadata', () => {
+  it('should read name, description, language and colours from the page', () => {
+    expect(siteMetadata(HTML)).toEqual({
+      title: 'Benjamin Marwell',
+      description: 'Apache Maven PMC member & DevSecOps Engineer.',
+      lang: 'en',
+      themeColor: '#336699',
+      backgroundColor: '#f5f5f5',
+    });
+  });
+
+  it('should fall back to a theme-color without media query', () => {
+    expect(siteMetadata('<meta name=theme-color content=#123456>').themeColor).toBe('#123456');
+  });
+});
+
+describe('buildWebManifest', () => {
+  it('should build a valid manifest with maskable icons and shortcuts', () => {
+    const manifest = buildWebManifest(siteMetadata(HTML), { shortName: 'BM', profiles: PROFILES });
+    expect(manifest).toMatchObject({
+      id: '/', start_url: '/', scope: '/', name: 'Benjamin Marwell', short_name: 'BM', lang: 'en',
+      theme_color: '#336699', background_color: '#f5f5f5',
+    });
+    expect(manifest.icons.some((icon) => icon.purpose === 'maskable')).toBe(true);
+    expect(manifest.shortcuts).toEqual([
+      { name: 'Technical Blog', description: 'Deep dives.', url: '/blog' },
+      { name: 'Conference Talks', description: 'Presentations.', url: '/talks' },
+    ]);
+    expect(validateWebManifest(manifest)).toEqual([]);
+  });
+
+  it('should reject shortcuts to unknown profiles', () => {
+    expect(() => buildWebManifest(siteMetadata(HTML), { shortName: 'BM', profiles: [] }))
+      .toThrow('Shortcut to unknown profile "blog"');
+  });
+});
+
+describe('validateWebManifest', () => {
+  const valid = {
+    name: 'Site', start_url: '/', scope: '/', display: 'standalone',
+    icons: [{ src: '/icon.png', sizes: '192x192', type: 'image/png', purpose: 'any maskable' }],
+  };
+
+  it('should report member types and values', () => {
+    expect(validateWebManifest({
+      ...valid,
+      name: '',
+      lang: 'english',
+      display: 'window',
+      theme_color: 'blue',
+      background_color: null,
+      categories: ['Social'],
+      icons: [{ sizes: '192', type: 'png', purpose: 'round' }],
+    })).toEqual([
+      'name: name or short_name is required',
+      'name: must be a non-empty string',
+      'lang: must be a language tag like "en" or "en-GB"',
+      'display: must be one of fullscreen, standalone, minimal-ui, browser',
+      'theme_color: must be a hex colour',
+      'background_color: must be a hex colour',
+      'categories: must be an array of lower-case strings',
+      'icons[0].src: is required',
+      'icons[0].sizes: must be "any" or WIDTHxHEIGHT values separated by spaces',
+      'icons[0].type: must be a MIME type',
+      'icons[0].purpose: must be a space-separated list of any, maskable, monochrome',
+    ]);
+  });
+
+  it('should apply the URL rules for start_url, id and shortcuts', () => {
+    expect(validateWebManifest({ ...valid, start_url: '/app/', scope: '/app/', id: 'https://example.com/' })).toEqual([
+      'id: must be same-origin with start_url',
+    ]);
+    expect(validateWebManifest({ ...valid, start_url: '/', scope: '/app/' })).toEqual(['start_url: must be within scope']);
+    expect(validateWebManifest({ ...valid, start_url: 'https://example.com/' })).toEqual([
+      'start_url: must be a URL of the same origin as the manifest',
+    ]);
+    expect(validateWebManifest({
+      ...valid,
+      shortcuts: [{ name: 'Blog', url: 'https://blog.bmarwell.de' }, { url: '/talks' }],
+    })).toEqual([
+      'shortcuts[0].url: must be within scope, or browsers ignore the shortcut',
+      'shortcuts[1].name: is required',
+    ]);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { promises as fs } from 'fs';
+import { dearmor, parsePackets, readPublicKey } from './lib/pgp.js';
+import { addressOf, wkdFiles, wkdHash, zbase32 } from './lib/wkd.js';
+
+const SRC_DIR = 'src/main/html';
+
+/** A published key whose user ID packet is replaced by the given ones (new-format headers). */
+async function keyWithUserIds(file, userIds) {
+  const { bytes } = dearmor(await fs.readFile(`${SRC_DIR}/${file}`, 'utf8'));
+  const packets = parsePackets(bytes);
+  const uidIndex = packets.findIndex((p) => p.tag === 13);
+  const uidPackets = userIds.map((uid) => {
+    const body = Buffer.from(uid, 'utf8');
+    return Buffer.concat([Buffer.from([0xcd, body.length]), body]);
+  });
+  // Keep each user ID's certification, so every user ID is followed by a signature
+  const certification = packets[uidIndex + 1].raw;
+  return Buffer.concat([
+    ...packets.slice(0, uidIndex).map((p) => p.raw),
+    ...uidPackets.flatMap((uid) => [uid, certification]),
+    ...packets.slice(uidIndex + 2).map((p) => p.raw),
+  ]);
+}
+
+describe('wkdHash', () => {
+  it('should match the hashes computed by gpg-wks-client', () => {
+    // gpg-wks-client --print-wkd-hash
+    expect(wkdHash('joe.doe')).toBe('iy9q119eutrkn8s1mk4r39qejnbu3n5q');
+    expect(wkdHash('bmarwell')).toBe('h7kpnhzpo6ecpo36zh3yh1nhinnpeapm');
+    expect(wkdHash('benjamin')).toBe('9ar5amz1qp7drs83xdtgrjshzmy586ke');
+  });
+
+  it('should lower-case the local part', () => {
+    expect(wkdHash('Joe.Doe')).toBe(wkdHash('joe.doe'));
+  });
+
+  it('should encode z-base-32 without padding', () => {
+    expect(zbase32(Buffer.alloc(0))).toBe('');
+    expect(zbase32(Buffer.from([0x00]))).toBe('yy');
+    expect(zbase32(Buffer.from([0xf0, 0xbf, 0xc7]))).toBe('6n9hq');
+  });
+});
+
+describe('wkdFiles', () => {
+  it('should extract addresses from user IDs', () => {
+    expect(addressOf('Benjamin Marwell <bmarwell@apache.org>')).toBe('bmarwell@apache.org');
+    expect(addressOf('bmarwell@bmarwell.de')).toBe('bmarwell@bmarwell.de');
+    expect(addressOf('Benjamin Marwell')).toBeNull();
+  });
+
+  it('should skip user IDs outside the domain', async () => {
+    const armored = await fs.readFile(`${SRC_DIR}/bmarwell-apache.asc`, 'utf8');
+    expect(wkdFiles([armored], 'bmarwell.de')).toEqual([]);
+  });
+
+  it('should publish the binary key of the armored source', async () => {
+    const armored = await fs.readFile(`${SRC_DIR}/bmarwell-apache.asc`, 'utf8');
+    const [file] = wkdFiles([armored], 'apache.org');
+
+    expect(file.path).toBe(`.well-known/openpgpkey/hu/${wkdHash('bmarwell')}`);
+    expect(file.bytes.equals(dearmor(armored).bytes)).toBe(true);
+    expect(readPublicKey(file.bytes)).toEqual(readPublicKey(armored));
+  });
+
+  it('should keep only the matching user ID', async () => {
+    const key = await keyWithUserIds('bmarwell-personal.asc', [
+      'Benjamin Marwell <bmarwell@gmail.com>',
+      'Benjamin Marwell <BMarwell@bmarwell.de>',
+    ]);
+    const files = wkdFiles([key], 'BMARWELL.de');
+
+    expect(files.map((f) => [f.address, f.path])).toEqual([
+      ['bmarwell@bmarwell.de', `.well-known/openpgpkey/hu/${wkdHash('bmarwell')}`],
+    ]);
+    const published = readPublicKey(files[0].bytes);
+    expect(published.userIds).toEqual(['Benjamin Marwell <BMarwell@bmarwell.de>']);
+    expect(published.fingerprint).toBe('331C8E5FF20D3A48C8E181A931605D40DD2A99F4');
+    expect(published.subkeys).toHaveLength(1);
+  });
+
+  it('should concatenate several keys for the same address', async () => {
+    const uid = 'Benjamin Marwell <bmarwell@bmarwell.de>';
+    const keys = [
+      await keyWithUserIds('bmarwell-apache.asc', [uid]),
+      await keyWithUserIds('bmarwell-personal.asc', [uid]),
+    ];
+    const [file] = wkdFiles(keys, 'bmarwell.de');
+    expect(file.bytes.equals(Buffer.concat(keys))).toBe(true);
+  });
+});
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+/**
+ * Write dist/dist-manifest.json (lib/dist-manifest.js). Runs last, so the
+ * sizes are those of the files that get deployed; compare two manifests
+ * with `bun run report`.
+ */
+import {execSync} from 'child_process';
+import {promises as fs} from 'fs';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {buildManifest, formatBytes, MANIFEST_FILE} from './lib/dist-manifest.js';
+import {resolveBuildDate} from './lib/featured.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DIST_DIR = path.join(__dirname, '../dist');
+
+function gitCommit() {
+  try {
+    return execSync('git rev-parse HEAD', {encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore']}).trim();
+  } catch {
+    return null;
+  }
+}
+
+async function main() {
+  console.log('\n📋 Writing build manifest...');
+
+  const manifest = await buildManifest(DIST_DIR, {date: resolveBuildDate(), commit: gitCommit()});
+  await fs.writeFile(path.join(DIST_DIR, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+
+  const entries = Object.values(manifest.files);
+  const raw = entries.reduce((sum, entry) => sum + entry.raw, 0);
+  console.log(`  ✓ ${entries.length} files, ${formatBytes(raw)} uncompressed`);
+  console.log(`✅ ${MANIFEST_FILE} written!\n`);
+}
+
+main().catch((error) => {
+  console.error('❌ Build manifest failed:', error.message);
+  process.exit(1);
+});